@@ -0,0 +1,654 @@
+/**
+ * Image Manifest
+ * Generated by scripts/build-manifest.js from the images/ folders - do not edit by hand
+ */
+
+const imageManifest = {
+  "P-01": {
+    "images": [
+      {"src":"images/P-01/Ladakhi-Bakers1.webp","width":1290,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#5d4e47"},
+      {"src":"images/P-01/Ladakhi-Bakers2.webp","width":1964,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#5a5251"},
+      {"src":"images/P-01/Ladakhi-Bakers3.webp","width":1979,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#685f57"},
+      {"src":"images/P-01/Ladakhi-Bakers4.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#5f5c54"},
+      {"src":"images/P-01/Ladakhi-Bakers5.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#524940"},
+      {"src":"images/P-01/Ladakhi-Bakers6.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#39342c"},
+      {"src":"images/P-01/Ladakhi-Bakers7.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#3e3a38"},
+      {"src":"images/P-01/Ladakhi-Bakers8.webp","width":1290,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#453b30"},
+      {"src":"images/P-01/Ladakhi-Bakers9.webp","width":1288,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#3f3934"},
+      {"src":"images/P-01/Ladakhi-Bakers10.webp","width":1049,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#59524c"},
+      {"src":"images/P-01/Ladakhi-Bakers11.webp","width":1054,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#524a44"},
+      {"src":"images/P-01/Ladakhi-Bakers12.webp","width":2444,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#3c342d"},
+      {"src":"images/P-01/Ladakhi-Bakers13.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#4b3f38"},
+      {"src":"images/P-01/Ladakhi-Bakers14.webp","width":1057,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#504845"},
+      {"src":"images/P-01/Ladakhi-Bakers15.webp","width":2430,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#5e5851"},
+      {"src":"images/P-01/Ladakhi-Bakers16.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#685946"},
+      {"src":"images/P-01/Ladakhi-Bakers17.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#986838","averageColor":"#89603b"},
+      {"src":"images/P-01/Ladakhi-Bakers18.webp","width":1053,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#91755d"},
+      {"src":"images/P-01/Ladakhi-Bakers19.webp","width":2419,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#59514a"},
+      {"src":"images/P-01/Ladakhi-Bakers20.webp","width":2412,"height":1600,"orientation":"landscape","dominantColor":"#a88878","averageColor":"#957764"},
+      {"src":"images/P-01/Ladakhi-Bakers21.webp","width":2422,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#433e3f"},
+      {"src":"images/P-01/Ladakhi-Bakers22.webp","width":2428,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#50423d"},
+      {"src":"images/P-01/Ladakhi-Bakers23.webp","width":2425,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#4d3f3a"},
+      {"src":"images/P-01/Ladakhi-Bakers24.webp","width":2429,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#434343"},
+      {"src":"images/P-01/Ladakhi-Bakers25.webp","width":1051,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#3a3a3b"},
+      {"src":"images/P-01/Ladakhi-Bakers26.webp","width":2434,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#473a38"},
+      {"src":"images/P-01/Ladakhi-Bakers27.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#282838","averageColor":"#515c6a"},
+      {"src":"images/P-01/Ladakhi-Bakers28.webp","width":2393,"height":1600,"orientation":"landscape","dominantColor":"#483828","averageColor":"#7a6454"},
+      {"src":"images/P-01/Ladakhi-Bakers29.webp","width":2446,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#675856"},
+      {"src":"images/P-01/Ladakhi-Bakers30.webp","width":1054,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#201d19"},
+      {"src":"images/P-01/Ladakhi-Bakers31.webp","width":1062,"height":1600,"orientation":"portrait","dominantColor":"#081808","averageColor":"#6f6e69"},
+      {"src":"images/P-01/Ladakhi-Bakers32.webp","width":1049,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#50443c"},
+      {"src":"images/P-01/Ladakhi-Bakers33.webp","width":1052,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5e594f"},
+      {"src":"images/P-01/Ladakhi-Bakers34.webp","width":2448,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#8b8687"},
+      {"src":"images/P-01/Ladakhi-Bakers35.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#484d56"},
+      {"src":"images/P-01/Ladakhi-Bakers36.webp","width":2405,"height":1600,"orientation":"landscape","dominantColor":"#b8b8b8","averageColor":"#a39c9b"},
+      {"src":"images/P-01/Ladakhi-Bakers37.webp","width":2425,"height":1600,"orientation":"landscape","dominantColor":"#d8d8c8","averageColor":"#857d73"},
+      {"src":"images/P-01/Ladakhi-Bakers38.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#3c3733"},
+      {"src":"images/P-01/Ladakhi-Bakers39.webp","width":2399,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#504e49"},
+      {"src":"images/P-01/Ladakhi-Bakers40.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#49453d"},
+      {"src":"images/P-01/Ladakhi-Bakers41.webp","width":1071,"height":1600,"orientation":"portrait","dominantColor":"#8898a8","averageColor":"#9da8b5"},
+      {"src":"images/P-01/Ladakhi-Bakers42.webp","width":2411,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#3a3432"},
+      {"src":"images/P-01/Ladakhi-Bakers43.webp","width":2402,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#5a5552"},
+      {"src":"images/P-01/Ladakhi-Bakers44.webp","width":1058,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5a504a"},
+      {"src":"images/P-01/Ladakhi-Bakers45.webp","width":1057,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5a5f5e"},
+      {"src":"images/P-01/Ladakhi-Bakers46.webp","width":1059,"height":1600,"orientation":"portrait","dominantColor":"#181808","averageColor":"#5a5646"},
+      {"src":"images/P-01/Ladakhi-Bakers47.webp","width":2416,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#706966"},
+      {"src":"images/P-01/Ladakhi-Bakers48.webp","width":2423,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#392e25"},
+      {"src":"images/P-01/Ladakhi-Bakers49.webp","width":1114,"height":1600,"orientation":"portrait","dominantColor":"#c8b8a8","averageColor":"#8e7b6d"},
+      {"src":"images/P-01/Ladakhi-Bakers50.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#332a1e"},
+      {"src":"images/P-01/Ladakhi-Bakers51.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#594f46"},
+      {"src":"images/P-01/Ladakhi-Bakers52.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#787a7c"},
+      {"src":"images/P-01/Ladakhi-Bakers53.webp","width":1306,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#4d4644"},
+      {"src":"images/P-01/Ladakhi-Bakers54.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#6d6054"},
+      {"src":"images/P-01/Ladakhi-Bakers55.webp","width":1980,"height":1600,"orientation":"landscape","dominantColor":"#583828","averageColor":"#5e4834"},
+      {"src":"images/P-01/Ladakhi-Bakers56.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#68635d"}
+    ]
+  },
+  "P-02": {
+    "images": [
+      {"src":"images/P-02/Miralls1.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#313332"},
+      {"src":"images/P-02/Miralls2.webp","width":1059,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#4c4f4e"},
+      {"src":"images/P-02/Miralls3.webp","width":2402,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#464847"},
+      {"src":"images/P-02/Miralls4.webp","width":2391,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#656766"},
+      {"src":"images/P-02/Miralls5.webp","width":2398,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#3e4140"},
+      {"src":"images/P-02/Miralls6.webp","width":2424,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#353837"},
+      {"src":"images/P-02/Miralls7.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#515353"},
+      {"src":"images/P-02/Miralls8.webp","width":2327,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#2f3633"},
+      {"src":"images/P-02/Miralls9.webp","width":2402,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#2e2d2c"},
+      {"src":"images/P-02/Miralls10.webp","width":2372,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#3e362d"},
+      {"src":"images/P-02/Miralls11.webp","width":2388,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#47372d"},
+      {"src":"images/P-02/Miralls12.webp","width":2388,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#3f3c38"},
+      {"src":"images/P-02/Miralls13.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#726153"},
+      {"src":"images/P-02/Miralls14.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#1f2322"},
+      {"src":"images/P-02/Miralls15.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#22211f"}
+    ]
+  },
+  "P-03": {
+    "images": [
+      {"src":"images/P-03/Morocco1.webp","width":2398,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#b3adac"},
+      {"src":"images/P-03/Morocco2.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#e8d8c8","averageColor":"#afaeae"},
+      {"src":"images/P-03/Morocco3.webp","width":2390,"height":1600,"orientation":"landscape","dominantColor":"#e8d8c8","averageColor":"#b0b1b2"},
+      {"src":"images/P-03/Morocco4.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#c8d8e8","averageColor":"#96918f"},
+      {"src":"images/P-03/Morocco5.webp","width":2394,"height":1600,"orientation":"landscape","dominantColor":"#785848","averageColor":"#8a807f"},
+      {"src":"images/P-03/Morocco6.webp","width":1069,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#494748"},
+      {"src":"images/P-03/Morocco7.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#666569"},
+      {"src":"images/P-03/Morocco8.webp","width":2412,"height":1600,"orientation":"landscape","dominantColor":"#c8d8e8","averageColor":"#8f8376"},
+      {"src":"images/P-03/Morocco9.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#b6a99d"},
+      {"src":"images/P-03/Morocco10.webp","width":2394,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#81756e"},
+      {"src":"images/P-03/Morocco11.webp","width":2394,"height":1600,"orientation":"landscape","dominantColor":"#a87868","averageColor":"#a08374"},
+      {"src":"images/P-03/Morocco12.webp","width":1062,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#7c6e63"},
+      {"src":"images/P-03/Morocco13.webp","width":2411,"height":1600,"orientation":"landscape","dominantColor":"#986858","averageColor":"#845b4b"},
+      {"src":"images/P-03/Morocco14.webp","width":2411,"height":1600,"orientation":"landscape","dominantColor":"#383838","averageColor":"#8d7f74"},
+      {"src":"images/P-03/Morocco15.webp","width":2398,"height":1600,"orientation":"landscape","dominantColor":"#e8d8b8","averageColor":"#b8a387"},
+      {"src":"images/P-03/Morocco16.webp","width":2398,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#8c8f93"},
+      {"src":"images/P-03/Morocco17.webp","width":2418,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#63574f"},
+      {"src":"images/P-03/Morocco18.webp","width":2425,"height":1600,"orientation":"landscape","dominantColor":"#f8e8c8","averageColor":"#927f6a"},
+      {"src":"images/P-03/Morocco19.webp","width":1973,"height":1600,"orientation":"landscape","dominantColor":"#d8c8b8","averageColor":"#928475"},
+      {"src":"images/P-03/Morocco20.webp","width":1283,"height":1600,"orientation":"portrait","dominantColor":"#e8d8d8","averageColor":"#a1a0a2"},
+      {"src":"images/P-03/Morocco21.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#d8c8c8","averageColor":"#6e6765"},
+      {"src":"images/P-03/Morocco22.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#6d6662"},
+      {"src":"images/P-03/Morocco23.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#5e5b61"},
+      {"src":"images/P-03/Morocco24.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#685858","averageColor":"#837677"},
+      {"src":"images/P-03/Morocco25.webp","width":1297,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#786c6c"},
+      {"src":"images/P-03/Morocco26.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#182828","averageColor":"#636463"},
+      {"src":"images/P-03/Morocco27.webp","width":1293,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#9b9393"},
+      {"src":"images/P-03/Morocco28.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#bfc0c7"},
+      {"src":"images/P-03/Morocco29.webp","width":1293,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#928c87"},
+      {"src":"images/P-03/Morocco30.webp","width":1590,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#a79f98"},
+      {"src":"images/P-03/Morocco31.webp","width":1594,"height":1600,"orientation":"portrait","dominantColor":"#f8e8d8","averageColor":"#796c65"},
+      {"src":"images/P-03/Morocco32.webp","width":1584,"height":1600,"orientation":"portrait","dominantColor":"#d8b898","averageColor":"#a38d7a"},
+      {"src":"images/P-03/Morocco33.webp","width":1592,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#796e6b"},
+      {"src":"images/P-03/Morocco34.webp","width":1603,"height":1600,"orientation":"landscape","dominantColor":"#e8c8b8","averageColor":"#b3a8a5"},
+      {"src":"images/P-03/Morocco35.webp","width":1584,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#9c9088"},
+      {"src":"images/P-03/Morocco36.webp","width":1602,"height":1600,"orientation":"landscape","dominantColor":"#d8d8c8","averageColor":"#a69a8c"},
+      {"src":"images/P-03/Morocco37.webp","width":1608,"height":1600,"orientation":"landscape","dominantColor":"#e8d8d8","averageColor":"#a59c91"},
+      {"src":"images/P-03/Morocco38.webp","width":1606,"height":1600,"orientation":"landscape","dominantColor":"#d8c8b8","averageColor":"#a8917f"},
+      {"src":"images/P-03/Morocco39.webp","width":1601,"height":1600,"orientation":"landscape","dominantColor":"#c89868","averageColor":"#866a57"},
+      {"src":"images/P-03/Morocco40.webp","width":1608,"height":1600,"orientation":"landscape","dominantColor":"#e8d8c8","averageColor":"#a08974"},
+      {"src":"images/P-03/Morocco41.webp","width":1610,"height":1600,"orientation":"landscape","dominantColor":"#b8a888","averageColor":"#998872"},
+      {"src":"images/P-03/Morocco42.webp","width":2416,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#ada5a3"},
+      {"src":"images/P-03/Morocco43.webp","width":2414,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#514a3e"},
+      {"src":"images/P-03/Morocco44.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#645a4f"},
+      {"src":"images/P-03/Morocco45.webp","width":2405,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#756059"},
+      {"src":"images/P-03/Morocco46.webp","width":2407,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#595958"},
+      {"src":"images/P-03/Morocco47.webp","width":2387,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#181b18"},
+      {"src":"images/P-03/Morocco48.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#7a675f"},
+      {"src":"images/P-03/Morocco49.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#77695d"},
+      {"src":"images/P-03/Morocco50.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#69767e"},
+      {"src":"images/P-03/Morocco51.webp","width":2421,"height":1600,"orientation":"landscape","dominantColor":"#a88868","averageColor":"#807162"},
+      {"src":"images/P-03/Morocco52.webp","width":2423,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#645241"},
+      {"src":"images/P-03/Morocco53.webp","width":2414,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#51452a"},
+      {"src":"images/P-03/Morocco54.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#584a34"},
+      {"src":"images/P-03/Morocco55.webp","width":2395,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#756950"},
+      {"src":"images/P-03/Morocco56.webp","width":2396,"height":1600,"orientation":"landscape","dominantColor":"#081808","averageColor":"#44463c"},
+      {"src":"images/P-03/Morocco57.webp","width":2401,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#514746"},
+      {"src":"images/P-03/Morocco58.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#867571"},
+      {"src":"images/P-03/Morocco59.webp","width":1058,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#bbacad"},
+      {"src":"images/P-03/Morocco60.webp","width":2407,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#c9beba"},
+      {"src":"images/P-03/Morocco61.webp","width":2416,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#afa59a"},
+      {"src":"images/P-03/Morocco62.webp","width":2393,"height":1600,"orientation":"landscape","dominantColor":"#c8b8a8","averageColor":"#988d80"},
+      {"src":"images/P-03/Morocco63.webp","width":2400,"height":1600,"orientation":"landscape","dominantColor":"#c8b8a8","averageColor":"#9c9287"},
+      {"src":"images/P-03/Morocco64.webp","width":2396,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#817566"},
+      {"src":"images/P-03/Morocco65.webp","width":1065,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#7b726c"},
+      {"src":"images/P-03/Morocco66.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#686868","averageColor":"#7b888d"},
+      {"src":"images/P-03/Morocco67.webp","width":2385,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#69625b"},
+      {"src":"images/P-03/Morocco68.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#655044"},
+      {"src":"images/P-03/Morocco69.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#525150"},
+      {"src":"images/P-03/Morocco70.webp","width":1589,"height":1600,"orientation":"portrait","dominantColor":"#484848","averageColor":"#6c6761"},
+      {"src":"images/P-03/Morocco71.webp","width":1594,"height":1600,"orientation":"portrait","dominantColor":"#f8e8e8","averageColor":"#766c69"},
+      {"src":"images/P-03/Morocco72.webp","width":1597,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#9f9083"},
+      {"src":"images/P-03/Morocco73.webp","width":1588,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#a3a099"},
+      {"src":"images/P-03/Morocco74.webp","width":1588,"height":1600,"orientation":"portrait","dominantColor":"#f8e8e8","averageColor":"#908984"},
+      {"src":"images/P-03/Morocco75.webp","width":1591,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#9e9b99"},
+      {"src":"images/P-03/Morocco76.webp","width":1286,"height":1600,"orientation":"portrait","dominantColor":"#183878","averageColor":"#62606d"},
+      {"src":"images/P-03/Morocco77.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#61564f"},
+      {"src":"images/P-03/Morocco78.webp","width":1299,"height":1600,"orientation":"portrait","dominantColor":"#d8d8c8","averageColor":"#878282"},
+      {"src":"images/P-03/Morocco79.webp","width":1600,"height":1600,"orientation":"square","dominantColor":"#485878","averageColor":"#76737d"},
+      {"src":"images/P-03/Morocco80.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#381818","averageColor":"#766863"},
+      {"src":"images/P-03/Morocco81.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a9a8a8"},
+      {"src":"images/P-03/Morocco82.webp","width":1978,"height":1600,"orientation":"landscape","dominantColor":"#383838","averageColor":"#5d5553"},
+      {"src":"images/P-03/Morocco83.webp","width":1305,"height":1600,"orientation":"portrait","dominantColor":"#182838","averageColor":"#69707c"},
+      {"src":"images/P-03/Morocco84.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c0b9b9"},
+      {"src":"images/P-03/Morocco85.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#d8c8b8","averageColor":"#a7a3a2"},
+      {"src":"images/P-03/Morocco86.webp","width":1305,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#7a7171"},
+      {"src":"images/P-03/Morocco87.webp","width":1989,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a1a1a1"},
+      {"src":"images/P-03/Morocco88.webp","width":1280,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#b5b5b5"},
+      {"src":"images/P-03/Morocco89.webp","width":2022,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#adadad"},
+      {"src":"images/P-03/Morocco90.webp","width":1271,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#8e8e8e"},
+      {"src":"images/P-03/Morocco91.webp","width":1271,"height":1600,"orientation":"portrait","dominantColor":"#787878","averageColor":"#767676"},
+      {"src":"images/P-03/Morocco92.webp","width":2001,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#9e9e9e"},
+      {"src":"images/P-03/Morocco93.webp","width":1273,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#4b4b4b"},
+      {"src":"images/P-03/Morocco94.webp","width":1989,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#909090"},
+      {"src":"images/P-03/Morocco95.webp","width":1287,"height":1600,"orientation":"portrait","dominantColor":"#c8d8e8","averageColor":"#a59c9d"},
+      {"src":"images/P-03/Morocco96.webp","width":1972,"height":1600,"orientation":"landscape","dominantColor":"#e8d8d8","averageColor":"#a89fa0"},
+      {"src":"images/P-03/Morocco97.webp","width":1969,"height":1600,"orientation":"landscape","dominantColor":"#c8d8e8","averageColor":"#c3bebe"},
+      {"src":"images/P-03/Morocco98.webp","width":1969,"height":1600,"orientation":"landscape","dominantColor":"#e8d8c8","averageColor":"#917071"},
+      {"src":"images/P-03/Morocco99.webp","width":1981,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#5f5154"},
+      {"src":"images/P-03/Morocco100.webp","width":1297,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#625853"},
+      {"src":"images/P-03/Morocco101.webp","width":1282,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#54504a"},
+      {"src":"images/P-03/Morocco102.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#554946"},
+      {"src":"images/P-03/Morocco103.webp","width":1977,"height":1600,"orientation":"landscape","dominantColor":"#583828","averageColor":"#947c69"},
+      {"src":"images/P-03/Morocco104.webp","width":1968,"height":1600,"orientation":"landscape","dominantColor":"#b8d8e8","averageColor":"#acb0b3"},
+      {"src":"images/P-03/Morocco105.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#b9ada5"},
+      {"src":"images/P-03/Morocco106.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#9b979a"},
+      {"src":"images/P-03/Morocco107.webp","width":1981,"height":1600,"orientation":"landscape","dominantColor":"#e8d8c8","averageColor":"#ad8e82"},
+      {"src":"images/P-03/Morocco108.webp","width":1319,"height":1600,"orientation":"portrait","dominantColor":"#d8c8b8","averageColor":"#9a6a63"},
+      {"src":"images/P-03/Morocco109.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5d5c6a"},
+      {"src":"images/P-03/Morocco110.webp","width":1975,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#887166"}
+    ]
+  },
+  "P-04": {
+    "images": [
+      {"src":"images/P-04/Thinking-Mu1.webp","width":1325,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#5b443d"},
+      {"src":"images/P-04/Thinking-Mu2.webp","width":1316,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#b8aeae"},
+      {"src":"images/P-04/Thinking-Mu3.webp","width":1274,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#6f6463"},
+      {"src":"images/P-04/Thinking-Mu4.webp","width":1932,"height":1600,"orientation":"landscape","dominantColor":"#d8c8b8","averageColor":"#b0a197"},
+      {"src":"images/P-04/Thinking-Mu5.webp","width":1311,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#8f7b67"},
+      {"src":"images/P-04/Thinking-Mu6.webp","width":1322,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#9d8f88"},
+      {"src":"images/P-04/Thinking-Mu7.webp","width":1960,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#bda799"},
+      {"src":"images/P-04/Thinking-Mu8.webp","width":2396,"height":1600,"orientation":"landscape","dominantColor":"#d8b888","averageColor":"#c9ab89"},
+      {"src":"images/P-04/Thinking-Mu9.webp","width":2453,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#887b7b"},
+      {"src":"images/P-04/Thinking-Mu10.webp","width":2419,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#888984"},
+      {"src":"images/P-04/Thinking-Mu11.webp","width":2430,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#8e8a86"},
+      {"src":"images/P-04/Thinking-Mu12.webp","width":2425,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#8b8286"},
+      {"src":"images/P-04/Thinking-Mu13.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#d5c8b9"},
+      {"src":"images/P-04/Thinking-Mu14.webp","width":1056,"height":1600,"orientation":"portrait","dominantColor":"#181808","averageColor":"#58564a"},
+      {"src":"images/P-04/Thinking-Mu15.webp","width":2419,"height":1600,"orientation":"landscape","dominantColor":"#c8a888","averageColor":"#907862"},
+      {"src":"images/P-04/Thinking-Mu16.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#182818","averageColor":"#796d62"},
+      {"src":"images/P-04/Thinking-Mu17.webp","width":2401,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#978a85"},
+      {"src":"images/P-04/Thinking-Mu18.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#948a88"},
+      {"src":"images/P-04/Thinking-Mu19.webp","width":2429,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#8e8d89"},
+      {"src":"images/P-04/Thinking-Mu20.webp","width":2421,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#877471"},
+      {"src":"images/P-04/Thinking-Mu21.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#515654"},
+      {"src":"images/P-04/Thinking-Mu22.webp","width":1059,"height":1600,"orientation":"portrait","dominantColor":"#987868","averageColor":"#886e56"},
+      {"src":"images/P-04/Thinking-Mu23.webp","width":1314,"height":1600,"orientation":"portrait","dominantColor":"#f8d898","averageColor":"#9e8062"},
+      {"src":"images/P-04/Thinking-Mu24.webp","width":1935,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#c4bfbb"},
+      {"src":"images/P-04/Thinking-Mu25.webp","width":1316,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#8e867b"},
+      {"src":"images/P-04/Thinking-Mu26.webp","width":1334,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#716c67"},
+      {"src":"images/P-04/Thinking-Mu27.webp","width":1323,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#b2aeab"},
+      {"src":"images/P-04/Thinking-Mu28.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#ada196"},
+      {"src":"images/P-04/Thinking-Mu29.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#897d77"},
+      {"src":"images/P-04/Thinking-Mu30.webp","width":1965,"height":1600,"orientation":"landscape","dominantColor":"#d8e8f8","averageColor":"#818d98"},
+      {"src":"images/P-04/Thinking-Mu31.webp","width":1291,"height":1600,"orientation":"portrait","dominantColor":"#c8e8f8","averageColor":"#b8b4a0"},
+      {"src":"images/P-04/Thinking-Mu32.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#c8e8f8","averageColor":"#aca58b"},
+      {"src":"images/P-04/Thinking-Mu33.webp","width":1973,"height":1600,"orientation":"landscape","dominantColor":"#081818","averageColor":"#8a8880"},
+      {"src":"images/P-04/Thinking-Mu34.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bebdba"},
+      {"src":"images/P-04/Thinking-Mu35.webp","width":2410,"height":1600,"orientation":"landscape","dominantColor":"#a8a8a8","averageColor":"#6d858c"},
+      {"src":"images/P-04/Thinking-Mu36.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#a8a8a8","averageColor":"#7d9398"},
+      {"src":"images/P-04/Thinking-Mu37.webp","width":2412,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#5c8792"},
+      {"src":"images/P-04/Thinking-Mu38.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#b29987"},
+      {"src":"images/P-04/Thinking-Mu39.webp","width":2433,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#d6d4cf"},
+      {"src":"images/P-04/Thinking-Mu40.webp","width":2442,"height":1600,"orientation":"landscape","dominantColor":"#684838","averageColor":"#806957"},
+      {"src":"images/P-04/Thinking-Mu41.webp","width":2416,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#bea996"},
+      {"src":"images/P-04/Thinking-Mu42.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#cdcdc6"},
+      {"src":"images/P-04/Thinking-Mu43.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#4b3929"},
+      {"src":"images/P-04/Thinking-Mu44.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#d8c8b8","averageColor":"#a08f85"},
+      {"src":"images/P-04/Thinking-Mu45.webp","width":2389,"height":1600,"orientation":"landscape","dominantColor":"#e8e8d8","averageColor":"#938176"},
+      {"src":"images/P-04/Thinking-Mu46.webp","width":2424,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#a59384"},
+      {"src":"images/P-04/Thinking-Mu47.webp","width":1054,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#d1c1bf"},
+      {"src":"images/P-04/Thinking-Mu48.webp","width":2425,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#8e795f"},
+      {"src":"images/P-04/Thinking-Mu49.webp","width":2405,"height":1600,"orientation":"landscape","dominantColor":"#b89878","averageColor":"#9b7e61"},
+      {"src":"images/P-04/Thinking-Mu50.webp","width":1050,"height":1600,"orientation":"portrait","dominantColor":"#482808","averageColor":"#8a6137"},
+      {"src":"images/P-04/Thinking-Mu51.webp","width":1306,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#a4918f"},
+      {"src":"images/P-04/Thinking-Mu52.webp","width":1932,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bda89a"},
+      {"src":"images/P-04/Thinking-Mu53.webp","width":1332,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#ae9587"},
+      {"src":"images/P-04/Thinking-Mu54.webp","width":1318,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c5bfbf"},
+      {"src":"images/P-04/Thinking-Mu55.webp","width":1335,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#a18f89"},
+      {"src":"images/P-04/Thinking-Mu56.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#b4b1a8"},
+      {"src":"images/P-04/Thinking-Mu57.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c7b9b5"},
+      {"src":"images/P-04/Thinking-Mu58.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#a08f8c"},
+      {"src":"images/P-04/Thinking-Mu59.webp","width":1291,"height":1600,"orientation":"portrait","dominantColor":"#d8d8c8","averageColor":"#998977"},
+      {"src":"images/P-04/Thinking-Mu60.webp","width":1323,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#6f7679"},
+      {"src":"images/P-04/Thinking-Mu61.webp","width":2422,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#b6ada6"},
+      {"src":"images/P-04/Thinking-Mu62.webp","width":2405,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#b4aca7"},
+      {"src":"images/P-04/Thinking-Mu63.webp","width":1299,"height":1600,"orientation":"portrait","dominantColor":"#c8d8e8","averageColor":"#8c9396"},
+      {"src":"images/P-04/Thinking-Mu64.webp","width":1316,"height":1600,"orientation":"portrait","dominantColor":"#d8e8f8","averageColor":"#8f959d"},
+      {"src":"images/P-04/Thinking-Mu65.webp","width":1308,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#7d7e83"},
+      {"src":"images/P-04/Thinking-Mu66.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#b8b8a8","averageColor":"#9a8379"},
+      {"src":"images/P-04/Thinking-Mu67.webp","width":2439,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#998c82"},
+      {"src":"images/P-04/Thinking-Mu68.webp","width":2415,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#ae8880"},
+      {"src":"images/P-04/Thinking-Mu69.webp","width":2424,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bda09a"},
+      {"src":"images/P-04/Thinking-Mu70.webp","width":1073,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#cec8c1"},
+      {"src":"images/P-04/Thinking-Mu71.webp","width":2407,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#d1c8c1"},
+      {"src":"images/P-04/Thinking-Mu72.webp","width":2433,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#bdb4a8"},
+      {"src":"images/P-04/Thinking-Mu73.webp","width":2432,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#63615a"},
+      {"src":"images/P-04/Thinking-Mu74.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#d8e8e8","averageColor":"#957c66"},
+      {"src":"images/P-04/Thinking-Mu75.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#9d9a95"},
+      {"src":"images/P-04/Thinking-Mu76.webp","width":1312,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#9e968c"},
+      {"src":"images/P-04/Thinking-Mu77.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c0c1bd"},
+      {"src":"images/P-04/Thinking-Mu78.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#182828","averageColor":"#757067"},
+      {"src":"images/P-04/Thinking-Mu79.webp","width":1310,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#a1a39f"},
+      {"src":"images/P-04/Thinking-Mu80.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#4a4942"},
+      {"src":"images/P-04/Thinking-Mu81.webp","width":1981,"height":1600,"orientation":"landscape","dominantColor":"#182828","averageColor":"#6f6a5e"},
+      {"src":"images/P-04/Thinking-Mu82.webp","width":1328,"height":1600,"orientation":"portrait","dominantColor":"#080818","averageColor":"#4b4643"},
+      {"src":"images/P-04/Thinking-Mu83.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#a7a19b"},
+      {"src":"images/P-04/Thinking-Mu84.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#7c7e77"},
+      {"src":"images/P-04/Thinking-Mu85.webp","width":1310,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#9c908e"},
+      {"src":"images/P-04/Thinking-Mu86.webp","width":1979,"height":1600,"orientation":"landscape","dominantColor":"#082828","averageColor":"#644f3b"},
+      {"src":"images/P-04/Thinking-Mu87.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#737467"},
+      {"src":"images/P-04/Thinking-Mu88.webp","width":1306,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#aa9585"},
+      {"src":"images/P-04/Thinking-Mu89.webp","width":1332,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#b3b7b6"},
+      {"src":"images/P-04/Thinking-Mu90.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#747c78"},
+      {"src":"images/P-04/Thinking-Mu91.webp","width":1928,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#b1b4ae"},
+      {"src":"images/P-04/Thinking-Mu92.webp","width":1964,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#8d8e8a"},
+      {"src":"images/P-04/Thinking-Mu93.webp","width":1943,"height":1600,"orientation":"landscape","dominantColor":"#e8f8f8","averageColor":"#a7958f"},
+      {"src":"images/P-04/Thinking-Mu94.webp","width":1307,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#ab9f93"},
+      {"src":"images/P-04/Thinking-Mu95.webp","width":1289,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#9da19f"},
+      {"src":"images/P-04/Thinking-Mu96.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#b6b4ae"},
+      {"src":"images/P-04/Thinking-Mu97.webp","width":1322,"height":1600,"orientation":"portrait","dominantColor":"#c8a888","averageColor":"#a49485"},
+      {"src":"images/P-04/Thinking-Mu98.webp","width":1332,"height":1600,"orientation":"portrait","dominantColor":"#a8a8a8","averageColor":"#b2947c"},
+      {"src":"images/P-04/Thinking-Mu99.webp","width":2434,"height":1600,"orientation":"landscape","dominantColor":"#a8a8a8","averageColor":"#747b76"},
+      {"src":"images/P-04/Thinking-Mu100.webp","width":1319,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#968580"},
+      {"src":"images/P-04/Thinking-Mu101.webp","width":1922,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b6b7af"},
+      {"src":"images/P-04/Thinking-Mu102.webp","width":1959,"height":1600,"orientation":"landscape","dominantColor":"#d8e8d8","averageColor":"#c6c7bf"},
+      {"src":"images/P-04/Thinking-Mu103.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#8d8d89"},
+      {"src":"images/P-04/Thinking-Mu104.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c7c4c3"},
+      {"src":"images/P-04/Thinking-Mu105.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#95b5b8"},
+      {"src":"images/P-04/Thinking-Mu106.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#c8b8a8","averageColor":"#857e73"},
+      {"src":"images/P-04/Thinking-Mu107.webp","width":1305,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#696f67"},
+      {"src":"images/P-04/Thinking-Mu108.webp","width":1305,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#d6d3cb"},
+      {"src":"images/P-04/Thinking-Mu109.webp","width":1977,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#a09e96"},
+      {"src":"images/P-04/Thinking-Mu110.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#495355"},
+      {"src":"images/P-04/Thinking-Mu111.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b0a39a"},
+      {"src":"images/P-04/Thinking-Mu112.webp","width":2401,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#c9a796"},
+      {"src":"images/P-04/Thinking-Mu113.webp","width":2435,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#989693"},
+      {"src":"images/P-04/Thinking-Mu114.webp","width":1062,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#766a67"},
+      {"src":"images/P-04/Thinking-Mu115.webp","width":2396,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#858a8a"},
+      {"src":"images/P-04/Thinking-Mu116.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#ae9d8f"},
+      {"src":"images/P-04/Thinking-Mu117.webp","width":1137,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#b2a59b"},
+      {"src":"images/P-04/Thinking-Mu118.webp","width":2381,"height":1600,"orientation":"landscape","dominantColor":"#081818","averageColor":"#61686b"},
+      {"src":"images/P-04/Thinking-Mu119.webp","width":2435,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b6b3b0"},
+      {"src":"images/P-04/Thinking-Mu120.webp","width":2423,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#878885"},
+      {"src":"images/P-04/Thinking-Mu121.webp","width":1054,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#9e9290"},
+      {"src":"images/P-04/Thinking-Mu122.webp","width":2421,"height":1600,"orientation":"landscape","dominantColor":"#d8d8c8","averageColor":"#9a918e"},
+      {"src":"images/P-04/Thinking-Mu123.webp","width":2416,"height":1600,"orientation":"landscape","dominantColor":"#d8c8c8","averageColor":"#a4938d"},
+      {"src":"images/P-04/Thinking-Mu124.webp","width":2422,"height":1600,"orientation":"landscape","dominantColor":"#d83838","averageColor":"#ab493c"},
+      {"src":"images/P-04/Thinking-Mu125.webp","width":1073,"height":1600,"orientation":"portrait","dominantColor":"#081818","averageColor":"#7a7b7b"},
+      {"src":"images/P-04/Thinking-Mu126.webp","width":1062,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c7cdcf"},
+      {"src":"images/P-04/Thinking-Mu127.webp","width":2427,"height":1600,"orientation":"landscape","dominantColor":"#d8c8c8","averageColor":"#b9b3b3"},
+      {"src":"images/P-04/Thinking-Mu128.webp","width":2392,"height":1600,"orientation":"landscape","dominantColor":"#e8d8b8","averageColor":"#a48670"},
+      {"src":"images/P-04/Thinking-Mu129.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#c5bbbb"},
+      {"src":"images/P-04/Thinking-Mu130.webp","width":1035,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#ada3a4"},
+      {"src":"images/P-04/Thinking-Mu131.webp","width":2401,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#9ca49f"},
+      {"src":"images/P-04/Thinking-Mu132.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#8a7e75"},
+      {"src":"images/P-04/Thinking-Mu133.webp","width":2444,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#907e7a"},
+      {"src":"images/P-04/Thinking-Mu134.webp","width":2399,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#514a3e"},
+      {"src":"images/P-04/Thinking-Mu135.webp","width":2429,"height":1600,"orientation":"landscape","dominantColor":"#f8f8e8","averageColor":"#c2bbb5"},
+      {"src":"images/P-04/Thinking-Mu136.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c2c3c7"},
+      {"src":"images/P-04/Thinking-Mu137.webp","width":1042,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#bdbdbf"}
+    ]
+  },
+  "P-05": {
+    "images": [
+      {"src":"images/P-05/Varanasi1.webp","width":1059,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#b9aaa1"},
+      {"src":"images/P-05/Varanasi2.webp","width":1065,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#b09a90"},
+      {"src":"images/P-05/Varanasi3.webp","width":1050,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#a3877c"},
+      {"src":"images/P-05/Varanasi4.webp","width":1065,"height":1600,"orientation":"portrait","dominantColor":"#988878","averageColor":"#908076"},
+      {"src":"images/P-05/Varanasi5.webp","width":2414,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#948174"},
+      {"src":"images/P-05/Varanasi6.webp","width":2402,"height":1600,"orientation":"landscape","dominantColor":"#e8e8d8","averageColor":"#9c8374"},
+      {"src":"images/P-05/Varanasi7.webp","width":2421,"height":1600,"orientation":"landscape","dominantColor":"#e8e8d8","averageColor":"#9b8a7f"},
+      {"src":"images/P-05/Varanasi8.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#aba29a"},
+      {"src":"images/P-05/Varanasi9.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#a49a92"},
+      {"src":"images/P-05/Varanasi10.webp","width":2411,"height":1600,"orientation":"landscape","dominantColor":"#e8e8d8","averageColor":"#c9c1ba"},
+      {"src":"images/P-05/Varanasi11.webp","width":2433,"height":1600,"orientation":"landscape","dominantColor":"#b8a888","averageColor":"#9c8468"},
+      {"src":"images/P-05/Varanasi12.webp","width":2453,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bdaea7"},
+      {"src":"images/P-05/Varanasi13.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#627174"},
+      {"src":"images/P-05/Varanasi14.webp","width":1044,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#918479"},
+      {"src":"images/P-05/Varanasi15.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#481808","averageColor":"#713b26"},
+      {"src":"images/P-05/Varanasi16.webp","width":1052,"height":1600,"orientation":"portrait","dominantColor":"#481808","averageColor":"#8f4624"},
+      {"src":"images/P-05/Varanasi17.webp","width":2394,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#948d8e"},
+      {"src":"images/P-05/Varanasi18.webp","width":2438,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#615754"},
+      {"src":"images/P-05/Varanasi19.webp","width":2430,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#8b8880"},
+      {"src":"images/P-05/Varanasi20.webp","width":1054,"height":1600,"orientation":"portrait","dominantColor":"#a89898","averageColor":"#968a85"},
+      {"src":"images/P-05/Varanasi21.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#b8a8a8","averageColor":"#92887f"},
+      {"src":"images/P-05/Varanasi22.webp","width":1060,"height":1600,"orientation":"portrait","dominantColor":"#989898","averageColor":"#8a837c"},
+      {"src":"images/P-05/Varanasi23.webp","width":1068,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#9d938c"},
+      {"src":"images/P-05/Varanasi24.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#958b83"},
+      {"src":"images/P-05/Varanasi25.webp","width":1053,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#c9aa8b"},
+      {"src":"images/P-05/Varanasi26.webp","width":1058,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5b4030"},
+      {"src":"images/P-05/Varanasi27.webp","width":2410,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#52473b"},
+      {"src":"images/P-05/Varanasi28.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b5aba3"},
+      {"src":"images/P-05/Varanasi29.webp","width":2410,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#5b4e47"},
+      {"src":"images/P-05/Varanasi30.webp","width":2408,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b9b3ab"},
+      {"src":"images/P-05/Varanasi31.webp","width":1065,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#8c7462"},
+      {"src":"images/P-05/Varanasi32.webp","width":1044,"height":1600,"orientation":"portrait","dominantColor":"#e8f8e8","averageColor":"#91796a"},
+      {"src":"images/P-05/Varanasi33.webp","width":1053,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#907c74"},
+      {"src":"images/P-05/Varanasi34.webp","width":2449,"height":1600,"orientation":"landscape","dominantColor":"#a88868","averageColor":"#8b6f57"},
+      {"src":"images/P-05/Varanasi35.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#c8a878","averageColor":"#9b7b5e"},
+      {"src":"images/P-05/Varanasi36.webp","width":2439,"height":1600,"orientation":"landscape","dominantColor":"#c8a888","averageColor":"#b79770"},
+      {"src":"images/P-05/Varanasi37.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#a88868","averageColor":"#a78963"},
+      {"src":"images/P-05/Varanasi38.webp","width":1049,"height":1600,"orientation":"portrait","dominantColor":"#b8a888","averageColor":"#a98d6e"},
+      {"src":"images/P-05/Varanasi39.webp","width":1058,"height":1600,"orientation":"portrait","dominantColor":"#b89878","averageColor":"#b09472"},
+      {"src":"images/P-05/Varanasi40.webp","width":2455,"height":1600,"orientation":"landscape","dominantColor":"#b89878","averageColor":"#97795e"},
+      {"src":"images/P-05/Varanasi41.webp","width":2463,"height":1600,"orientation":"landscape","dominantColor":"#c8b898","averageColor":"#81644e"},
+      {"src":"images/P-05/Varanasi42.webp","width":2433,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#7a6e60"},
+      {"src":"images/P-05/Varanasi43.webp","width":1053,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#302b20"},
+      {"src":"images/P-05/Varanasi44.webp","width":2443,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#302f26"},
+      {"src":"images/P-05/Varanasi45.webp","width":2433,"height":1600,"orientation":"landscape","dominantColor":"#d8e8e8","averageColor":"#c2c3c3"},
+      {"src":"images/P-05/Varanasi46.webp","width":2445,"height":1600,"orientation":"landscape","dominantColor":"#c8e8e8","averageColor":"#88806f"},
+      {"src":"images/P-05/Varanasi47.webp","width":2442,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#89796e"},
+      {"src":"images/P-05/Varanasi48.webp","width":1060,"height":1600,"orientation":"portrait","dominantColor":"#282818","averageColor":"#72625e"},
+      {"src":"images/P-05/Varanasi49.webp","width":1057,"height":1600,"orientation":"portrait","dominantColor":"#b88868","averageColor":"#91755f"},
+      {"src":"images/P-05/Varanasi50.webp","width":1053,"height":1600,"orientation":"portrait","dominantColor":"#a89888","averageColor":"#9f7b62"}
+    ]
+  },
+  "P-06": {
+    "images": [
+      {"src":"images/P-06/Kirguistan1.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#5a433f"},
+      {"src":"images/P-06/Kirguistan2.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#c8b8b8","averageColor":"#716662"},
+      {"src":"images/P-06/Kirguistan3.webp","width":2403,"height":1600,"orientation":"landscape","dominantColor":"#d8e8e8","averageColor":"#8a9491"},
+      {"src":"images/P-06/Kirguistan4.webp","width":2385,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#433c3b"},
+      {"src":"images/P-06/Kirguistan5.webp","width":2418,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#353235"},
+      {"src":"images/P-06/Kirguistan6.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#1f1c1d"},
+      {"src":"images/P-06/Kirguistan7.webp","width":2421,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#17150f"},
+      {"src":"images/P-06/Kirguistan8.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#a09b9f"},
+      {"src":"images/P-06/Kirguistan9.webp","width":2440,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#312c2f"},
+      {"src":"images/P-06/Kirguistan10.webp","width":2391,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#120b0c"},
+      {"src":"images/P-06/Kirguistan11.webp","width":2417,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#394146"},
+      {"src":"images/P-06/Kirguistan12.webp","width":2396,"height":1600,"orientation":"landscape","dominantColor":"#d8d8e8","averageColor":"#8d989a"},
+      {"src":"images/P-06/Kirguistan13.webp","width":2409,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#767c75"},
+      {"src":"images/P-06/Kirguistan14.webp","width":1984,"height":1600,"orientation":"landscape","dominantColor":"#d8e8e8","averageColor":"#6c767e"},
+      {"src":"images/P-06/Kirguistan15.webp","width":1314,"height":1600,"orientation":"portrait","dominantColor":"#888898","averageColor":"#747375"},
+      {"src":"images/P-06/Kirguistan16.webp","width":1982,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#59575a"},
+      {"src":"images/P-06/Kirguistan17.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#98b8d8","averageColor":"#969a92"},
+      {"src":"images/P-06/Kirguistan18.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#d8d8e8","averageColor":"#9a9ba2"},
+      {"src":"images/P-06/Kirguistan19.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#282818","averageColor":"#4e493a"},
+      {"src":"images/P-06/Kirguistan20.webp","width":1962,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#545962"},
+      {"src":"images/P-06/Kirguistan21.webp","width":1290,"height":1600,"orientation":"portrait","dominantColor":"#684838","averageColor":"#7d6559"},
+      {"src":"images/P-06/Kirguistan22.webp","width":1961,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#74695c"},
+      {"src":"images/P-06/Kirguistan23.webp","width":1982,"height":1600,"orientation":"landscape","dominantColor":"#281818","averageColor":"#6d6059"},
+      {"src":"images/P-06/Kirguistan24.webp","width":1990,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#363333"},
+      {"src":"images/P-06/Kirguistan25.webp","width":1302,"height":1600,"orientation":"portrait","dominantColor":"#181808","averageColor":"#494b4f"},
+      {"src":"images/P-06/Kirguistan26.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#5d5b5b"},
+      {"src":"images/P-06/Kirguistan27.webp","width":1288,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#6f7679"},
+      {"src":"images/P-06/Kirguistan28.webp","width":1305,"height":1600,"orientation":"portrait","dominantColor":"#684828","averageColor":"#95917f"},
+      {"src":"images/P-06/Kirguistan29.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a2b5c8"},
+      {"src":"images/P-06/Kirguistan30.webp","width":2403,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#99999d"},
+      {"src":"images/P-06/Kirguistan31.webp","width":2413,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#b2b5ad"},
+      {"src":"images/P-06/Kirguistan32.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#d2ccc1"},
+      {"src":"images/P-06/Kirguistan33.webp","width":2372,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#868c90"},
+      {"src":"images/P-06/Kirguistan34.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#b8b8b8","averageColor":"#9c857e"},
+      {"src":"images/P-06/Kirguistan35.webp","width":2398,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#3a3130"}
+    ]
+  },
+  "P-07": {
+    "images": [
+      {"src":"images/P-07/Georgia1.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#8b827c"},
+      {"src":"images/P-07/Georgia2.webp","width":1297,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#7c6b60"},
+      {"src":"images/P-07/Georgia3.webp","width":1973,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#b5aba9"},
+      {"src":"images/P-07/Georgia4.webp","width":1298,"height":1600,"orientation":"portrait","dominantColor":"#f8e8e8","averageColor":"#9c8972"},
+      {"src":"images/P-07/Georgia5.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#554138"},
+      {"src":"images/P-07/Georgia6.webp","width":1985,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#ada888"},
+      {"src":"images/P-07/Georgia7.webp","width":1960,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bbb1a0"},
+      {"src":"images/P-07/Georgia8.webp","width":1999,"height":1600,"orientation":"landscape","dominantColor":"#c8b878","averageColor":"#c4b695"},
+      {"src":"images/P-07/Georgia9.webp","width":1993,"height":1600,"orientation":"landscape","dominantColor":"#483828","averageColor":"#837870"},
+      {"src":"images/P-07/Georgia10.webp","width":1283,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#827b69"},
+      {"src":"images/P-07/Georgia11.webp","width":1989,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#a79987"},
+      {"src":"images/P-07/Georgia12.webp","width":1989,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#a19482"},
+      {"src":"images/P-07/Georgia13.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#665343"},
+      {"src":"images/P-07/Georgia14.webp","width":1280,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#4d3c34"},
+      {"src":"images/P-07/Georgia15.webp","width":1289,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#644e3e"},
+      {"src":"images/P-07/Georgia16.webp","width":1967,"height":1600,"orientation":"landscape","dominantColor":"#c8b8a8","averageColor":"#b2a091"},
+      {"src":"images/P-07/Georgia17.webp","width":1961,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#5e3128"},
+      {"src":"images/P-07/Georgia18.webp","width":1981,"height":1600,"orientation":"landscape","dominantColor":"#883818","averageColor":"#7a452d"},
+      {"src":"images/P-07/Georgia19.webp","width":1272,"height":1600,"orientation":"portrait","dominantColor":"#886848","averageColor":"#755d4c"},
+      {"src":"images/P-07/Georgia20.webp","width":1956,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#c0c2c3"},
+      {"src":"images/P-07/Georgia21.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#bebcba"},
+      {"src":"images/P-07/Georgia22.webp","width":1312,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#513a29"},
+      {"src":"images/P-07/Georgia23.webp","width":1308,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#241716"},
+      {"src":"images/P-07/Georgia24.webp","width":1979,"height":1600,"orientation":"landscape","dominantColor":"#282828","averageColor":"#5b544e"},
+      {"src":"images/P-07/Georgia25.webp","width":1307,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#b0b1b2"},
+      {"src":"images/P-07/Georgia26.webp","width":1306,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#566476"},
+      {"src":"images/P-07/Georgia27.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#372e2b"},
+      {"src":"images/P-07/Georgia28.webp","width":1307,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#573f2d"},
+      {"src":"images/P-07/Georgia29.webp","width":1966,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#725c50"},
+      {"src":"images/P-07/Georgia30.webp","width":1299,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#a89f97"},
+      {"src":"images/P-07/Georgia31.webp","width":1977,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#755d4f"},
+      {"src":"images/P-07/Georgia32.webp","width":1962,"height":1600,"orientation":"landscape","dominantColor":"#a89878","averageColor":"#7c6a51"},
+      {"src":"images/P-07/Georgia33.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#281818","averageColor":"#7f7666"},
+      {"src":"images/P-07/Georgia34.webp","width":1958,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#9dacbf"},
+      {"src":"images/P-07/Georgia35.webp","width":1960,"height":1600,"orientation":"landscape","dominantColor":"#6888a8","averageColor":"#707f96"},
+      {"src":"images/P-07/Georgia36.webp","width":1972,"height":1600,"orientation":"landscape","dominantColor":"#988868","averageColor":"#a2a39c"},
+      {"src":"images/P-07/Georgia37.webp","width":1958,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#696668"},
+      {"src":"images/P-07/Georgia38.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#b89878","averageColor":"#beaf9c"},
+      {"src":"images/P-07/Georgia39.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#586868","averageColor":"#6b6a65"},
+      {"src":"images/P-07/Georgia40.webp","width":1312,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#6e7d8a"},
+      {"src":"images/P-07/Georgia41.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#646c6c"},
+      {"src":"images/P-07/Georgia42.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#5898c8","averageColor":"#6e777f"},
+      {"src":"images/P-07/Georgia43.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#445266"},
+      {"src":"images/P-07/Georgia44.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#727d87"},
+      {"src":"images/P-07/Georgia45.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#6d7782"},
+      {"src":"images/P-07/Georgia46.webp","width":1958,"height":1600,"orientation":"landscape","dominantColor":"#e8e8f8","averageColor":"#7a858e"},
+      {"src":"images/P-07/Georgia47.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#885838","averageColor":"#977e65"},
+      {"src":"images/P-07/Georgia48.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#90959e"},
+      {"src":"images/P-07/Georgia49.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#484848","averageColor":"#888a8c"},
+      {"src":"images/P-07/Georgia50.webp","width":1307,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#648196"},
+      {"src":"images/P-07/Georgia51.webp","width":1312,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#9daab8"},
+      {"src":"images/P-07/Georgia52.webp","width":1968,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a29e9f"},
+      {"src":"images/P-07/Georgia53.webp","width":1983,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a09783"},
+      {"src":"images/P-07/Georgia54.webp","width":1962,"height":1600,"orientation":"landscape","dominantColor":"#d8e8e8","averageColor":"#b2b091"},
+      {"src":"images/P-07/Georgia55.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#281808","averageColor":"#756b58"},
+      {"src":"images/P-07/Georgia56.webp","width":1969,"height":1600,"orientation":"landscape","dominantColor":"#b8b8a8","averageColor":"#aca998"},
+      {"src":"images/P-07/Georgia57.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#888848","averageColor":"#9da07e"},
+      {"src":"images/P-07/Georgia58.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#474035"},
+      {"src":"images/P-07/Georgia59.webp","width":1286,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#514a3d"},
+      {"src":"images/P-07/Georgia60.webp","width":1944,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#2c2522"},
+      {"src":"images/P-07/Georgia61.webp","width":1969,"height":1600,"orientation":"landscape","dominantColor":"#181808","averageColor":"#312821"},
+      {"src":"images/P-07/Georgia62.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c6c5cc"},
+      {"src":"images/P-07/Georgia63.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#382818","averageColor":"#4c463f"},
+      {"src":"images/P-07/Georgia64.webp","width":1979,"height":1600,"orientation":"landscape","dominantColor":"#282818","averageColor":"#645c55"},
+      {"src":"images/P-07/Georgia65.webp","width":1977,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#9d9994"},
+      {"src":"images/P-07/Georgia66.webp","width":1984,"height":1600,"orientation":"landscape","dominantColor":"#e8e8f8","averageColor":"#b3ac8d"},
+      {"src":"images/P-07/Georgia67.webp","width":1271,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#7e868d"},
+      {"src":"images/P-07/Georgia68.webp","width":1233,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c7bfaf"},
+      {"src":"images/P-07/Georgia69.webp","width":2022,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#889bb6"},
+      {"src":"images/P-07/Georgia70.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#bdbec1"},
+      {"src":"images/P-07/Georgia71.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#bdbec1"},
+      {"src":"images/P-07/Georgia72.webp","width":1303,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#8e8e87"},
+      {"src":"images/P-07/Georgia73.webp","width":1262,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#b3b095"},
+      {"src":"images/P-07/Georgia74.webp","width":2022,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#889bb6"},
+      {"src":"images/P-07/Georgia75.webp","width":1956,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#c0c2c3"},
+      {"src":"images/P-07/Georgia76.webp","width":1958,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#9dacbf"},
+      {"src":"images/P-07/Georgia77.webp","width":1960,"height":1600,"orientation":"landscape","dominantColor":"#6888a8","averageColor":"#707f96"},
+      {"src":"images/P-07/Georgia78.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#90959e"},
+      {"src":"images/P-07/Georgia79.webp","width":1971,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#a1958d"},
+      {"src":"images/P-07/Georgia80.webp","width":1962,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bea889"},
+      {"src":"images/P-07/Georgia81.webp","width":1974,"height":1600,"orientation":"landscape","dominantColor":"#180808","averageColor":"#77655d"},
+      {"src":"images/P-07/Georgia82.webp","width":1967,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#9c7b69"},
+      {"src":"images/P-07/Georgia83.webp","width":1296,"height":1600,"orientation":"portrait","dominantColor":"#380808","averageColor":"#74574e"}
+    ]
+  },
+  "P-08": {
+    "images": [
+      {"src":"images/P-08/TheJumpingAge1.webp","width":2374,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#828282"},
+      {"src":"images/P-08/TheJumpingAge2.webp","width":1063,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#888888"},
+      {"src":"images/P-08/TheJumpingAge3.webp","width":2404,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#9e9e9e"},
+      {"src":"images/P-08/TheJumpingAge4.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#b8b8b8","averageColor":"#acacac"},
+      {"src":"images/P-08/TheJumpingAge5.webp","width":2401,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#a3a3a3"},
+      {"src":"images/P-08/TheJumpingAge6.webp","width":1055,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#828282"},
+      {"src":"images/P-08/TheJumpingAge7.webp","width":2339,"height":1600,"orientation":"landscape","dominantColor":"#989898","averageColor":"#797979"},
+      {"src":"images/P-08/TheJumpingAge8.webp","width":1062,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#9e9e9e"},
+      {"src":"images/P-08/TheJumpingAge9.webp","width":1060,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#989898"},
+      {"src":"images/P-08/TheJumpingAge10.webp","width":1075,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#949494"},
+      {"src":"images/P-08/TheJumpingAge11.webp","width":2406,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#7d7d7d"},
+      {"src":"images/P-08/TheJumpingAge12.webp","width":2388,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#959595"},
+      {"src":"images/P-08/TheJumpingAge13.webp","width":2415,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#a1a1a1"},
+      {"src":"images/P-08/TheJumpingAge14.webp","width":2381,"height":1600,"orientation":"landscape","dominantColor":"#c8c8c8","averageColor":"#9b9b9b"},
+      {"src":"images/P-08/TheJumpingAge15.webp","width":2360,"height":1600,"orientation":"landscape","dominantColor":"#b8b8b8","averageColor":"#8d8d8d"},
+      {"src":"images/P-08/TheJumpingAge16.webp","width":1276,"height":1600,"orientation":"portrait","dominantColor":"#e8e8d8","averageColor":"#b2aeab"},
+      {"src":"images/P-08/TheJumpingAge17.webp","width":1291,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#baaba4"},
+      {"src":"images/P-08/TheJumpingAge18.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#f8e8e8","averageColor":"#9d9ea4"},
+      {"src":"images/P-08/TheJumpingAge19.webp","width":2175,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#9e948f"},
+      {"src":"images/P-08/TheJumpingAge20.webp","width":1168,"height":1600,"orientation":"portrait","dominantColor":"#b8d8e8","averageColor":"#959091"},
+      {"src":"images/P-08/TheJumpingAge21.webp","width":2213,"height":1600,"orientation":"landscape","dominantColor":"#d8c8b8","averageColor":"#c1b8b0"},
+      {"src":"images/P-08/TheJumpingAge22.webp","width":2085,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a29891"},
+      {"src":"images/P-08/TheJumpingAge23.webp","width":2172,"height":1600,"orientation":"landscape","dominantColor":"#182848","averageColor":"#60697e"},
+      {"src":"images/P-08/TheJumpingAge24.webp","width":2135,"height":1600,"orientation":"landscape","dominantColor":"#c8d8d8","averageColor":"#acb3b8"},
+      {"src":"images/P-08/TheJumpingAge25.webp","width":2074,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#c5bcb0"},
+      {"src":"images/P-08/TheJumpingAge26.webp","width":2109,"height":1600,"orientation":"landscape","dominantColor":"#c8d8e8","averageColor":"#a09a99"},
+      {"src":"images/P-08/TheJumpingAge27.webp","width":2181,"height":1600,"orientation":"landscape","dominantColor":"#c8c8b8","averageColor":"#b1a095"},
+      {"src":"images/P-08/TheJumpingAge28.webp","width":2162,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#a79085"},
+      {"src":"images/P-08/TheJumpingAge29.webp","width":2062,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#cecbcb"},
+      {"src":"images/P-08/TheJumpingAge30.webp","width":1142,"height":1600,"orientation":"portrait","dominantColor":"#b8c8d8","averageColor":"#a9a8ab"},
+      {"src":"images/P-08/TheJumpingAge31.webp","width":1114,"height":1600,"orientation":"portrait","dominantColor":"#d8e8e8","averageColor":"#beb8b3"},
+      {"src":"images/P-08/TheJumpingAge32.webp","width":1057,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#919191"}
+    ]
+  },
+  "P-09": {
+    "images": [
+      {"src":"images/P-09/Comercial1.webp","width":1348,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#dcdcdb"},
+      {"src":"images/P-09/Comercial2.webp","width":1925,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#c4c4c3"},
+      {"src":"images/P-09/Comercial3.webp","width":1559,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#d5d5d4"},
+      {"src":"images/P-09/Comercial4.webp","width":1319,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5f5e5b"},
+      {"src":"images/P-09/Comercial5.webp","width":1327,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#5f605c"},
+      {"src":"images/P-09/Comercial6.webp","width":1338,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c3c4c3"},
+      {"src":"images/P-09/Comercial7.webp","width":1226,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#959795"},
+      {"src":"images/P-09/Comercial8.webp","width":1342,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#bfc1c1"},
+      {"src":"images/P-09/Comercial9.webp","width":1218,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#909594"},
+      {"src":"images/P-09/Comercial10.webp","width":2104,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#aeacab"},
+      {"src":"images/P-09/Comercial11.webp","width":2152,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#aaa8a8"},
+      {"src":"images/P-09/Comercial12.webp","width":1593,"height":1600,"orientation":"portrait","dominantColor":"#989898","averageColor":"#8a8a88"},
+      {"src":"images/P-09/Comercial13.webp","width":1627,"height":1600,"orientation":"landscape","dominantColor":"#080808","averageColor":"#585957"},
+      {"src":"images/P-09/Comercial14.webp","width":1591,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#707270"},
+      {"src":"images/P-09/Comercial15.webp","width":1597,"height":1600,"orientation":"portrait","dominantColor":"#b8b8b8","averageColor":"#b9bbb9"},
+      {"src":"images/P-09/Comercial16.webp","width":1591,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#606364"},
+      {"src":"images/P-09/Comercial17.webp","width":1300,"height":1600,"orientation":"portrait","dominantColor":"#787878","averageColor":"#605e5e"},
+      {"src":"images/P-09/Comercial18.webp","width":1972,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#9e8d7f"},
+      {"src":"images/P-09/Comercial19.webp","width":1112,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#474845"},
+      {"src":"images/P-09/Comercial20.webp","width":1289,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#d7d3d5"},
+      {"src":"images/P-09/Comercial21.webp","width":1067,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#edebec"},
+      {"src":"images/P-09/Comercial22.webp","width":1052,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#ddd9d9"},
+      {"src":"images/P-09/Comercial23.webp","width":1061,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#9a7e68"},
+      {"src":"images/P-09/Comercial24.webp","width":1203,"height":1600,"orientation":"portrait","dominantColor":"#e8e8f8","averageColor":"#b4a192"},
+      {"src":"images/P-09/Comercial25.webp","width":1203,"height":1600,"orientation":"portrait","dominantColor":"#f8e8f8","averageColor":"#938a85"},
+      {"src":"images/P-09/Comercial26.webp","width":1171,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#948a84"},
+      {"src":"images/P-09/Comercial27.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#645a51"},
+      {"src":"images/P-09/Comercial28.webp","width":1294,"height":1600,"orientation":"portrait","dominantColor":"#484838","averageColor":"#8c7964"},
+      {"src":"images/P-09/Comercial29.webp","width":1327,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#cacac5"},
+      {"src":"images/P-09/Comercial30.webp","width":1342,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c5b7aa"},
+      {"src":"images/P-09/Comercial31.webp","width":1979,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#ccb2ad"},
+      {"src":"images/P-09/Comercial32.webp","width":1309,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#c4b7b1"},
+      {"src":"images/P-09/Comercial33.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#d8d5d4"},
+      {"src":"images/P-09/Comercial34.webp","width":1946,"height":1600,"orientation":"landscape","dominantColor":"#d8d8d8","averageColor":"#dad7d6"},
+      {"src":"images/P-09/Comercial35.webp","width":1325,"height":1600,"orientation":"portrait","dominantColor":"#c8d8e8","averageColor":"#a29d9b"},
+      {"src":"images/P-09/Comercial36.webp","width":2014,"height":1600,"orientation":"landscape","dominantColor":"#b89888","averageColor":"#a18f86"},
+      {"src":"images/P-09/Comercial37.webp","width":1321,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#969692"},
+      {"src":"images/P-09/Comercial38.webp","width":1324,"height":1600,"orientation":"portrait","dominantColor":"#a89898","averageColor":"#9c8e84"},
+      {"src":"images/P-09/Comercial39.webp","width":1282,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#e3d2d2"},
+      {"src":"images/P-09/Comercial40.webp","width":1282,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#e1cdd0"},
+      {"src":"images/P-09/Comercial41.webp","width":2036,"height":1600,"orientation":"landscape","dominantColor":"#b8b8a8","averageColor":"#938374"},
+      {"src":"images/P-09/Comercial42.webp","width":1282,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#e2dbd7"},
+      {"src":"images/P-09/Comercial43.webp","width":1329,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#d9c8bd"},
+      {"src":"images/P-09/Comercial44.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c7bbb5"},
+      {"src":"images/P-09/Comercial45.webp","width":1975,"height":1600,"orientation":"landscape","dominantColor":"#180818","averageColor":"#5b5456"},
+      {"src":"images/P-09/Comercial46.webp","width":1951,"height":1600,"orientation":"landscape","dominantColor":"#180818","averageColor":"#635c5e"},
+      {"src":"images/P-09/Comercial47.webp","width":1948,"height":1600,"orientation":"landscape","dominantColor":"#181828","averageColor":"#736d6e"},
+      {"src":"images/P-09/Comercial48.webp","width":1163,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#737371"},
+      {"src":"images/P-09/Comercial49.webp","width":1314,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#595254"},
+      {"src":"images/P-09/Comercial50.webp","width":1301,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#a19994"},
+      {"src":"images/P-09/Comercial51.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#c8c8c8","averageColor":"#a29d99"},
+      {"src":"images/P-09/Comercial52.webp","width":1304,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#a2a39f"},
+      {"src":"images/P-09/Comercial53.webp","width":1970,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#dedfdc"},
+      {"src":"images/P-09/Comercial54.webp","width":1308,"height":1600,"orientation":"portrait","dominantColor":"#787868","averageColor":"#746965"},
+      {"src":"images/P-09/Comercial55.webp","width":1066,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#825c52"},
+      {"src":"images/P-09/Comercial56.webp","width":1575,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#615144"},
+      {"src":"images/P-09/Comercial57.webp","width":1577,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#2e302d"},
+      {"src":"images/P-09/Comercial58.webp","width":1608,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#878885"},
+      {"src":"images/P-09/Comercial59.webp","width":1589,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#434341"},
+      {"src":"images/P-09/Comercial60.webp","width":1597,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#797a76"},
+      {"src":"images/P-09/Comercial61.webp","width":1656,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#705c46"},
+      {"src":"images/P-09/Comercial62.webp","width":1310,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#747069"},
+      {"src":"images/P-09/Comercial63.webp","width":1316,"height":1600,"orientation":"portrait","dominantColor":"#383838","averageColor":"#827c72"},
+      {"src":"images/P-09/Comercial64.webp","width":1573,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#282321"},
+      {"src":"images/P-09/Comercial65.webp","width":1966,"height":1600,"orientation":"landscape","dominantColor":"#787868","averageColor":"#89867d"},
+      {"src":"images/P-09/Comercial66.webp","width":1312,"height":1600,"orientation":"portrait","dominantColor":"#888888","averageColor":"#9d8e8c"},
+      {"src":"images/P-09/Comercial67.webp","width":1093,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#898986"},
+      {"src":"images/P-09/Comercial68.webp","width":1935,"height":1600,"orientation":"landscape","dominantColor":"#e8e8e8","averageColor":"#bdbab9"},
+      {"src":"images/P-09/Comercial69.webp","width":1327,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#979794"},
+      {"src":"images/P-09/Comercial70.webp","width":1078,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#838382"},
+      {"src":"images/P-09/Comercial71.webp","width":1987,"height":1600,"orientation":"landscape","dominantColor":"#181818","averageColor":"#575854"},
+      {"src":"images/P-09/Comercial72.webp","width":1282,"height":1600,"orientation":"portrait","dominantColor":"#282828","averageColor":"#504846"},
+      {"src":"images/P-09/Comercial73.webp","width":1293,"height":1600,"orientation":"portrait","dominantColor":"#181818","averageColor":"#756b63"},
+      {"src":"images/P-09/Comercial74.webp","width":1644,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#bebbba"},
+      {"src":"images/P-09/Comercial75.webp","width":1901,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#c3c3c4"},
+      {"src":"images/P-09/Comercial76.webp","width":1459,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#c1c3c2"},
+      {"src":"images/P-09/Comercial77.webp","width":1442,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#cac8c8"},
+      {"src":"images/P-09/Comercial78.webp","width":1966,"height":1600,"orientation":"landscape","dominantColor":"#a86858","averageColor":"#91756d"},
+      {"src":"images/P-09/Comercial79.webp","width":1318,"height":1600,"orientation":"portrait","dominantColor":"#988878","averageColor":"#9a9186"},
+      {"src":"images/P-09/Comercial80.webp","width":1291,"height":1600,"orientation":"portrait","dominantColor":"#080808","averageColor":"#463e3f"},
+      {"src":"images/P-09/Comercial81.webp","width":1292,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#b4a8a6"},
+      {"src":"images/P-09/Comercial82.webp","width":1219,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#7d6265"},
+      {"src":"images/P-09/Comercial83.webp","width":1269,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#7f7072"},
+      {"src":"images/P-09/Comercial84.webp","width":1306,"height":1600,"orientation":"portrait","dominantColor":"#d8d8d8","averageColor":"#bbc1b8"},
+      {"src":"images/P-09/Comercial85.webp","width":1295,"height":1600,"orientation":"portrait","dominantColor":"#e8d8c8","averageColor":"#ac9b88"},
+      {"src":"images/P-09/Comercial86.webp","width":1293,"height":1600,"orientation":"portrait","dominantColor":"#180808","averageColor":"#6d6864"},
+      {"src":"images/P-09/Comercial87.webp","width":1137,"height":1600,"orientation":"portrait","dominantColor":"#081828","averageColor":"#615e61"},
+      {"src":"images/P-09/Comercial88.webp","width":1815,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#bcaca2"},
+      {"src":"images/P-09/Comercial89.webp","width":1973,"height":1600,"orientation":"landscape","dominantColor":"#f8f8f8","averageColor":"#cbbfb6"},
+      {"src":"images/P-09/Comercial90.webp","width":1131,"height":1600,"orientation":"portrait","dominantColor":"#f8f8f8","averageColor":"#90908f"},
+      {"src":"images/P-09/Comercial91.webp","width":1128,"height":1600,"orientation":"portrait","dominantColor":"#081828","averageColor":"#6d6767"},
+      {"src":"images/P-09/Comercial92.webp","width":1318,"height":1600,"orientation":"portrait","dominantColor":"#786858","averageColor":"#877d71"},
+      {"src":"images/P-09/Comercial93.webp","width":1263,"height":1600,"orientation":"portrait","dominantColor":"#e8e8e8","averageColor":"#d0cfce"}
+    ]
+  }
+};
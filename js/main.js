@@ -3,75 +3,6 @@
  * Handles initialization and page-specific functionality
  */
 
-// Prevent WebSocket connections from blocking back/forward cache in production
-(function() {
-  // Detect if we're in a production environment (not local development)
-  const isLocalDevelopment = window.location.hostname === 'localhost' || 
-                           window.location.hostname === '127.0.0.1' ||
-                           window.location.hostname === '0.0.0.0' ||
-                           window.location.hostname.includes('.local') ||
-                           window.location.port !== '';
-  
-  // Also check for common development indicators
-  const isDevelopment = isLocalDevelopment || 
-                       document.documentElement.hasAttribute('data-development') ||
-                       localStorage.getItem('development-mode') === 'true';
-  
-  if (!isDevelopment) {
-    // Override WebSocket constructor to prevent unwanted connections in production
-    const OriginalWebSocket = window.WebSocket;
-    window.WebSocket = function(url, protocols) {
-      // Allow WebSocket connections from the same origin for legitimate use
-      const urlObj = new URL(url, window.location.href);
-      const isSameOrigin = urlObj.origin === window.location.origin;
-      
-      // Block common development tool patterns
-      const isDevelopmentWS = url.includes('livereload') || 
-                             url.includes('browser-sync') || 
-                             url.includes('hot-reload') ||
-                             url.includes(':3000') ||
-                             url.includes(':8080') ||
-                             url.includes(':5500') ||
-                             url.includes('_webpack_hmr');
-      
-      if (isDevelopmentWS) {
-        console.warn('Development WebSocket blocked to enable back/forward cache:', url);
-        // Return a mock WebSocket that doesn't actually connect
-        return {
-          close: () => {},
-          send: () => {},
-          addEventListener: () => {},
-          removeEventListener: () => {},
-          dispatchEvent: () => {},
-          readyState: 3, // CLOSED
-          url: url,
-          protocol: '',
-          extensions: '',
-          bufferedAmount: 0,
-          CONNECTING: 0,
-          OPEN: 1,
-          CLOSING: 2,
-          CLOSED: 3,
-          onopen: null,
-          onclose: null,
-          onmessage: null,
-          onerror: null
-        };
-      }
-      
-      // Allow legitimate WebSocket connections
-      return new OriginalWebSocket(url, protocols);
-    };
-    
-    // Copy static properties and prototype
-    Object.setPrototypeOf(window.WebSocket, OriginalWebSocket);
-    Object.defineProperty(window.WebSocket, 'prototype', {
-      value: OriginalWebSocket.prototype,
-      writable: false
-    });
-  }
-})();
-
 // Initialize critical layout immediately when scripts load (before DOMContentLoaded)
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initApp);
@@ -81,52 +12,91 @@ if (document.readyState === 'loading') {
 }
 
 function initApp() {
-  // Prevent layout shifts during initialization
-  document.documentElement.style.setProperty('--prevent-shifts', '1');
-  
   // Update copyright year
   const yearElement = document.getElementById('current-year');
   if (yearElement) {
     yearElement.textContent = new Date().getFullYear();
   }
   
-  // Pre-optimize critical rendering path
-  requestAnimationFrame(() => {
-  // Determine current page and initialize appropriate modules
-  const currentPath = window.location.pathname;
+  // Service worker for offline use (see sw.js)
+  Offline.register();
+  
+  // Pause and restore views around the back/forward cache
+  initPageLifecycle();
   
-  if (currentPath.endsWith('index.html') || currentPath.endsWith('/')) {
-    // Homepage
-    initHomepage();
-  } else if (currentPath.includes('project.html')) {
-    // Project page
-    initProjectPage();
-  } else if (currentPath.includes('gallery.html')) {
-    // Gallery page
-    initGalleryPage();
+  // Determine current page and the initializer it needs
+  const currentPath = window.location.pathname;
+  let initPage = null;
+  
+  if (document.body.classList.contains('project-page') || document.body.classList.contains('gallery-page')) {
+    // Project slideshow and gallery share one document (served for work/<slug> URLs);
+    // the router swaps the views
+    initPage = initProjectViews;
+  } else if (document.body.classList.contains('home-page') || currentPath.endsWith('index.html') || currentPath.endsWith('/')) {
+    // Homepage, which holds the project and gallery views as well
+    initPage = initHomepage;
   }
+  
+  if (!initPage) return;
+  
+  // Wait for project data before building the page
+  ProjectData.ready(projects => {
+    // Fill the contact cell and copyright from the site config
+    ContactInfo.renderPage();
     
-    // Remove shift prevention after initialization
-    setTimeout(() => {
-      document.documentElement.style.removeProperty('--prevent-shifts');
-    }, 100);
-});
+    // Pre-optimize critical rendering path
+    requestAnimationFrame(() => {
+      initPage(projects);
+    });
+  });
+  
+  // Error state is rendered by ProjectData
+  ProjectData.load().catch(() => {});
+}
+
+// Modules whose state is saved when the page is hidden, registered by the page initializers
+const pageStateModules = [];
+
+/**
+ * Save the state of the page's modules on pagehide and restore it on pageshow when the
+ * browser brings the page back from the back/forward cache, where it was frozen with
+ * its timers and half-finished gestures
+ * Nothing here may block the cache: no unload handlers and no open connections
+ */
+function initPageLifecycle() {
+  let savedStates = null;
+  
+  window.addEventListener('pagehide', () => {
+    savedStates = pageStateModules.map(module => module.saveState());
+  });
+  
+  window.addEventListener('pageshow', event => {
+    if (event.persisted && savedStates) {
+      pageStateModules.forEach((module, index) => module.restoreState(savedStates[index]));
+    }
+    savedStates = null;
+  });
 }
 
 /**
  * Initialize homepage functionality
+ * @param {Array} projects - Loaded project data
  */
-function initHomepage() {
+function initHomepage(projects) {
   // Get the projects container
   const projectsGrid = document.querySelector('.projects-grid');
   if (!projectsGrid) return;
   
-  // Initialize grid layout manager immediately
-  GridLayout.init('.projects-grid');
+  // Initialize grid layout manager immediately; projects that don't fit one screen
+  // are paged with the wheel, keys and swipes
+  GridLayout.init('.projects-grid', { pageNavigation: true });
   
   // Create and add image overlay element
   createImageOverlay();
   
+  // The hovered cell disappears with its page without a mouseleave
+  document.addEventListener('gridPageChanged', hideImageOverlay);
+  
   // Render projects grid (contact cell is already in HTML)
   projects.forEach(project => {
     const projectElement = createProjectElement(project);
@@ -136,18 +106,22 @@ function initHomepage() {
   // Apply the fullscreen grid layout immediately
   GridLayout.applyLayout(projects);
   
-  // Initialize mobile slider for mobile devices
-  MobileSlider.init(projects);
+  // The mobile slider is created by the home view (see syncMobileView)
+  pageStateModules.push(MobileSlider);
   
-  // Dispatch projects loaded event for grid layout optimization
-  document.dispatchEvent(new CustomEvent('projectsLoaded', {
-    detail: { projects: projects }
-  }));
+  // About view (desktop contact cell / mobile panel, linkable as #about)
+  About.init();
   
   // Initialize image loader for thumbnails with slight delay to prevent blocking
   requestAnimationFrame(() => {
   ImageLoader.lazyLoadImages('.project-thumbnail');
   });
+  
+  // Opening a project swaps in its views without a reload, keeping this grid and the
+  // images loaded so far; the router brings the home view back the same way
+  projectViews.projects = projects;
+  initProjectInfoToggle();
+  initViewRouter(['home', 'project', 'gallery']);
 }
 
 /**
@@ -167,28 +141,18 @@ function createProjectElement(project) {
   projectIdOverlay.classList.add('project-id');
   projectIdOverlay.textContent = project.id;
   
-  // Create project info
-  const infoElement = document.createElement('div');
-  infoElement.classList.add('project-info');
-  
-  const titleElement = document.createElement('h1');
-  titleElement.classList.add('project-title');
-  titleElement.textContent = project.title;
-  
-  infoElement.appendChild(titleElement);
-  
   // Add elements to project item
   projectElement.appendChild(projectIdOverlay);
-  projectElement.appendChild(infoElement);
+  projectElement.appendChild(createProjectInfo(project));
   
-  // Add click event to navigate to project page
-  projectElement.addEventListener('click', () => {
-    Navigation.goToProject(project.id);
-  });
+  // Open the project from the home view, its gallery from the project views
+  bindProjectElement(projectElement, project);
   
-  // Add hover events for image overlay
+  // Add hover events for image overlay (the home view only)
   projectElement.addEventListener('mouseenter', () => {
-    showImageOverlay(project);
+    if (projectViews.view === 'home') {
+      showImageOverlay(project);
+    }
   });
   
   projectElement.addEventListener('mouseleave', () => {
@@ -199,219 +163,598 @@ function createProjectElement(project) {
 }
 
 /**
- * Initialize project page functionality
+ * Create the title shown on a homepage grid cell
+ * @param {Object} project - Project data
+ * @returns {HTMLElement} - Project info element
  */
-function initProjectPage() {
-  // Get project ID from URL
-  const projectId = Navigation.getProjectIdFromUrl();
+function createProjectInfo(project) {
+  const infoElement = document.createElement('div');
+  infoElement.classList.add('project-info');
   
-  if (!projectId) {
-    // Handle missing project ID
-    console.error('No project ID found in URL');
-    return;
-  }
+  const titleElement = document.createElement('h1');
+  titleElement.classList.add('project-title');
+  titleElement.textContent = project.title;
   
-  // Find project data
-  const project = projects.find(p => p.id === projectId);
+  infoElement.appendChild(titleElement);
   
-  if (!project) {
-    // Handle project not found
-    console.error('Project not found:', projectId);
-    return;
-  }
+  return infoElement;
+}
+
+// State of the views that share a document: project and gallery, plus home on the
+// homepage (see Navigation.initRouter)
+const projectViews = {
+  projects: [],
+  view: null,
+  activeProjectId: null,
+  slideshowProjectId: null,
+  galleryProjectId: null,
+  mobileView: null,
+  tintPage: false,
+  projectInfoVisible: false
+};
+
+/**
+ * Initialize the project and gallery pages
+ * Builds the static grid once, then lets the router show the slideshow or gallery view
+ * for the URL without reloading (direct loads of work/<slug> and old project.html links land here too)
+ * @param {Array} projects - Loaded project data
+ */
+function initProjectViews(projects) {
+  projectViews.projects = projects;
   
-  // Initialize mobile project layout for mobile devices
-  if (window.innerWidth <= 768) {
-    MobileProject.init(project);
-    return; // Skip desktop initialization on mobile
+  // Static grid and project info toggle (desktop only)
+  if (window.innerWidth > 768) {
+    initStaticGrid(projects);
+    initProjectInfoToggle();
   }
   
-  // Desktop initialization
-  // Initialize static grid layout manager for project page
+  initViewRouter(['project', 'gallery']);
+}
+
+/**
+ * Follow the URL with the views a document holds
+ * @param {Array} views - Views to show in place (see Navigation.initRouter)
+ */
+function initViewRouter(views) {
+  // Handle window resize for the gallery view
+  window.addEventListener('resize', handleProjectViewsResize);
+  
+  // Keep the current slide / lightbox image in the URL so it can be linked (?image=N)
+  document.addEventListener('slideChanged', handleSlideChanged);
+  document.addEventListener('lightboxImageChanged', handleLightboxImageChanged);
+  document.addEventListener('lightboxClosed', handleLightboxClosed);
+  
+  // Autoplay and the lightbox survive the back/forward cache
+  pageStateModules.push(Slideshow, Gallery);
+  
+  // Show the view for the current URL, then follow in-document navigation and back/forward
+  Navigation.initRouter(showRoute, views);
+  showRoute(Navigation.getRoute());
+}
+
+/**
+ * Build the static projects grid shown behind the slideshow and gallery
+ * @param {Array} projects - Loaded project data
+ */
+function initStaticGrid(projects) {
   const projectsGrid = document.querySelector('.projects-grid');
-  if (projectsGrid) {
-    GridLayout.init('.projects-grid');
-    
+  if (!projectsGrid) return;
+  
+  GridLayout.init('.projects-grid');
+  
+  // Pre-rendered pages (scripts/build-pages.js) already contain the cells
+  const renderedCells = projectsGrid.querySelectorAll('.project-item');
+  if (renderedCells.length === projects.length) {
+    renderedCells.forEach((projectElement, index) => {
+      bindProjectElement(projectElement, projects[index]);
+    });
+  } else {
     // Render static projects grid (contact cell is already in HTML)
+    renderedCells.forEach(projectElement => projectElement.remove());
+    
+    const fragment = document.createDocumentFragment();
     projects.forEach(proj => {
-      const projectElement = createStaticProjectElement(proj, proj.id === projectId);
-      projectsGrid.appendChild(projectElement);
+      fragment.appendChild(createStaticProjectElement(proj));
     });
-    
-    // Apply the fullscreen grid layout
-    GridLayout.applyLayout(projects);
+    projectsGrid.appendChild(fragment);
   }
   
-  // Update page title and metadata
-  document.title = `${project.title} | Photographer Portfolio`;
+  // Apply the fullscreen grid layout
+  GridLayout.applyLayout(projects);
+}
+
+/**
+ * Show the view a route points to
+ * @param {Object|null} route - Route from Navigation.getRoute
+ */
+function showRoute(route) {
+  // Find project data (missing id, unknown id or unknown slug all end up without a project)
+  const projectId = route ? route.projectId : null;
+  const project = projectId ? projectViews.projects.find(p => p.id === projectId) : null;
+  
+  // Close the lightbox when leaving the gallery view
+  if (projectViews.view === 'gallery' && Gallery.isLightboxOpen()) {
+    Gallery.closeLightbox();
+  }
   
-  // Check if elements exist before updating them
-  const projectTitleElement = document.querySelector('.project-title');
-  const projectDescriptionElement = document.querySelector('.project-description');
+  // The page tint follows the slides of projects that ask for it (see handleSlideChanged)
+  projectViews.tintPage = Boolean(project) && route.view === 'project' && shouldTintPage(project);
+  if (!projectViews.tintPage) {
+    setPageTint(null);
+  }
   
-  if (projectTitleElement) {
-    projectTitleElement.textContent = project.title;
+  if (route && route.view === 'home') {
+    showHomeView();
+    return;
   }
-  if (projectDescriptionElement) {
-    projectDescriptionElement.textContent = project.description;
+  
+  if (projectViews.view === 'home') {
+    leaveHomeView();
+  }
+  
+  if (!project) {
+    showNotFoundView(route);
+    return;
+  }
+  
+  hideNotFoundView();
+  
+  // Blur-up placeholders come in one file per project, fetched alongside the views
+  ImageLoader.loadPlaceholders(project);
+  
+  projectViews.view = route.view;
+  document.body.classList.toggle('project-page', route.view === 'project');
+  document.body.classList.toggle('gallery-page', route.view === 'gallery');
+  
+  // Slide or lightbox image linked with ?image=N (counting from 1)
+  const imageNumber = Navigation.getImageFromUrl(route.url);
+  
+  setActiveProject(project);
+  syncMobileView(route.view, project, imageNumber);
+  
+  if (route.view === 'gallery') {
+    showGalleryView(project, imageNumber);
+  } else {
+    showProjectView(project, imageNumber);
+  }
+}
+
+/**
+ * Turn an image number from the URL into an index within a list
+ * @param {number|null} imageNumber - Image number counting from 1
+ * @param {number} total - Number of slides or images
+ * @returns {number} - Index clamped to the list (0 when there is no number)
+ */
+function getImageIndex(imageNumber, total) {
+  if (!imageNumber || total === 0) return 0;
+  return Math.min(Math.max(imageNumber, 1), total) - 1;
+}
+
+/**
+ * Reflect the current slide in the URL (the first slide needs no parameter)
+ * @param {CustomEvent} event - slideChanged event from Slideshow or MobileProject
+ */
+function handleSlideChanged(event) {
+  if (projectViews.view !== 'project') return;
+  Navigation.setImageInUrl(event.detail.index > 0 ? event.detail.index + 1 : null);
+  
+  if (projectViews.tintPage) {
+    setPageTint(event.detail.color);
   }
+}
+
+/**
+ * Check whether a project's slideshow tints the page background to the current slide
+ * @param {Object} project - Project data
+ * @returns {boolean} - The project's tintBackground, else site.json slideshow.tintBackground
+ */
+function shouldTintPage(project) {
+  if (typeof project.tintBackground === 'boolean') return project.tintBackground;
+  
+  const slideshowConfig = ProjectData.getSite().slideshow || {};
+  return Boolean(slideshowConfig.tintBackground);
+}
+
+/**
+ * Tint the page background, or go back to the plain background
+ * @param {string|null} color - CSS colour (a slide's dominant colour), or null
+ */
+function setPageTint(color) {
+  document.body.classList.toggle('tinted-page', Boolean(color));
+  
+  if (color) {
+    document.body.style.setProperty('--page-color', color);
+  } else {
+    document.body.style.removeProperty('--page-color');
+  }
+}
+
+/**
+ * Reflect the image open in the lightbox in the URL
+ * @param {CustomEvent} event - lightboxImageChanged event from Gallery
+ */
+function handleLightboxImageChanged(event) {
+  if (projectViews.view !== 'gallery') return;
+  Navigation.setImageInUrl(event.detail.index + 1);
+}
+
+/**
+ * Remove the image from the URL once the lightbox is closed
+ */
+function handleLightboxClosed() {
+  // The router closes the lightbox after the URL already points to the next view
+  const route = Navigation.getRoute();
+  if (!route || route.view !== 'gallery') return;
+  Navigation.setImageInUrl(null);
+}
+
+/**
+ * Show the slideshow view for a project
+ * @param {Object} project - Project data
+ * @param {number|null} imageNumber - Slide to show, counting from 1 (optional)
+ */
+function showProjectView(project, imageNumber = null) {
+  // Update page title
+  document.title = `${project.title} | ${ProjectData.getSite().name}`;
   
-  // Update metadata
-  const metadataItems = document.querySelectorAll('.metadata-item .value');
-  if (metadataItems.length >= 2) {
-    metadataItems[0].textContent = project.date;
-    metadataItems[1].textContent = project.location;
+  // Mobile uses MobileProject instead of the desktop slideshow
+  if (window.innerWidth <= 768) return;
+  
+  // Coming back from the gallery of the same project keeps the slideshow where it was
+  if (projectViews.slideshowProjectId === project.id) {
+    const index = imageNumber ? getImageIndex(imageNumber, Slideshow.getTotalSlides()) : Slideshow.getCurrentIndex();
+    Slideshow.updateCounter();
+    Slideshow.showSlide(index);
+    return;
   }
   
   // Get slideshow images and initialize slideshow
-  const slideshowImages = ImageLoader.getSlideshowImagePaths(project);
+  const slideshowImages = ImageLoader.getSlideshowImages(project);
   
   // Check if slideshow container exists
   const slideshowContainer = document.querySelector('.slideshow-wrapper');
   
   if (slideshowContainer && slideshowImages.length > 0) {
+    // A pre-rendered page already has the slides of its project
+    if (takePrerenderedMarkup(slideshowContainer, project)) {
+      const startIndex = getImageIndex(imageNumber, slideshowContainer.querySelectorAll('.slide').length);
+      Slideshow.hydrate('.slideshow-wrapper', startIndex);
+      Slideshow.setProjectNavigation(getProjectNavigation(project));
+      projectViews.slideshowProjectId = project.id;
+      return;
+    }
+    
+    // Remove the previous project's slides
+    Slideshow.destroy();
+    
     // Get slide templates with fixed paths
     const slideTemplates = ImageLoader.getSlideTemplates(project);
     
     // Use slide templates if available, otherwise fallback to regular images
     if (slideTemplates && slideTemplates.length > 0) {
-      Slideshow.init('.slideshow-wrapper', slideshowImages, project.folder, slideTemplates);
+      const startIndex = getImageIndex(imageNumber, slideTemplates.length);
+      Slideshow.init('.slideshow-wrapper', slideshowImages, project.folder, slideTemplates, startIndex);
     } else {
-    Slideshow.init('.slideshow-wrapper', slideshowImages, project.folder);
+      const startIndex = getImageIndex(imageNumber, slideshowImages.length);
+      Slideshow.init('.slideshow-wrapper', slideshowImages, project.folder, null, startIndex);
     }
+    
+    Slideshow.setProjectNavigation(getProjectNavigation(project));
+    projectViews.slideshowProjectId = project.id;
   } else {
     console.error('Cannot initialize slideshow. Container:', slideshowContainer, 'Images:', slideshowImages.length);
   }
-  
-  // Update gallery link to include project ID
-  const galleryLink = document.querySelector('.view-all-link');
-  if (galleryLink) {
-    galleryLink.href = `gallery.html?project=${projectId}`;
-  }
-  
-  // Initialize project info toggle functionality
-  initProjectInfoToggle();
 }
 
 /**
- * Initialize gallery page functionality
+ * Check whether a view container holds markup pre-rendered for a project
+ * Only the first view of that project can use it, later views build their own
+ * @param {HTMLElement} container - Slideshow wrapper or gallery grid
+ * @param {Object} project - Project data
+ * @returns {boolean} - True if the container was rendered for this project
+ */
+function takePrerenderedMarkup(container, project) {
+  const isPrerendered = container.dataset.projectId === project.id;
+  delete container.dataset.projectId;
+  return isPrerendered;
+}
+
+/**
+ * Build the previous/next project links for the slideshow
+ * @param {Object} project - Project data
+ * @returns {Object} - Options for Slideshow.setProjectNavigation
  */
-function initGalleryPage() {
-  // Get project ID from URL
-  const projectId = Navigation.getProjectIdFromUrl();
+function getProjectNavigation(project) {
+  const adjacent = ProjectData.getAdjacentProjects(project.id);
+  const slideshowConfig = ProjectData.getSite().slideshow || {};
+  const toLink = adjacentProject => adjacentProject ? {
+    title: adjacentProject.title,
+    url: Navigation.getProjectUrl(adjacentProject.id)
+  } : null;
+  
+  return {
+    prev: toLink(adjacent.prev),
+    next: toLink(adjacent.next),
+    continueIntoNextProject: Boolean(slideshowConfig.continueIntoNextProject)
+  };
+}
+
+/**
+ * Show the gallery view for a project
+ * @param {Object} project - Project data
+ * @param {number|null} imageNumber - Image to open in the lightbox, counting from 1 (optional)
+ */
+function showGalleryView(project, imageNumber = null) {
+  // Update page title
+  document.title = `All Images - ${project.title} | ${ProjectData.getSite().name}`;
   
-  if (!projectId) {
-    // Handle missing project ID
-    console.error('No project ID found in URL');
+  // Get all gallery images (with captions and alt text)
+  const galleryImages = ImageLoader.getGalleryImages(project);
+  
+  // Update the slideshow counter in the active project cell to show total gallery images (desktop only)
+  if (window.innerWidth > 768) {
+    const projectCounter = document.querySelector('.project-slideshow-counter');
+    if (projectCounter && galleryImages.length > 0) {
+      projectCounter.textContent = `${galleryImages.length} / ${galleryImages.length}`;
+    }
+  }
+  
+  // Coming back from the slideshow of the same project keeps the gallery (and its scroll position)
+  if (projectViews.galleryProjectId === project.id) {
+    if (imageNumber) {
+      Gallery.openLightbox(getImageIndex(imageNumber, galleryImages.length));
+    }
     return;
   }
   
-  // Find project data
-  const project = projects.find(p => p.id === projectId);
+  const galleryContainer = document.querySelector('.gallery-grid');
   
-  if (!project) {
-    // Handle project not found
-    console.error('Project not found:', projectId);
-    return;
+  // Initialize gallery with all project images using optimized loading
+  if (galleryContainer && galleryImages.length > 0 && takePrerenderedMarkup(galleryContainer, project)) {
+    // A pre-rendered page already has the gallery items of its project
+    Gallery.hydrate('.gallery-grid', galleryImages);
+    projectViews.galleryProjectId = project.id;
+    
+    if (imageNumber) {
+      Gallery.openLightbox(getImageIndex(imageNumber, galleryImages.length));
+    }
+  } else if (galleryContainer && galleryImages.length > 0) {
+    galleryContainer.scrollTop = 0;
+    
+    Gallery.init('.gallery-grid', galleryImages, project.folder);
+    projectViews.galleryProjectId = project.id;
+    
+    // Open the linked image straight away
+    if (imageNumber) {
+      Gallery.openLightbox(getImageIndex(imageNumber, galleryImages.length));
+    }
+  } else {
+    console.error('Cannot initialize gallery. Container:', galleryContainer, 'Images:', galleryImages.length);
   }
+}
+
+/**
+ * Create the mobile layout for a view, replacing the one for the previous view
+ * @param {string} view - 'home', 'project' or 'gallery'
+ * @param {Object|null} project - Project data (null for the home view)
+ * @param {number|null} imageNumber - Slide to start on, counting from 1 (optional)
+ */
+function syncMobileView(view, project, imageNumber = null) {
+  const viewKey = project ? `${view}:${project.id}` : view;
+  const mobileView = window.innerWidth <= 768 ? viewKey : null;
+  if (mobileView === projectViews.mobileView) return;
+  
+  // Remove the fixed UI of the previous view
+  removeMobileView();
   
-  // Initialize mobile gallery layout for mobile devices
-  if (window.innerWidth <= 768) {
+  projectViews.mobileView = mobileView;
+  if (!mobileView) return;
+  
+  if (view === 'home') {
+    MobileSlider.init(projectViews.projects);
+  } else if (view === 'gallery') {
     MobileGallery.init(project);
-    // Continue with gallery initialization for mobile (keep the grid)
+  } else {
+    MobileProject.init(project, getImageIndex(imageNumber, ImageLoader.getSlideshowImages(project).length));
   }
+}
+
+/**
+ * Remove the fixed UI of the current mobile view, if any
+ */
+function removeMobileView() {
+  if (!projectViews.mobileView) return;
   
-  // Desktop and mobile gallery initialization
-  // Pre-optimize gallery container to prevent layout shifts
-  const galleryContainer = document.querySelector('.gallery-grid');
-  if (galleryContainer) {
-    // Pre-set container properties to prevent shifts
-    galleryContainer.style.contain = 'layout style';
-    galleryContainer.style.willChange = 'scroll-position';
+  if (projectViews.mobileView === 'home') {
+    MobileSlider.destroy();
+  } else if (projectViews.mobileView.startsWith('gallery:')) {
+    MobileGallery.destroy();
+  } else {
+    MobileProject.destroy();
   }
   
-  // Batch DOM updates for better performance
-  requestAnimationFrame(() => {
-    // Initialize static grid layout manager for gallery page (desktop only)
-    if (window.innerWidth > 768) {
-      const projectsGrid = document.querySelector('.projects-grid');
-      if (projectsGrid) {
-        GridLayout.init('.projects-grid');
-        
-        // Render static projects grid (contact cell is already in HTML)
-        const fragment = document.createDocumentFragment();
-        projects.forEach(proj => {
-          const projectElement = createStaticProjectElement(proj, proj.id === projectId);
-          fragment.appendChild(projectElement);
-        });
-        projectsGrid.appendChild(fragment);
-        
-        // Apply the fullscreen grid layout
-        GridLayout.applyLayout(projects);
-      }
+  projectViews.mobileView = null;
+}
+
+/**
+ * Show the home view: the whole grid with every title, as the homepage opens
+ * The grid, its page and the images loaded meanwhile are the ones the project views left
+ */
+function showHomeView() {
+  // Fragment changes (#about) come through the router too
+  if (projectViews.view === 'home') return;
+  
+  projectViews.view = 'home';
+  projectViews.activeProjectId = null;
+  document.body.classList.remove('project-page', 'gallery-page');
+  document.body.classList.add('home-page');
+  document.title = ProjectData.getSite().name;
+  
+  hideNotFoundView();
+  setProjectInfoVisible(false);
+  resetProjectCells();
+  GridLayout.setPageNavigation(true);
+  syncMobileView('home', null);
+}
+
+/**
+ * Put away what only the home view uses before another view is shown
+ */
+function leaveHomeView() {
+  document.body.classList.remove('home-page');
+  hideImageOverlay();
+  GridLayout.setPageNavigation(false);
+  
+  // The new URL has no #about, so this only hides the panel
+  if (About.isOpen()) {
+    About.close();
   }
+}
+
+/**
+ * Show every grid cell with its title again, undoing setActiveProjectCell
+ */
+function resetProjectCells() {
+  const projectsGrid = document.querySelector('.projects-grid');
+  if (!projectsGrid) return;
   
-  // Update page title
-  document.title = `All Images - ${project.title} | Photographer Portfolio`;
-  
-    // Batch metadata updates (desktop only)
-    if (window.innerWidth > 768) {
-      updateGalleryMetadata(project, projectId);
-    }
-    
-    // Get all gallery images
-    const galleryImages = ImageLoader.getGalleryImagePaths(project);
-    
-    // Update the slideshow counter in the active project cell to show total gallery images (desktop only)
-    if (window.innerWidth > 768) {
-      const projectCounter = document.querySelector('.project-slideshow-counter');
-      if (projectCounter && galleryImages.length > 0) {
-        projectCounter.textContent = `${galleryImages.length} / ${galleryImages.length}`;
-      }
-    }
-    
-    // Initialize gallery with all project images using optimized loading
-    if (galleryContainer && galleryImages.length > 0) {
-      // Pre-optimize before gallery initialization
-      galleryContainer.style.visibility = 'hidden';
-      
-      Gallery.init('.gallery-grid', galleryImages, project.folder);
-      
-      // Show gallery after brief delay to allow layout to settle
-      setTimeout(() => {
-        galleryContainer.style.visibility = 'visible';
-      }, 50);
-    } else {
-      console.error('Cannot initialize gallery. Container:', galleryContainer, 'Images:', galleryImages.length);
-    }
-    
-    // Initialize project info toggle functionality (desktop only)
-    if (window.innerWidth > 768) {
-      initProjectInfoToggle();
-    }
-    
-    // Handle window resize for gallery page
-    window.addEventListener('resize', handleGalleryResize);
-    
-    function handleGalleryResize() {
-      // Clean up mobile gallery if switching to desktop
-      if (window.innerWidth > 768 && typeof MobileGallery !== 'undefined') {
-        MobileGallery.destroy();
-      }
-      // Reinitialize mobile gallery if switching to mobile
-      else if (window.innerWidth <= 768 && typeof MobileGallery !== 'undefined') {
-        MobileGallery.init(project);
-      }
-    }
+  projectsGrid.querySelectorAll('.project-item').forEach((projectElement, index) => {
+    projectElement.querySelectorAll('.project-info, .project-slideshow-counter').forEach(element => element.remove());
+    projectElement.classList.remove('project-item-hidden');
+    projectElement.style.cursor = '';
+    projectElement.appendChild(createProjectInfo(projectViews.projects[index]));
   });
 }
 
 /**
- * Update gallery page metadata efficiently
+ * Show the not-found view for a link to a missing project
+ * Suggests other projects and links back home instead of leaving the template placeholders
+ * @param {Object|null} route - Route from Navigation.getRoute
+ */
+function showNotFoundView(route) {
+  const requested = route ? (route.slug || route.projectId || '') : '';
+  
+  projectViews.view = 'not-found';
+  projectViews.activeProjectId = null;
+  document.body.classList.remove('project-page', 'gallery-page');
+  document.body.classList.add('not-found-page');
+  document.title = `Project not found | ${ProjectData.getSite().name}`;
+  
+  setActiveProjectCell(null);
+  removeMobileView();
+  
+  let notFound = document.querySelector('.not-found');
+  if (!notFound) {
+    notFound = document.createElement('div');
+    notFound.classList.add('not-found');
+    notFound.setAttribute('role', 'alert');
+    document.body.appendChild(notFound);
+  }
+  notFound.innerHTML = '';
+  
+  const heading = document.createElement('h1');
+  heading.textContent = 'Project not found';
+  notFound.appendChild(heading);
+  
+  const message = document.createElement('p');
+  message.textContent = requested ?
+    `There is no project called "${requested}". Maybe one of these:` :
+    'This link does not name a project. Maybe one of these:';
+  notFound.appendChild(message);
+  
+  // Other projects from the data set, closest matches first
+  const list = document.createElement('ul');
+  list.classList.add('not-found-suggestions');
+  getProjectSuggestions(requested).forEach(project => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = Navigation.getProjectUrl(project.id);
+    link.textContent = project.title;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  notFound.appendChild(list);
+  
+  const homeLink = document.createElement('a');
+  homeLink.classList.add('not-found-home');
+  homeLink.href = 'index.html';
+  homeLink.textContent = 'All projects';
+  notFound.appendChild(homeLink);
+}
+
+/**
+ * Remove the not-found view
+ */
+function hideNotFoundView() {
+  const notFound = document.querySelector('.not-found');
+  if (notFound) {
+    notFound.remove();
+  }
+  document.body.classList.remove('not-found-page');
+}
+
+/**
+ * Pick projects to suggest for a missing one
+ * Projects sharing words with the requested slug or id come first, then data order
+ * @param {string} requested - Slug or id from the URL
+ * @param {number} count - Number of suggestions
+ * @returns {Array} - Project data objects
+ */
+function getProjectSuggestions(requested, count = 4) {
+  const words = requested.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const seenIds = new Set();
+  
+  return projectViews.projects
+    .filter(project => {
+      // Each project once, even if the data repeats an id
+      if (seenIds.has(project.id)) return false;
+      seenIds.add(project.id);
+      return true;
+    })
+    .map((project, index) => {
+      const projectWords = `${ProjectData.getSlug(project)} ${project.id}`.toLowerCase().split(/[^a-z0-9]+/);
+      const score = words.filter(word => projectWords.includes(word)).length;
+      return { project, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .map(suggestion => suggestion.project);
+}
+
+/**
+ * Handle window resize for the gallery view
+ * (MobileProject handles resizes of the slideshow view itself)
+ */
+function handleProjectViewsResize() {
+  if (projectViews.view !== 'gallery' || !projectViews.activeProjectId) return;
+  
+  const project = projectViews.projects.find(p => p.id === projectViews.activeProjectId);
+  
+  // Clean up mobile gallery if switching to desktop, reinitialize it if switching to mobile
+  syncMobileView('gallery', project);
+}
+
+/**
+ * Point the grid cell, contact cell info and view links at a project
  * @param {Object} project - Project data
- * @param {string} projectId - Project ID
  */
-function updateGalleryMetadata(project, projectId) {
+function setActiveProject(project) {
+  // Links between the views (handled in place by the router)
+  const closeLink = document.querySelector('.back-link');
+  if (closeLink) {
+    closeLink.href = projectViews.view === 'gallery' ? Navigation.getProjectUrl(project.id) : 'index.html';
+  }
+  
+  const galleryLink = document.querySelector('.view-all-link');
+  if (galleryLink) {
+    galleryLink.href = Navigation.getGalleryUrl(project.id);
+  }
+  
+  if (projectViews.activeProjectId === project.id) return;
+  projectViews.activeProjectId = project.id;
+  
+  setActiveProjectCell(project);
+  
   // Update project metadata in contact cell
   const projectTitleElement = document.querySelector('.project-title');
   const projectDescriptionElement = document.querySelector('.project-description');
@@ -423,33 +766,28 @@ function updateGalleryMetadata(project, projectId) {
     projectDescriptionElement.textContent = project.description;
   }
   
-  // Update metadata
-  const metadataItems = document.querySelectorAll('.metadata-item .value');
-  if (metadataItems.length >= 2) {
-    metadataItems[0].textContent = project.date;
-    metadataItems[1].textContent = project.location;
-  }
+  // Update metadata (LOCATION, DATE, CLIENT in template order)
+  const metadataItems = document.querySelectorAll('.contact-cell .metadata-item .value');
+  [project.location, project.date, project.client].forEach((value, index) => {
+    if (metadataItems[index]) {
+      metadataItems[index].textContent = value;
+    }
+  });
   
-  // Update project page link
-  const projectLink = document.querySelector('.back-link');
-  if (projectLink) {
-    projectLink.href = `project.html?project=${projectId}`;
+  const projectInfoElement = document.querySelector('.contact-cell .project-info');
+  if (projectInfoElement) {
+    Offline.renderSaveButton(projectInfoElement, project);
   }
 }
 
 /**
  * Create static project element for project page grid (no interactions)
+ * Cells start hidden; setActiveProjectCell reveals the current project
  * @param {Object} project - Project data
- * @param {boolean} isActive - Whether this is the active/current project
  */
-function createStaticProjectElement(project, isActive = false) {
+function createStaticProjectElement(project) {
   const projectElement = document.createElement('article');
-  projectElement.classList.add('project-item');
-  
-  // Add class to make inactive projects invisible
-  if (!isActive) {
-    projectElement.classList.add('project-item-hidden');
-  }
+  projectElement.classList.add('project-item', 'project-item-hidden');
   
   // Use data attributes to store project information
   projectElement.dataset.projectId = project.id;
@@ -458,9 +796,51 @@ function createStaticProjectElement(project, isActive = false) {
   const projectIdOverlay = document.createElement('div');
   projectIdOverlay.classList.add('project-id');
   projectIdOverlay.textContent = project.id;
+  projectElement.appendChild(projectIdOverlay);
+  
+  bindProjectElement(projectElement, project);
+  
+  return projectElement;
+}
+
+/**
+ * Add the click handler that opens the project from the home view and the gallery
+ * of the active project from the project views
+ * @param {HTMLElement} projectElement - Grid cell (created or pre-rendered)
+ * @param {Object} project - Project data
+ */
+function bindProjectElement(projectElement, project) {
+  projectElement.addEventListener('click', () => {
+    if (projectViews.view === 'home') {
+      Navigation.goToProject(project.id);
+    } else if (!projectElement.classList.contains('project-item-hidden')) {
+      Navigation.goToGallery(project.id);
+    }
+  });
+}
+
+/**
+ * Reveal the grid cell of the current project and give it the title and slideshow counter
+ * @param {Object|null} project - Project data, or null to hide every cell
+ */
+function setActiveProjectCell(project) {
+  const projectsGrid = document.querySelector('.projects-grid');
+  if (!projectsGrid) return;
   
-  // Create project info (only visible if active)
-  if (isActive) {
+  projectsGrid.querySelectorAll('.project-item').forEach((projectElement, index) => {
+    const isActive = Boolean(project) && projectElement.dataset.projectId === project.id;
+    
+    // Remove the title and counter of the previously active project
+    projectElement.querySelectorAll('.project-info, .project-slideshow-counter').forEach(element => element.remove());
+    projectElement.classList.toggle('project-item-hidden', !isActive);
+    projectElement.style.cursor = isActive ? 'pointer' : '';
+    
+    if (!isActive) return;
+    
+    // The grid may be split over pages: show the active project's
+    GridLayout.showPageOfItem(index);
+    
+    // Create project info (only visible if active)
     const infoElement = document.createElement('div');
     infoElement.classList.add('project-info');
     
@@ -469,25 +849,14 @@ function createStaticProjectElement(project, isActive = false) {
     titleElement.textContent = project.title;
     
     infoElement.appendChild(titleElement);
-    projectElement.appendChild(infoElement);
+    projectElement.insertBefore(infoElement, projectElement.firstChild);
     
     // Add slideshow counter for active project
     const counterElement = document.createElement('div');
     counterElement.classList.add('project-slideshow-counter');
     counterElement.textContent = '1 / 0'; // Will be updated by slideshow
-    projectElement.appendChild(counterElement);
-  
-    // Add click handler to open gallery for active project
-    projectElement.addEventListener('click', () => {
-      Navigation.goToGallery(project.id);
-    });
-    projectElement.style.cursor = 'pointer';
-  }
-  
-  // Add elements to project item
-  projectElement.appendChild(projectIdOverlay);
-  
-  return projectElement;
+    projectElement.insertBefore(counterElement, infoElement.nextSibling);
+  });
 }
 
 /**
@@ -514,8 +883,11 @@ function showImageOverlay(project) {
   const img = overlay.querySelector('img');
   
   if (overlay && img) {
-    img.src = ImageLoader.getCoverImagePath(project);
-    img.alt = project.title;
+    const coverImage = ImageLoader.getCoverImage(project);
+    ImageLoader.setImageSources(img, coverImage, 'overlay');
+    ImageLoader.setImagePlaceholder(img, coverImage);
+    ImageLoader.setImageColors(overlay, coverImage);
+    img.alt = coverImage.alt || project.title;
     overlay.classList.add('visible');
   }
 }
@@ -543,21 +915,26 @@ function initProjectInfoToggle() {
     return; // Elements not found, probably not on project page
   }
   
-  let isProjectInfoVisible = false;
-  
   projectInfoBtn.addEventListener('click', () => {
-    if (isProjectInfoVisible) {
-      // Show contact content, hide project info
-      contactContent.classList.remove('hidden');
-      projectInfo.classList.remove('visible');
-      projectInfoBtn.textContent = '+ Project Info';
-      isProjectInfoVisible = false;
-    } else {
-      // Hide contact content, show project info
-      contactContent.classList.add('hidden');
-      projectInfo.classList.add('visible');
-      projectInfoBtn.textContent = '- Project Info';
-      isProjectInfoVisible = true;
-    }
+    setProjectInfoVisible(!projectViews.projectInfoVisible);
   });
+}
+
+/**
+ * Swap the contact content for the project info in the contact cell, or back
+ * @param {boolean} visible - True to show the project info
+ */
+function setProjectInfoVisible(visible) {
+  const projectInfoBtn = document.querySelector('.project-info-btn');
+  const contactContent = document.querySelector('.contact-content');
+  const projectInfo = document.querySelector('.contact-cell .project-info');
+  
+  if (!projectInfoBtn || !contactContent || !projectInfo || visible === projectViews.projectInfoVisible) {
+    return;
+  }
+  
+  contactContent.classList.toggle('hidden', visible);
+  projectInfo.classList.toggle('visible', visible);
+  projectInfoBtn.textContent = visible ? '- Project Info' : '+ Project Info';
+  projectViews.projectInfoVisible = visible;
 } 
\ No newline at end of file
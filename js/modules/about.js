@@ -0,0 +1,302 @@
+/**
+ * About Module
+ * Renders the About view from the site config (site.json "about"):
+ * inside the contact cell on desktop, as a full-screen panel on mobile.
+ * The open state is reflected in the URL as #about so it can be linked
+ */
+
+const About = (function() {
+  // Private variables
+  let aboutButton;
+  let contactContent;
+  let desktopPanel;
+  let mobileButton;
+  let mobilePanel;
+  let isOpen = false;
+  
+  // Whether open() added the #about history entry, so closing can step back over it
+  let openedHere = false;
+  
+  // URL fragment for the About view
+  const ABOUT_HASH = '#about';
+  
+  // List sections in display order
+  const SECTIONS = [
+    { key: 'clients', label: 'SELECTED CLIENTS' },
+    { key: 'exhibitions', label: 'EXHIBITIONS' },
+    { key: 'publications', label: 'PUBLICATIONS' },
+    { key: 'awards', label: 'AWARDS' }
+  ];
+  
+  /**
+   * Initialize About view on the homepage
+   * Without anything to show the About button is removed and nothing is wired up
+   */
+  function init() {
+    const site = ProjectData.getSite();
+    aboutButton = document.querySelector('.about-btn');
+    
+    if (!site || !site.about || !hasContent(site.about)) {
+      if (aboutButton) {
+        aboutButton.remove();
+      }
+      return;
+    }
+    
+    contactContent = document.querySelector('.contact-cell .contact-content');
+    desktopPanel = document.querySelector('.contact-cell .about-info');
+    
+    // Desktop: fill the panel that swaps with the contact content
+    if (desktopPanel) {
+      desktopPanel.appendChild(createContent(site.about));
+    }
+    
+    if (aboutButton) {
+      aboutButton.addEventListener('click', toggle);
+    }
+    
+    // Mobile: button next to the slider UI and a full-screen panel
+    createMobileElements(site.about);
+    
+    // Follow the URL (direct links, back/forward)
+    window.addEventListener('hashchange', syncWithUrl);
+    document.addEventListener('keydown', handleKeyPress);
+    syncWithUrl();
+  }
+  
+  /**
+   * Create the mobile About button and panel
+   * @param {Object} about - About data from site config
+   */
+  function createMobileElements(about) {
+    mobileButton = document.createElement('a');
+    mobileButton.classList.add('mobile-about-button');
+    mobileButton.href = ABOUT_HASH;
+    mobileButton.textContent = 'About';
+    mobileButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      open();
+    });
+    document.body.appendChild(mobileButton);
+    
+    mobilePanel = document.createElement('div');
+    mobilePanel.classList.add('mobile-about-panel');
+    mobilePanel.setAttribute('role', 'dialog');
+    mobilePanel.setAttribute('aria-label', 'About');
+    
+    const closeButton = document.createElement('a');
+    closeButton.classList.add('mobile-about-close');
+    closeButton.href = '#';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      close();
+    });
+    
+    mobilePanel.appendChild(closeButton);
+    mobilePanel.appendChild(createContent(about));
+    document.body.appendChild(mobilePanel);
+  }
+  
+  /**
+   * Build the About content (bio, portrait and list sections)
+   * @param {Object} about - About data from site config
+   * @returns {HTMLElement} - Content element
+   */
+  function createContent(about) {
+    const content = document.createElement('div');
+    content.classList.add('about-content');
+    
+    if (about.portrait) {
+      const portrait = ImageLoader.normalizeImage(about.portrait);
+      const img = document.createElement('img');
+      img.classList.add('about-portrait');
+      img.src = portrait.src;
+      img.alt = portrait.alt || ProjectData.getSite().name;
+      img.loading = 'lazy';
+      content.appendChild(img);
+    }
+    
+    getBioParagraphs(about).forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.classList.add('about-bio');
+      paragraph.textContent = text;
+      content.appendChild(paragraph);
+    });
+    
+    SECTIONS.forEach(section => {
+      const entries = about[section.key] || [];
+      if (entries.length === 0) return;
+      
+      const sectionElement = document.createElement('div');
+      sectionElement.classList.add('about-section');
+      
+      const label = document.createElement('span');
+      label.classList.add('label');
+      label.textContent = section.label;
+      sectionElement.appendChild(label);
+      
+      const list = document.createElement('ul');
+      entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = formatEntry(entry);
+        list.appendChild(item);
+      });
+      sectionElement.appendChild(list);
+      
+      content.appendChild(sectionElement);
+    });
+    
+    return content;
+  }
+  
+  /**
+   * Get the paragraphs of the bio
+   * Bio can be a single string or a list of paragraphs; blank ones are skipped
+   * @param {Object} about - About data from site config
+   * @returns {Array} - Non-blank paragraphs
+   */
+  function getBioParagraphs(about) {
+    const paragraphs = Array.isArray(about.bio) ? about.bio : [about.bio];
+    return paragraphs.filter(text => typeof text === 'string' && text.trim());
+  }
+  
+  /**
+   * Check whether the About data has anything to show
+   * @param {Object} about - About data from site config
+   * @returns {boolean} - True if there is a portrait, a bio or a non-empty list
+   */
+  function hasContent(about) {
+    return Boolean(about.portrait) ||
+      getBioParagraphs(about).length > 0 ||
+      SECTIONS.some(section => (about[section.key] || []).length > 0);
+  }
+  
+  /**
+   * Format a list entry: a plain string or { year, title, venue }
+   * @param {string|Object} entry - List entry
+   * @returns {string} - Display text
+   */
+  function formatEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    
+    const titleAndVenue = [entry.title, entry.venue].filter(Boolean).join(', ');
+    return [entry.year, titleAndVenue].filter(Boolean).join(' ');
+  }
+  
+  /**
+   * Open the About view (adds #about to the URL)
+   */
+  function open() {
+    if (window.location.hash === ABOUT_HASH) {
+      show();
+    } else {
+      openedHere = true;
+      window.location.hash = ABOUT_HASH; // hashchange calls show()
+    }
+  }
+  
+  /**
+   * Close the About view (removes #about from the URL without adding a history entry,
+   * so Back doesn't reopen it)
+   */
+  function close() {
+    if (window.location.hash === ABOUT_HASH) {
+      if (openedHere) {
+        // Step back over the entry open() added (hashchange calls hide())
+        openedHere = false;
+        window.history.back();
+      } else {
+        // Opened from a link to #about: drop the fragment in place
+        window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+      }
+    }
+    hide();
+  }
+  
+  /**
+   * Toggle the About view
+   */
+  function toggle() {
+    if (isOpen) {
+      close();
+    } else {
+      open();
+    }
+  }
+  
+  /**
+   * Show or hide the About view to match the current URL
+   */
+  function syncWithUrl() {
+    if (window.location.hash === ABOUT_HASH) {
+      show();
+    } else {
+      // Left with the browser's own Back button
+      openedHere = false;
+      hide();
+    }
+  }
+  
+  /**
+   * Show the About view
+   */
+  function show() {
+    isOpen = true;
+    
+    // Desktop: swap contact content for the About panel
+    if (contactContent && desktopPanel) {
+      contactContent.classList.add('hidden');
+      desktopPanel.classList.add('visible');
+    }
+    if (aboutButton) {
+      aboutButton.textContent = '- About';
+    }
+    
+    // Mobile: full-screen panel
+    if (mobilePanel) {
+      mobilePanel.classList.add('visible');
+    }
+    document.body.classList.add('about-visible');
+  }
+  
+  /**
+   * Hide the About view
+   */
+  function hide() {
+    isOpen = false;
+    
+    if (contactContent && desktopPanel) {
+      contactContent.classList.remove('hidden');
+      desktopPanel.classList.remove('visible');
+    }
+    if (aboutButton) {
+      aboutButton.textContent = '+ About';
+    }
+    
+    if (mobilePanel) {
+      mobilePanel.classList.remove('visible');
+    }
+    document.body.classList.remove('about-visible');
+  }
+  
+  /**
+   * Close About with Escape
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyPress(event) {
+    if (isOpen && event.key === 'Escape') {
+      close();
+      event.preventDefault();
+    }
+  }
+  
+  // Public API
+  return {
+    init,
+    open,
+    close,
+    toggle,
+    isOpen: () => isOpen
+  };
+})();
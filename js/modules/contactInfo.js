@@ -0,0 +1,105 @@
+/**
+ * Contact Info Module
+ * Renders the photographer name, contact channels and social links
+ * from the site configuration (js/data/site.json). The markup is built as text so
+ * scripts/build-pages.js can write the same into the pre-rendered pages
+ */
+
+const ContactInfo = (function() {
+  /**
+   * Build the href for a contact channel
+   * @param {Object} channel - Contact entry from site config
+   * @returns {string} - mailto:, tel: or plain URL
+   */
+  function getChannelHref(channel) {
+    switch (channel.type) {
+      case 'email':
+        return `mailto:${channel.value}`;
+      case 'phone':
+        return `tel:${channel.value.replace(/[^\d+]/g, '')}`; // Keep digits and leading +
+      default:
+        return channel.url || channel.value;
+    }
+  }
+  
+  /**
+   * Escape text for HTML content and attribute values
+   * @param {*} value - Text to escape
+   * @returns {string} - Escaped text
+   */
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Build one labelled link row (e.g. "MAIL info@...")
+   * @param {string} label - Row label
+   * @param {string} href - Link target
+   * @param {string} text - Link text
+   * @param {boolean} external - Open in a new tab
+   * @returns {string} - Link wrapper markup
+   */
+  function createLinkRow(label, href, text, external = false) {
+    const target = external ? ' target="_blank" rel="noopener"' : '';
+    return `<div class="contact-link-wrapper"><h1>${escapeHtml(label)}</h1>` +
+      `<a href="${escapeHtml(href)}"${target}>${escapeHtml(text)}</a></div>`;
+  }
+  
+  /**
+   * Build the name and contact links markup
+   * @param {Object} site - Site config
+   * @returns {Array} - Lines of markup, link rows indented one level (4 spaces)
+   */
+  function getMarkup(site) {
+    const rows = [
+      ...(site.contact || []).map(channel => createLinkRow(channel.label, getChannelHref(channel), channel.value)),
+      ...(site.social || []).map(profile => createLinkRow(profile.label, profile.url, profile.handle || profile.url, true))
+    ];
+    
+    return [
+      `<h1 class="photographer-name">${escapeHtml(site.name)}</h1>`,
+      '<div class="contact-links">',
+      ...rows.map(row => `    ${row}`),
+      '</div>'
+    ];
+  }
+  
+  /**
+   * Render name and contact links into a container
+   * Used for the desktop .contact-content and the mobile .mobile-contact blocks
+   * @param {HTMLElement} container - Element to fill
+   * @param {Object} site - Site config (defaults to the loaded config)
+   */
+  function render(container, site = ProjectData.getSite()) {
+    if (!container || !site) return;
+    
+    container.innerHTML = getMarkup(site).join('\n');
+  }
+  
+  /**
+   * Fill every static contact block on the page
+   * @param {Object} site - Site config (defaults to the loaded config)
+   */
+  function renderPage(site = ProjectData.getSite()) {
+    if (!site) return;
+    
+    document.querySelectorAll('.contact-cell .contact-content').forEach(container => {
+      render(container, site);
+    });
+    
+    document.querySelectorAll('.copyright-holder').forEach(element => {
+      element.textContent = site.copyrightHolder || site.name;
+    });
+  }
+  
+  // Public API
+  return {
+    getMarkup,
+    render,
+    renderPage
+  };
+})();
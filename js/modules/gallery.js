@@ -8,6 +8,7 @@ const Gallery = (function() {
   let galleryContainer;
   let lightbox;
   let lightboxImage;
+  let lightboxCaption;
   let lightboxCounter;
   let currentImageIndex = 0;
   let galleryImages = [];
@@ -15,7 +16,7 @@ const Gallery = (function() {
   /**
    * Initialize gallery with images
    * @param {string} containerSelector - CSS selector for gallery container
-   * @param {Array} imagePaths - Array of direct image paths
+   * @param {Array} imagePaths - Array of image paths or image metadata objects
    * @param {string} folder - Project folder name (kept for compatibility but not used)
    */
   function init(containerSelector, imagePaths, folder = null) {
@@ -23,27 +24,60 @@ const Gallery = (function() {
     galleryContainer = document.querySelector(containerSelector);
     if (!galleryContainer) return;
     
-    // Store gallery images for later use
-    galleryImages = imagePaths;
+    // Store gallery images for later use as { src, alt, caption, credits }
+    galleryImages = imagePaths.map(ImageLoader.normalizeImage);
     
     // Create gallery items from images
-    createGalleryItems(imagePaths);
+    createGalleryItems(galleryImages);
     
-    // Create lightbox if it doesn't exist
+    setupLightbox();
+  }
+  
+  /**
+   * Initialize gallery on items that are already in the page (pre-rendered by scripts/build-pages.js)
+   * @param {string} containerSelector - CSS selector for gallery container
+   * @param {Array} imagePaths - Images of the rendered items, in the same order
+   */
+  function hydrate(containerSelector, imagePaths) {
+    galleryContainer = document.querySelector(containerSelector);
+    if (!galleryContainer) return;
+    
+    galleryImages = imagePaths.map(ImageLoader.normalizeImage);
+    
+    galleryContainer.querySelectorAll('.gallery-item').forEach(galleryItem => {
+      const img = galleryItem.querySelector('img');
+      const index = Number(galleryItem.dataset.index);
+      
+      ImageLoader.watchRenderedImage(img);
+      galleryItem.addEventListener('click', () => {
+        if (img.isConnected) { // Replaced by a fallback frame if it failed
+          openLightbox(index);
+        }
+      }, { passive: true });
+    });
+    
+    setupLightbox();
+  }
+  
+  /**
+   * Create the lightbox, or pick up the one from an earlier init
+   */
+  function setupLightbox() {
     if (!document.querySelector('.lightbox')) {
       createLightbox();
     } else {
       lightbox = document.querySelector('.lightbox');
       lightboxImage = lightbox.querySelector('.lightbox-image');
+      lightboxCaption = lightbox.querySelector('.lightbox-caption');
       lightboxCounter = lightbox.querySelector('.lightbox-counter');
     }
   }
   
   /**
-   * Create gallery items from image paths
-   * @param {Array} imagePaths - Array of direct image paths
+   * Create gallery items from images
+   * @param {Array} images - Array of normalized images
    */
-  function createGalleryItems(imagePaths) {
+  function createGalleryItems(images) {
     // Clear any existing items
     galleryContainer.innerHTML = '';
     
@@ -51,22 +85,28 @@ const Gallery = (function() {
     galleryContainer.classList.add('loading');
     
     let loadedCount = 0;
-    const totalImages = imagePaths.length;
+    const totalImages = images.length;
     
     // Use document fragment for better performance
     const fragment = document.createDocumentFragment();
     
     // Create a gallery item for each image
-    imagePaths.forEach((imagePath, index) => {
+    images.forEach((image, index) => {
+      const imagePath = image.src;
       const galleryItem = document.createElement('div');
       galleryItem.classList.add('gallery-item');
       galleryItem.dataset.index = index;
+      // Known size: the item takes its final width before the image loads
+      ImageLoader.setImageBox(galleryItem, image);
+      ImageLoader.setImageColors(galleryItem, image);
       
       const img = document.createElement('img');
       img.classList.add('gallery-image', 'loading');
-      // Use data-src for lazy loading instead of src
-      img.dataset.src = imagePath;
-      img.alt = `Gallery image ${index + 1}`;
+      // Use data-src/data-srcset for lazy loading instead of src
+      const imageElement = ImageLoader.setImageSources(img, image, 'gallery', { lazy: true });
+      // The item wraps the image, so its placeholder shows through while the image fades in
+      ImageLoader.setImagePlaceholder(galleryItem, image, img);
+      img.alt = image.alt || image.caption || `Gallery image ${index + 1}`;
       img.loading = 'lazy'; // Keep native lazy loading as fallback
       img.decoding = 'async'; // Better performance
       
@@ -87,14 +127,13 @@ const Gallery = (function() {
         });
       }, { once: true, passive: true }); // Optimize event listener
       
-      // Add error handling - keep image hidden on error
+      // Add error handling - show a fallback frame so the grid keeps its order
       img.addEventListener('error', function() {
         requestAnimationFrame(() => {
           this.classList.remove('loading');
           this.classList.add('error');
           console.warn(`Failed to load image: ${imagePath}`);
-          // Hide the gallery item completely if image fails to load
-          galleryItem.style.display = 'none';
+          ImageLoader.showImageFallback(this);
           
           loadedCount++;
           // Still count errors towards removing loading state
@@ -106,7 +145,7 @@ const Gallery = (function() {
         });
       }, { once: true, passive: true });
       
-      galleryItem.appendChild(img);
+      galleryItem.appendChild(imageElement);
       fragment.appendChild(galleryItem);
       
       // Add click event to open lightbox - only if image is loaded
@@ -121,17 +160,13 @@ const Gallery = (function() {
     galleryContainer.appendChild(fragment);
     
     // Initialize lazy loading for gallery images after creating all items
-    // Use longer timeout to allow browser to settle layouts
     requestAnimationFrame(() => {
-      // Batch the lazy loading initialization
+      ImageLoader.lazyLoadImages('.gallery-image');
+      
+      // More aggressive fallback: remove loading state faster for better perceived performance
       setTimeout(() => {
-        ImageLoader.lazyLoadImages('.gallery-image');
-        
-        // More aggressive fallback: remove loading state faster for better perceived performance
-        setTimeout(() => {
-          galleryContainer.classList.remove('loading');
-        }, 1500); // Reduced from 2 seconds
-      }, 100); // Small delay to let initial layout settle
+        galleryContainer.classList.remove('loading');
+      }, 1500); // Reduced from 2 seconds
     });
   }
   
@@ -152,6 +187,11 @@ const Gallery = (function() {
     lightboxImage.classList.add('lightbox-image');
     lightboxContent.appendChild(lightboxImage);
     
+    // Create caption line (caption and credits of the current image)
+    lightboxCaption = document.createElement('p');
+    lightboxCaption.classList.add('lightbox-caption');
+    lightboxContent.appendChild(lightboxCaption);
+    
     // Create navigation click areas (invisible overlays like slideshow)
     const prevArea = document.createElement('div');
     prevArea.classList.add('lightbox-nav-area', 'prev');
@@ -186,15 +226,13 @@ const Gallery = (function() {
    * @param {number} index - Index of image to show
    */
   function openLightbox(index) {
-    if (index < 0 || index >= galleryImages.length) return;
-    
-    currentImageIndex = index;
+    if (galleryImages.length === 0) return;
     
-    // Set image source using direct path
-    lightboxImage.src = galleryImages[index];
+    // Clamp out-of-range indices (e.g. from a link) to the first or last image
+    currentImageIndex = Math.min(Math.max(index, 0), galleryImages.length - 1);
     
-    // Update project cell counter
-    updateProjectCellCounter();
+    // Set image source, alt text and caption
+    showLightboxImage();
     
     // Show lightbox
     lightbox.classList.add('active');
@@ -217,6 +255,36 @@ const Gallery = (function() {
     
     // Reset project cell counter to total
     resetProjectCellCounter();
+    
+    document.dispatchEvent(new CustomEvent('lightboxClosed'));
+  }
+  
+  /**
+   * Check whether the lightbox is showing an image
+   * @returns {boolean} - True if the lightbox is open
+   */
+  function isLightboxOpen() {
+    return Boolean(lightbox && lightbox.classList.contains('active'));
+  }
+  
+  /**
+   * Remember whether the lightbox is open, and on which image, when the page is hidden
+   * (it may be kept in the back/forward cache)
+   * @returns {Object} - State for restoreState
+   */
+  function saveState() {
+    return { lightboxOpen: isLightboxOpen(), index: currentImageIndex };
+  }
+  
+  /**
+   * Reopen the lightbox saved by saveState when the page is shown again, so the
+   * image, counter, scroll lock and URL match again
+   * @param {Object} state - State returned by saveState
+   */
+  function restoreState(state) {
+    if (!lightbox || !state.lightboxOpen) return;
+    
+    openLightbox(state.index);
   }
   
   /**
@@ -239,14 +307,33 @@ const Gallery = (function() {
    * Update lightbox image based on current index
    */
   function updateLightboxImage() {
-    // Update image source using direct path
-    lightboxImage.src = galleryImages[currentImageIndex];
+    // Update image source, alt text and caption
+    showLightboxImage();
+    
+    // Preload adjacent images
+    preloadAdjacentImages();
+  }
+  
+  /**
+   * Render the current image into the lightbox and notify listeners
+   */
+  function showLightboxImage() {
+    const image = galleryImages[currentImageIndex];
+    
+    ImageLoader.setImageSources(lightboxImage, image, 'lightbox');
+    lightboxImage.alt = image.alt || image.caption || `Gallery image ${currentImageIndex + 1}`;
+    
+    if (lightboxCaption) {
+      lightboxCaption.textContent = ImageLoader.getImageCaption(image);
+    }
     
     // Update project cell counter
     updateProjectCellCounter();
     
-    // Preload adjacent images
-    preloadAdjacentImages();
+    // Let other modules (e.g. MobileGallery) follow the current image
+    document.dispatchEvent(new CustomEvent('lightboxImageChanged', {
+      detail: { index: currentImageIndex, total: galleryImages.length, image }
+    }));
   }
   
   /**
@@ -311,17 +398,21 @@ const Gallery = (function() {
       imagesToPreload.push(galleryImages[nextIndex]);
     }
     
-    // Preload the images
+    // Preload the images at the size the lightbox will request
     if (imagesToPreload.length > 0) {
-      ImageLoader.preloadImages(imagesToPreload);
+      ImageLoader.preloadImages(imagesToPreload, null, 'lightbox');
     }
   }
   
   // Public API
   return {
     init,
+    hydrate,
     openLightbox,
     closeLightbox,
+    isLightboxOpen,
+    saveState,
+    restoreState,
     prevImage,
     nextImage
   };
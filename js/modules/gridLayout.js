@@ -1,34 +1,105 @@
 /**
  * Grid Layout Manager
  * Handles dynamic fullscreen grid calculations and layout
+ *
+ * calculateLayout is a pure solver: (itemCount, viewport, options) -> layout, with no
+ * DOM or window access, so the same algorithm can lay out any grid of cells plus the
+ * contact cell. calculatePages splits the items over several such layouts when they
+ * don't fit one screen. init/applyLayout are the thin DOM side that feeds it the
+ * window size, writes the result into the projects grid and pages through it.
  */
 
 const GridLayout = (function() {
+  // Solver defaults; any of them can be overridden per call or per init
+  const DEFAULT_OPTIONS = {
+    // Rows tried, strongly preferring preferredRows (a 4th only if cells get too narrow)
+    preferredRows: 3,
+    maxRows: 4,
+    
+    // Ideal cell width / height (slightly rectangular)
+    idealRatio: 1.3,
+    
+    // At or below this viewport width the contact cell spans 2 columns
+    mobileBreakpoint: 768,
+    
+    // Minimum cell size by viewport width: the first entry with maxWidth >= the width
+    // applies. Cells are at least minWidth wide, or widthRatio of the viewport if larger
+    breakpoints: [
+      { maxWidth: 480, minWidth: 100, widthRatio: 0.25, minHeight: 70 },    // Mobile
+      { maxWidth: 768, minWidth: 120, widthRatio: 0.2, minHeight: 90 },     // Small tablet
+      { maxWidth: 1024, minWidth: 140, widthRatio: 0.18, minHeight: 110 },  // Large tablet/small desktop
+      { maxWidth: 1400, minWidth: 160, widthRatio: 0.16, minHeight: 130 },  // Medium desktop
+      { maxWidth: Infinity, minWidth: 200, widthRatio: 0.15, minHeight: 150 } // Large desktop
+    ],
+    
+    // Cells this fraction of the minimum size are still viable
+    viableTolerance: 0.8,
+    
+    // Split the items over several full-screen pages when one page would need cells
+    // narrower than viable (calculatePages)
+    paging: true,
+    
+    // Scoring: (ratio * ratioWeight + size * sizeWeight) * penalty * bonuses
+    weights: {
+      ratio: 0.25,
+      size: 0.25,
+      sizeReference: 300, // Cell side (px) that scores 1 for size
+      extremeRatioMin: 0.3,
+      extremeRatioMax: 3,
+      extremeRatioPenalty: 0.5,
+      preferredRowsBonus: 2.0,
+      nextRowsBonus: 1.0,
+      otherRowsBonus: 0.5,
+      acceptableSizeBonus: 1.5,
+      viableSizeBonus: 1.2,
+      fitsViewportBonus: 1.3,
+      overflowBonus: 0.8,
+      preferredFitBonus: 1.0, // Added when preferredRows fits, ending the search
+      forcedScore: 0.5 // Score of the fallback when nothing fits
+    }
+  };
+  
+  // Cells a project can take in the homepage grid ("span" in projects.json)
+  const PROJECT_SPANS = {
+    '1x1': { cols: 1, rows: 1 },
+    '2x1': { cols: 2, rows: 1 },
+    '1x2': { cols: 1, rows: 2 },
+    '2x2': { cols: 2, rows: 2 }
+  };
+  
   let gridContainer;
   let currentLayout = null;
   let projectsData = [];
+  let layoutOptions = {};
+  let pages = [];
+  let currentPage = 0;
+  let anchorItem = 0; // Item whose page stays shown when the layout changes
+  let pageIndicator = null;
+  let pageGestures = null; // UnifiedNavigation handle while there is more than one page
+  let pagingPaused = false; // Set while a project view covers the homepage grid
   
   /**
    * Initialize the grid layout system
    * @param {string} containerSelector - CSS selector for grid container
+   * @param {Object} options - Solver options for this grid (see DEFAULT_OPTIONS), plus
+   * @param {boolean} options.pageNavigation - Page with wheel, keys and swipe and show
+   *   a page indicator (default: false, other pages are then only reached with showPage)
    */
-  function init(containerSelector) {
+  function init(containerSelector, options = {}) {
     gridContainer = document.querySelector(containerSelector);
     if (!gridContainer) return;
     
-    // Apply initial layout immediately if projects are already available
-    if (window.projects && window.projects.length > 0) {
-      applyLayout(window.projects);
-    }
+    const { pageNavigation = false, ...solverOptions } = options;
+    layoutOptions = solverOptions;
     
     // Listen for window resize with optimized debouncing
     let resizeTimeout;
     window.addEventListener('resize', () => {
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
-      if (projectsData.length > 0) {
-        applyLayout(projectsData);
-      }
+        if (projectsData.length > 0) {
+          applyLayout(projectsData);
+        }
       }, 100); // Faster response than 250ms
     }, { passive: true });
     
@@ -38,62 +109,65 @@ const GridLayout = (function() {
         applyLayout(event.detail.projects);
       }
     });
+    
+    if (pageNavigation) {
+      setupPageNavigation();
+    }
+  }
+  
+  /**
+   * Merge options over the defaults (weights are merged key by key)
+   * @param {Object} options - Partial options
+   * @returns {Object} - Complete options
+   */
+  function resolveOptions(options = {}) {
+    return {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      weights: { ...DEFAULT_OPTIONS.weights, ...options.weights }
+    };
+  }
+  
+  /**
+   * Look up the minimum cell size for a viewport width
+   * @param {number} viewportWidth - Viewport width in px
+   * @param {Array} breakpoints - Breakpoint table (see DEFAULT_OPTIONS)
+   * @returns {Object} - { minCellWidth, minCellHeight }
+   */
+  function getMinCellSize(viewportWidth, breakpoints) {
+    const breakpoint = breakpoints.find(entry => viewportWidth <= entry.maxWidth) ||
+                       breakpoints[breakpoints.length - 1];
+    
+    return {
+      minCellWidth: Math.max(breakpoint.minWidth, viewportWidth * breakpoint.widthRatio),
+      minCellHeight: breakpoint.minHeight
+    };
   }
   
   /**
    * Calculate optimal grid dimensions for given number of items
    * @param {number} totalItems - Total number of items including contact cell
+   * @param {Object} viewport - { width, height } in px
+   * @param {Object} options - Solver options (see DEFAULT_OPTIONS)
    * @returns {Object} Grid layout configuration
    */
-  function calculateGridDimensions(totalItems) {
-    const viewport = {
-      width: window.innerWidth,
-      height: window.innerHeight
-    };
+  function calculateGridDimensions(totalItems, viewport, options = {}) {
+    const settings = resolveOptions(options);
+    const { preferredRows, maxRows, idealRatio, viableTolerance, weights } = settings;
     
     // Check if we're on mobile (where contact cell will span 2 columns)
-    const isMobile = viewport.width <= 768;
-    
-    // STRONGLY PREFER 3 ROWS - this is the key requirement
-    const preferredRows = 3;
-    const maxRows = 4; // Allow 4th row only if cells become too narrow
-    
-    // Dynamic responsive minimum cell dimensions based on viewport
-    let minCellWidth, minCellHeight;
-    
-    if (viewport.width <= 480) {
-      // Mobile: smallest minimums
-      minCellWidth = Math.max(100, viewport.width * 0.25); // 25% of viewport but min 100px
-      minCellHeight = 70;
-    } else if (viewport.width <= 768) {
-      // Small tablet: adaptive minimums
-      minCellWidth = Math.max(120, viewport.width * 0.2); // 20% of viewport but min 120px
-      minCellHeight = 90;
-    } else if (viewport.width <= 1024) {
-      // Large tablet/small desktop: more adaptive
-      minCellWidth = Math.max(140, viewport.width * 0.18); // 18% of viewport but min 140px
-      minCellHeight = 110;
-    } else if (viewport.width <= 1400) {
-      // Medium desktop: balanced approach
-      minCellWidth = Math.max(160, viewport.width * 0.16); // 16% of viewport but min 160px
-      minCellHeight = 130;
-    } else {
-      // Large desktop: generous minimums
-      minCellWidth = Math.max(200, viewport.width * 0.15); // 15% of viewport but min 200px
-      minCellHeight = 150;
-    }
+    const isMobile = viewport.width <= settings.mobileBreakpoint;
     
-    // Calculate ideal aspect ratio for cells (slightly rectangular)
-    const idealRatio = 1.3;
+    const { minCellWidth, minCellHeight } = getMinCellSize(viewport.width, settings.breakpoints);
     
-    // Try different grid configurations with strong preference for 3 rows
+    // Try different grid configurations with strong preference for the preferred rows
     let bestConfig = null;
     let bestScore = 0;
     
     // Calculate effective items for grid calculation
     const effectiveItems = isMobile ? totalItems + 1 : totalItems; // +1 for contact span on mobile
     
-    // First priority: Try to fit everything in preferred number of rows (3)
+    // First priority: Try to fit everything in preferred number of rows
     for (let rows = preferredRows; rows <= maxRows; rows++) {
       // Calculate columns needed for this row count
       const cols = Math.ceil(effectiveItems / rows);
@@ -105,30 +179,32 @@ const GridLayout = (function() {
       
       // More flexible size checking - allow smaller cells if viewport demands it
       const isAcceptableSize = cellWidth >= minCellWidth && cellHeight >= minCellHeight;
-      const isViableSize = cellWidth >= minCellWidth * 0.8 && cellHeight >= minCellHeight * 0.8; // 80% tolerance
+      const isViableSize = cellWidth >= minCellWidth * viableTolerance && cellHeight >= minCellHeight * viableTolerance;
       
       // If not acceptable but viable, and we haven't reached max rows, try next row count
       if (!isAcceptableSize && !isViableSize && rows < maxRows) {
         continue;
       }
       
-      // Score this configuration with strong preference for 3 rows
+      // Score this configuration with strong preference for the preferred rows
       const ratioScore = 1 - Math.abs(cellRatio - idealRatio) / idealRatio;
-      const sizeScore = Math.min(cellWidth, cellHeight) / 300; // Prefer larger cells
-      const aspectPenalty = cellRatio > 3 || cellRatio < 0.3 ? 0.5 : 1; // Penalize extreme ratios
+      const sizeScore = Math.min(cellWidth, cellHeight) / weights.sizeReference; // Prefer larger cells
+      const isExtremeRatio = cellRatio > weights.extremeRatioMax || cellRatio < weights.extremeRatioMin;
+      const aspectPenalty = isExtremeRatio ? weights.extremeRatioPenalty : 1;
       
-      // HUGE bonus for using preferred row count (3)
-      const rowPreferenceBonus = rows === preferredRows ? 2.0 : 
-                                rows === preferredRows + 1 ? 1.0 : 0.5;
+      const rowPreferenceBonus = rows === preferredRows ? weights.preferredRowsBonus :
+                                rows === preferredRows + 1 ? weights.nextRowsBonus : weights.otherRowsBonus;
       
       // Size requirement bonus - reward acceptable sizes, tolerate viable ones
-      const sizeBonus = isAcceptableSize ? 1.5 : isViableSize ? 1.2 : 1.0;
+      const sizeBonus = isAcceptableSize ? weights.acceptableSizeBonus :
+                        isViableSize ? weights.viableSizeBonus : 1.0;
       
       // Viewport fit bonus - heavily reward configurations that don't overflow
       const fitsViewport = (cellWidth * cols) <= viewport.width && (cellHeight * rows) <= viewport.height;
-      const viewportBonus = fitsViewport ? 1.3 : 0.8;
+      const viewportBonus = fitsViewport ? weights.fitsViewportBonus : weights.overflowBonus;
       
-      const totalScore = (ratioScore * 0.25 + sizeScore * 0.25) * aspectPenalty * rowPreferenceBonus * sizeBonus * viewportBonus;
+      const totalScore = (ratioScore * weights.ratio + sizeScore * weights.size) *
+                         aspectPenalty * rowPreferenceBonus * sizeBonus * viewportBonus;
       
       if (totalScore > bestScore || !bestConfig) {
         bestScore = totalScore;
@@ -143,10 +219,10 @@ const GridLayout = (function() {
         };
       }
       
-      // If we found a good 3-row solution that fits viewport, prefer it strongly
+      // If we found a good preferred-rows solution that fits viewport, prefer it strongly
       if (rows === preferredRows && (isAcceptableSize || isViableSize) && fitsViewport) {
-        bestConfig.score += 1.0; // Extra bonus
-        break; // Don't even consider more rows if 3 works well
+        bestConfig.score += weights.preferredFitBonus; // Extra bonus
+        break; // Don't even consider more rows if the preferred count works well
       }
     }
     
@@ -161,13 +237,268 @@ const GridLayout = (function() {
         cellHeight: viewport.height / rows,
         cellRatio: (viewport.width / cols) / (viewport.height / rows),
         totalItems: effectiveItems,
-        score: 0.5 // Lower score indicates forced fit
+        score: weights.forcedScore // Lower score indicates forced fit
       };
     }
     
     return bestConfig;
   }
   
+  /**
+   * Turn calculateLayout's items argument into one span per item
+   * @param {number|Array} items - Number of 1×1 items, or their spans [{ cols, rows }]
+   * @returns {Array} - Spans of at least 1×1
+   */
+  function normalizeSpans(items) {
+    if (typeof items === 'number') {
+      return Array.from({ length: items }, () => ({ cols: 1, rows: 1 }));
+    }
+    
+    return items.map(span => ({
+      cols: Math.max(1, Math.floor((span && span.cols) || 1)),
+      rows: Math.max(1, Math.floor((span && span.rows) || 1))
+    }));
+  }
+  
+  /**
+   * Pack the items and the contact cell into a grid
+   * The contact cell sits bottom-left. Items are placed in order, each in the first
+   * free spot it fits (later 1×1 items fill holes left by wider ones). The items of
+   * the last row then move to the right edge so the contact cell can widen into the
+   * space they leave, and any other hole is taken by a neighbouring item growing into it
+   * @param {Object} dimensions - { cols, rows } from calculateGridDimensions
+   * @param {Array} spans - Item spans from normalizeSpans
+   * @param {boolean} isMobile - Whether the contact cell spans 2 columns
+   * @param {boolean} spansFirst - Place the spanning items before the others (which
+   *   keep their order), for spans that don't fit where their turn comes
+   * @returns {Object|null} - { contact: { row, col, colSpan, rowSpan }, items: [{ row, col,
+   *   colSpan, rowSpan }], gaps } with the number of cells left empty, or null if the
+   *   items don't fit
+   */
+  function packCells(dimensions, spans, isMobile, spansFirst = false) {
+    const { cols, rows } = dimensions;
+    
+    // grid[row - 1][col - 1] holds the cell covering it, or null
+    const grid = Array.from({ length: rows }, () => new Array(cols).fill(null));
+    
+    function cover(cell) {
+      for (let row = cell.row; row < cell.row + cell.rowSpan; row++) {
+        for (let col = cell.col; col < cell.col + cell.colSpan; col++) {
+          grid[row - 1][col - 1] = cell;
+        }
+      }
+    }
+    
+    function uncover(cell) {
+      for (let row = cell.row; row < cell.row + cell.rowSpan; row++) {
+        for (let col = cell.col; col < cell.col + cell.colSpan; col++) {
+          grid[row - 1][col - 1] = null;
+        }
+      }
+    }
+    
+    function isFree(row, col, rowSpan, colSpan) {
+      if (row < 1 || col < 1 || row + rowSpan - 1 > rows || col + colSpan - 1 > cols) return false;
+      
+      for (let r = row; r < row + rowSpan; r++) {
+        for (let c = col; c < col + colSpan; c++) {
+          if (grid[r - 1][c - 1]) return false;
+        }
+      }
+      return true;
+    }
+    
+    // Contact cell bottom-left, 2 columns wide on mobile
+    const contact = { row: rows, col: 1, colSpan: isMobile ? Math.min(2, cols) : 1, rowSpan: 1 };
+    cover(contact);
+    
+    // First fit, row by row (spans wider or taller than the grid are cut to it)
+    const order = spans.map((span, index) => index);
+    if (spansFirst) {
+      order.sort((a, b) => (spans[b].cols * spans[b].rows > 1) - (spans[a].cols * spans[a].rows > 1) || a - b);
+    }
+    
+    const items = new Array(spans.length);
+    for (const index of order) {
+      const colSpan = Math.min(spans[index].cols, cols);
+      const rowSpan = Math.min(spans[index].rows, rows);
+      let placed = null;
+      
+      for (let row = 1; row <= rows && !placed; row++) {
+        for (let col = 1; col <= cols && !placed; col++) {
+          if (isFree(row, col, rowSpan, colSpan)) {
+            placed = { row, col, colSpan, rowSpan };
+          }
+        }
+      }
+      
+      if (!placed) return null;
+      cover(placed);
+      items[index] = placed;
+    }
+    
+    // Last row: push the items that start and end in it to the right edge, then
+    // expand the contact cell into the space they left
+    items
+      .filter(item => item.row === rows && item.rowSpan === 1)
+      .sort((a, b) => b.col - a.col)
+      .forEach(item => {
+        uncover(item);
+        while (isFree(item.row, item.col + 1, 1, item.colSpan)) {
+          item.col++;
+        }
+        cover(item);
+      });
+    
+    while (isFree(contact.row, contact.col + contact.colSpan, 1, 1)) {
+      contact.colSpan++;
+      cover(contact);
+    }
+    
+    // Remaining holes: grow a neighbouring item into them (the contact cell only widens)
+    let grown = true;
+    while (grown) {
+      grown = false;
+      
+      for (let row = 1; row <= rows; row++) {
+        for (let col = 1; col <= cols; col++) {
+          if (grid[row - 1][col - 1]) continue;
+          
+          const left = col > 1 ? grid[row - 1][col - 2] : null;
+          const above = row > 1 ? grid[row - 2][col - 1] : null;
+          const right = col < cols ? grid[row - 1][col] : null;
+          
+          if (left && isFree(left.row, col, left.rowSpan, 1)) {
+            left.colSpan++;
+            cover(left);
+          } else if (above && above !== contact && isFree(row, above.col, 1, above.colSpan)) {
+            above.rowSpan++;
+            cover(above);
+          } else if (right && right !== contact && isFree(right.row, col, right.rowSpan, 1)) {
+            right.col--;
+            right.colSpan++;
+            cover(right);
+          } else {
+            continue;
+          }
+          grown = true;
+        }
+      }
+    }
+    
+    const gaps = grid.reduce((count, cells) => count + cells.filter(cell => !cell).length, 0);
+    return { contact, items, gaps };
+  }
+  
+  /**
+   * Solve the layout of a grid of items plus the contact cell
+   * Pure: depends only on its arguments
+   * @param {number|Array} items - Number of 1×1 items, or their spans [{ cols, rows }]
+   *   (2×1, 1×2, 2×2) in item order
+   * @param {Object} viewport - { width, height } of the area to fill, in px
+   * @param {Object} options - Overrides of DEFAULT_OPTIONS
+   * @returns {Object} - Grid dimensions and score (see calculateGridDimensions) plus
+   *   isMobile, contact { row, col, colSpan, rowSpan } and items [{ row, col, colSpan,
+   *   rowSpan }] in item order
+   */
+  function calculateLayout(items, viewport, options = {}) {
+    const settings = resolveOptions(options);
+    const isMobile = viewport.width <= settings.mobileBreakpoint;
+    const spans = normalizeSpans(items);
+    
+    // Pack in item order, else with the spans placed first; a span that leaves holes
+    // either way is given up, the last one first, until everything packs (1×1 items always do)
+    for (;;) {
+      // Total cells = the items' cells + 1 contact cell
+      const area = spans.reduce((sum, span) => sum + span.cols * span.rows, 0);
+      const dimensions = calculateGridDimensions(area + 1, viewport, settings);
+      const placement = [false, true]
+        .map(spansFirst => packCells(dimensions, spans, isMobile, spansFirst))
+        .find(result => result && result.gaps === 0);
+      const lastSpan = spans.map(span => span.cols * span.rows > 1).lastIndexOf(true);
+      
+      if (placement || lastSpan === -1) {
+        const { contact, items: cells } = placement || packCells(dimensions, spans, isMobile);
+        return { ...dimensions, isMobile, contact, items: cells };
+      }
+      
+      spans[lastSpan] = { cols: 1, rows: 1 };
+    }
+  }
+  
+  /**
+   * Check whether a layout's cells are wide enough for its viewport
+   * Only the width counts: cells get narrower with more items, while their height
+   * depends on the rows, which paging doesn't change
+   * @param {Object} layout - Layout from calculateLayout
+   * @param {Object} viewport - { width, height } in px
+   * @param {Object} settings - Complete options
+   * @returns {boolean}
+   */
+  function meetsMinimumSize(layout, viewport, settings) {
+    const { minCellWidth } = getMinCellSize(viewport.width, settings.breakpoints);
+    return layout.cellWidth >= minCellWidth * settings.viableTolerance;
+  }
+  
+  /**
+   * Split the items over as few full-screen pages as keep every cell at least the
+   * minimum size, as evenly as possible (earlier pages take the odd items)
+   * Pure: depends only on its arguments
+   * @param {number|Array} items - Number of 1×1 items, or their spans (see calculateLayout)
+   * @param {Object} viewport - { width, height } of the area to fill, in px
+   * @param {Object} options - Overrides of DEFAULT_OPTIONS (paging: false gives one page)
+   * @returns {Array} - One layout per page (see calculateLayout), each with the index
+   *   of its first item as first; every page has the contact cell bottom-left
+   */
+  function calculatePages(items, viewport, options = {}) {
+    const settings = resolveOptions(options);
+    const spans = normalizeSpans(items);
+    const maxPages = settings.paging ? Math.max(1, spans.length) : 1;
+    
+    let layouts = [];
+    for (let pageCount = 1; pageCount <= maxPages; pageCount++) {
+      const pageSize = Math.floor(spans.length / pageCount);
+      const oddItems = spans.length % pageCount;
+      
+      layouts = [];
+      let first = 0;
+      for (let page = 0; page < pageCount; page++) {
+        const count = pageSize + (page < oddItems ? 1 : 0);
+        layouts.push({ ...calculateLayout(spans.slice(first, first + count), viewport, settings), first });
+        first += count;
+      }
+      
+      if (layouts.every(layout => meetsMinimumSize(layout, viewport, settings))) break;
+    }
+    
+    return layouts;
+  }
+  
+  /**
+   * Read a project's span from its data ("span": "2x1", "1x2" or "2x2", or
+   * "featured": true for 2x2)
+   * @param {Object} project - Project data object
+   * @returns {Object} - { cols, rows }
+   */
+  function getProjectSpan(project) {
+    const span = project.span || (project.featured ? '2x2' : null);
+    return PROJECT_SPANS[span] || { cols: 1, rows: 1 };
+  }
+  
+  /**
+   * Format a cell's position as grid-row and grid-column values
+   * @param {Object} cell - { row, col, colSpan, rowSpan }
+   * @returns {Object} - { gridRow, gridColumn }
+   */
+  function toGridArea(cell) {
+    const formatLine = (start, span) => (span > 1 ? `${start} / ${start + span}` : start);
+    
+    return {
+      gridRow: formatLine(cell.row, cell.rowSpan),
+      gridColumn: formatLine(cell.col, cell.colSpan)
+    };
+  }
+  
   /**
    * Apply grid layout to the container
    * @param {Array} projects - Array of project data
@@ -178,198 +509,262 @@ const GridLayout = (function() {
     // Store projects data for resize handling
     projectsData = projects;
     
-    // Check if we're on mobile (where contact cell will span 2 columns)
-    const isMobile = window.innerWidth <= 768;
-    
-    // Total items = projects + 1 contact cell (mobile: spans 2 columns, desktop: 1 column)
-    const totalItems = projects.length + 1;
-    const layout = calculateGridDimensions(totalItems);
+    const viewport = {
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
+    pages = calculatePages(projects.map(getProjectSpan), viewport, layoutOptions);
     
+    renderPage(findPageOfItem(anchorItem));
+    updatePageGestures();
+  }
+  
+  /**
+   * Find the page an item is laid out on
+   * @param {number} index - Item index
+   * @returns {number} - Page index
+   */
+  function findPageOfItem(index) {
+    const page = pages.findIndex(layout => index >= layout.first && index < layout.first + layout.items.length);
+    return page === -1 ? 0 : page;
+  }
+  
+  /**
+   * Write a page's layout into the grid, hiding the items of the other pages
+   * @param {number} page - Page index
+   */
+  function renderPage(page) {
+    const layout = pages[page];
     if (!layout) return;
     
-    // Get current CSS grid layout
-    const currentColsStyle = getComputedStyle(gridContainer).gridTemplateColumns;
-    const currentRowsStyle = getComputedStyle(gridContainer).gridTemplateRows;
-    const currentCols = currentColsStyle.split(' ').length;
-    const currentRows = currentRowsStyle.split(' ').length;
-    
-    // Check if we need to update the grid
-    const needsGridUpdate = currentCols !== layout.cols || currentRows !== layout.rows;
-    const isLayoutSignificantlyDifferent = Math.abs(currentCols - layout.cols) > 1 || 
-                                          Math.abs(currentRows - layout.rows) > 1;
-    
-    // Only update if necessary and it would be a significant improvement
-    if (!needsGridUpdate && !window.forceGridUpdate) {
-      // Grid is already correctly sized, no need to update
-      console.log('Grid layout is already optimal, preventing unnecessary update');
-      currentLayout = layout;
-      return;
-    }
-    
-    // For minor adjustments (within 1 row/col), only update if it's a clear improvement
-    if (!isLayoutSignificantlyDifferent && layout.score < 1.5 && !window.forceGridUpdate) {
-      console.log('Layout change is minor and not significantly better, maintaining current layout');
-      currentLayout = {
-        cols: currentCols,
-        rows: currentRows,
-        cellWidth: window.innerWidth / currentCols,
-        cellHeight: window.innerHeight / currentRows,
-        cellRatio: (window.innerWidth / currentCols) / (window.innerHeight / currentRows),
-        totalItems: totalItems,
-        score: 1
-      };
-      return;
-    }
+    const previousPage = currentPage;
+    currentPage = page;
     
     // Store current layout
     currentLayout = layout;
     
-    console.log(`Applying grid layout: ${layout.cols} cols × ${layout.rows} rows for ${projects.length} projects`);
+    console.log(`Applying grid layout: ${layout.cols} cols × ${layout.rows} rows for ${layout.items.length} projects`);
     
     // Apply CSS Grid styles
     gridContainer.style.gridTemplateColumns = `repeat(${layout.cols}, 1fr)`;
     gridContainer.style.gridTemplateRows = `repeat(${layout.rows}, 1fr)`;
     
-    // Reset all grid positions first (except contact cell which is positioned by CSS)
-    const allItems = Array.from(gridContainer.children);
-    allItems.forEach(item => {
-      if (!item.classList.contains('contact-cell')) {
-      item.style.gridRow = '';
-      item.style.gridColumn = '';
-      }
+    // The contact cell is part of every page
+    const contactCell = gridContainer.querySelector('.contact-cell');
+    if (contactCell) {
+      Object.assign(contactCell.style, toGridArea(layout.contact));
+    }
+    
+    // Project items in order; those on other pages are hidden
+    const projectItems = Array.from(gridContainer.children).filter(item => !item.classList.contains('contact-cell'));
+    projectItems.forEach((item, index) => {
+      const cell = layout.items[index - layout.first];
+      item.classList.toggle('project-item-offpage', !cell);
+      Object.assign(item.style, cell ? toGridArea(cell) : { gridRow: '', gridColumn: '' });
     });
     
-    // Calculate contact cell position and spanning
-    const contactRow = layout.rows;
-    const contactCol = 1;
-    // Only span 2 columns on mobile, single column on desktop
-    const contactColSpan = isMobile ? Math.min(2, layout.cols) : 1;
+    updatePageIndicator();
     
-    // Update contact cell positioning if needed
-    const contactCell = gridContainer.querySelector('.contact-cell');
-    if (contactCell) {
-      contactCell.style.gridRow = contactRow;
-      if (isMobile && contactColSpan > 1) {
-        contactCell.style.gridColumn = `${contactCol} / ${contactCol + contactColSpan}`;
-      } else {
-      contactCell.style.gridColumn = contactCol;
-      }
+    if (page !== previousPage) {
+      document.dispatchEvent(new CustomEvent('gridPageChanged', {
+        detail: { page, total: pages.length }
+      }));
     }
+  }
+  
+  /**
+   * Show a grid page
+   * @param {number} page - Page index (clamped to the pages)
+   */
+  function showPage(page) {
+    if (pages.length === 0) return;
     
-    // Get project items (exclude contact cell)
-    const projectItems = allItems.filter(item => !item.classList.contains('contact-cell'));
-    
-    // Position project items, skipping the contact cell position
-    let itemIndex = 0;
-    for (let row = 1; row <= layout.rows; row++) {
-      for (let col = 1; col <= layout.cols; col++) {
-        // Skip contact cell position (spanning logic depends on screen size)
-        const isContactPosition = isMobile ? 
-          (row === contactRow && col >= contactCol && col < contactCol + contactColSpan) :
-          (row === contactRow && col === contactCol);
-          
-        if (isContactPosition) {
-          continue;
-        }
-        
-        // Position project item if we have one
-        if (itemIndex < projectItems.length) {
-          const item = projectItems[itemIndex];
-          item.style.gridRow = row;
-          item.style.gridColumn = col;
-          itemIndex++;
-        }
-      }
+    const target = Math.min(Math.max(page, 0), pages.length - 1);
+    anchorItem = pages[target].first;
+    
+    if (target !== currentPage) {
+      renderPage(target);
     }
+  }
+  
+  /**
+   * Show the next grid page
+   */
+  function nextPage() {
+    showPage(currentPage + 1);
+  }
+  
+  /**
+   * Show the previous grid page
+   */
+  function prevPage() {
+    showPage(currentPage - 1);
+  }
+  
+  /**
+   * Show the page an item is on and keep it shown when the layout changes
+   * (e.g. the active project's cell on the project pages)
+   * @param {number} index - Item index
+   */
+  function showPageOfItem(index) {
+    anchorItem = index;
     
-    // Handle incomplete last row - expand contact cell to fill space and push projects right
-    expandLastRowItems(layout, projects.length, contactColSpan, isMobile);
+    const page = findPageOfItem(index);
+    if (pages.length > 0 && page !== currentPage) {
+      renderPage(page);
+    }
   }
   
   /**
-   * Expand contact cell in the last row to fill available space, pushing projects to the right
-   * @param {Object} layout - Grid layout configuration  
-   * @param {number} projectCount - Number of projects
-   * @param {number} contactColSpan - Number of columns the contact cell spans
-   * @param {boolean} isMobile - Whether we're on mobile (affects contact cell spanning)
+   * Page through the grid with the wheel, swipes and keys, and add the page indicator
+   * (the wheel and swipe handlers are only attached while there are pages to turn)
    */
-  function expandLastRowItems(layout, projectCount, contactColSpan, isMobile) {
-    const { cols, rows } = layout;
+  function setupPageNavigation() {
+    document.addEventListener('keydown', handleKeyPress);
     
-    // Find project items in the last row (excluding contact cell)
-    const projectItems = Array.from(gridContainer.children).filter(item => 
-      !item.classList.contains('contact-cell')
-    );
+    pageIndicator = document.createElement('nav');
+    pageIndicator.classList.add('grid-page-indicator');
+    pageIndicator.setAttribute('aria-label', 'Project pages');
+    pageIndicator.hidden = true;
+    document.body.appendChild(pageIndicator);
     
-    let lastRowProjectItems = [];
+    updatePageGestures();
+  }
+  
+  /**
+   * Pause or resume paging with the wheel, swipes and keys, hiding the page indicator
+   * meanwhile (the homepage pauses it while its project and gallery views are shown,
+   * which use the same keys and gestures)
+   * @param {boolean} enabled - False to pause, true to resume
+   */
+  function setPageNavigation(enabled) {
+    pagingPaused = !enabled;
     
-    projectItems.forEach((item) => {
-      const row = parseInt(item.style.gridRow);
-      if (row === rows) {
-        lastRowProjectItems.push(item);
-      }
-    });
+    updatePageIndicator();
+    updatePageGestures();
+  }
+  
+  /**
+   * Attach the wheel and touch swipe handlers when the grid has more than one page,
+   * and remove them when it has one, so the contact and About text can be selected
+   * and scrolled as usual. No mouse drag: it would stop text selection everywhere
+   */
+  function updatePageGestures() {
+    if (!pageIndicator) return;
+    
+    const canPage = pages.length > 1 && !pagingPaused;
+    
+    if (canPage && !pageGestures) {
+      pageGestures = UnifiedNavigation.setupNavigation(gridContainer, {
+        onPrev: prevPage,
+        onNext: nextPage
+      }, {
+        enableSwipe: true,
+        enableMouseDrag: false,
+        enableClick: false,
+        enableKeyboard: false, // Handled by handleKeyPress, for the extra keys and the fixed container
+        enableWheel: true,
+        swipeDirection: 'vertical',
+        swipeThreshold: 50
+      });
+    } else if (!canPage && pageGestures) {
+      pageGestures.destroy();
+      pageGestures = null;
+    }
+  }
+  
+  /**
+   * Handle keyboard paging
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyPress(event) {
+    if (pagingPaused || pages.length < 2 || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+    
+    // Hidden below the mobile breakpoint, where the mobile slider takes over
+    if (window.getComputedStyle(gridContainer).display === 'none') return;
+    
+    const actions = {
+      ArrowDown: nextPage,
+      ArrowRight: nextPage,
+      PageDown: nextPage,
+      ArrowUp: prevPage,
+      ArrowLeft: prevPage,
+      PageUp: prevPage,
+      Home: () => showPage(0),
+      End: () => showPage(pages.length - 1)
+    };
     
-    // If last row has project items and there's leftover space
-    if (lastRowProjectItems.length > 0) {
-      const contactCell = gridContainer.querySelector('.contact-cell');
-      const contactInLastRow = rows === layout.rows;
-      
-      if (contactInLastRow && contactCell) {
-        // Calculate how many columns are actually used by projects in last row
-        const projectsInLastRow = lastRowProjectItems.length;
-        const totalUsedCols = projectsInLastRow + 1; // +1 for contact cell minimum
-        
-        if (totalUsedCols < cols) {
-          // There's leftover space - expand contact cell to fill it
-          const leftoverCols = cols - projectsInLastRow;
-          
-          // Expand contact cell to take up leftover space
-          contactCell.style.gridColumn = `1 / ${leftoverCols + 1}`;
-          
-          // Position project items to the right, starting after the expanded contact cell
-          lastRowProjectItems.forEach((item, index) => {
-            const projectCol = leftoverCols + 1 + index;
-            item.style.gridColumn = projectCol;
-          });
-          
-          console.log(`Expanded contact cell to span ${leftoverCols} columns, pushing ${projectsInLastRow} projects to the right`);
-        }
-      }
+    if (actions[event.key]) {
+      actions[event.key]();
+      event.preventDefault();
     }
   }
   
+  /**
+   * Show the page numbers, current one marked, when there is more than one page
+   */
+  function updatePageIndicator() {
+    if (!pageIndicator) return;
+    
+    pageIndicator.hidden = pages.length < 2 || pagingPaused;
+    pageIndicator.innerHTML = '';
+    if (pageIndicator.hidden) return;
+    
+    pages.forEach((layout, page) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.classList.add('grid-page-button');
+      button.textContent = page + 1;
+      button.setAttribute('aria-label', `Page ${page + 1} of ${pages.length}`);
+      if (page === currentPage) {
+        button.setAttribute('aria-current', 'page');
+      }
+      button.addEventListener('click', () => showPage(page));
+      pageIndicator.appendChild(button);
+    });
+  }
+  
   /**
    * Get current layout information
-   * @returns {Object} Current layout configuration
+   * @returns {Object} Current layout configuration (of the page shown)
    */
   function getCurrentLayout() {
     return currentLayout;
   }
   
   /**
-   * Debounce function to limit how often resize handler runs
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Milliseconds to wait
-   * @returns {Function} Debounced function
+   * Get the page shown
+   * @returns {number} - Page index
    */
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  function getCurrentPage() {
+    return currentPage;
+  }
+  
+  /**
+   * Get the number of grid pages
+   * @returns {number}
+   */
+  function getPageCount() {
+    return pages.length;
   }
   
   // Public API
   return {
+    DEFAULT_OPTIONS,
     init,
+    calculateLayout,
+    calculatePages,
     calculateGridDimensions,
+    getProjectSpan,
     applyLayout,
-    getCurrentLayout
+    showPage,
+    nextPage,
+    prevPage,
+    showPageOfItem,
+    setPageNavigation,
+    getCurrentLayout,
+    getCurrentPage,
+    getPageCount
   };
-})(); 
\ No newline at end of file
+})();
@@ -7,21 +7,55 @@ const ImageLoader = (function() {
   // Cache for loaded images
   const loadedImages = new Set();
   
+  // Blur-up placeholders by image path, loaded a folder at a time from the files
+  // scripts/build-manifest.js writes next to the manifest (see loadPlaceholders)
+  const placeholders = {};
+  const placeholderRequests = {};
+  
+  // Element -> image whose placeholder it should paint once the folder's file arrives
+  const pendingPlaceholders = new WeakMap();
+  
+  // Box each view shows an image in, mirroring the CSS, used to build `sizes`.
+  // The image is as wide as `width` or as tall as `height`, whichever fits first
+  // (`cover` boxes fill both); the first entry whose media query matches wins
+  const IMAGE_LAYOUTS = {
+    'slide-main': [{ width: '90vw', height: '70vh' }],
+    'slide-fullscreen': [{ width: '100vw', height: '100vh', cover: true }],
+    'slide-fullheight': [{ width: '100vw', height: '100vh' }],
+    'slide-diptych': [
+      { media: '(max-width: 768px)', width: '90vw', height: '35vh' },
+      { width: '45vw', height: '70vh' }
+    ],
+    'overlay': [{ width: '90vw', height: '70vh' }],
+    'gallery': [
+      { media: '(max-width: 768px)', width: 'calc(50vw - 40px)', height: '120px' },
+      { height: '200px' }
+    ],
+    'lightbox': [
+      { media: '(max-width: 768px)', width: 'calc(100vw - 40px)', height: '70vh' },
+      { width: '90vw', height: '70vh' }
+    ],
+    'mobile-slide': [{ width: 'calc(100vw - 40px)', height: '70vh' }]
+  };
+  
+  // Formats scripts/build-images.js writes every image in, in the order <picture> offers
+  // them; JPEG is the <img> fallback when the image has it, otherwise the original's format
+  const IMAGE_FORMATS = {
+    avif: { extension: 'avif', type: 'image/avif' },
+    webp: { extension: 'webp', type: 'image/webp' },
+    jpeg: { extension: 'jpg', type: 'image/jpeg' }
+  };
+  
   /**
-   * Fix image path based on current page location
+   * Fix image path for the current page
+   * Paths in the data are relative to the site root, and pages below the root
+   * (templates, /work/<slug> URLs) declare <base href="/">, so they resolve as they are
    * @param {string} imagePath - Original image path from project data
-   * @returns {string} - Corrected path based on current location
+   * @returns {string} - Path usable from the current page
    */
   function fixImagePath(imagePath) {
-    // Check if we're in the templates directory
-    const isInTemplates = window.location.pathname.includes('templates/');
-    
-    // If we're in templates and the path doesn't already start with ../
-    if (isInTemplates && !imagePath.startsWith('../') && !imagePath.startsWith('http')) {
-      return '../' + imagePath;
-    }
-    
-    return imagePath;
+    // Older data may still carry the ../ prefix templates used to need
+    return toRootPath(imagePath);
   }
   
   /**
@@ -41,8 +75,7 @@ const ImageLoader = (function() {
             if (img.dataset.src) {
               // Use requestAnimationFrame for non-blocking image loading
               requestAnimationFrame(() => {
-              img.src = img.dataset.src;
-              img.removeAttribute('data-src');
+              loadDeferredSources(img);
               });
             }
             
@@ -84,24 +117,49 @@ const ImageLoader = (function() {
     
     images.forEach(img => {
       if (img.dataset.src) {
-        img.src = img.dataset.src;
-        img.removeAttribute('data-src');
+        loadDeferredSources(img);
       }
       img.classList.add('loaded');
       loadedImages.add(img.src);
     });
   }
   
+  /**
+   * Move data-srcset/data-src to srcset/src so a lazy image starts loading
+   * @param {HTMLImageElement} img - Image set up with setImageSources(..., { lazy: true })
+   */
+  function loadDeferredSources(img) {
+    // <picture> sources and srcset first, so the browser doesn't start on the full-size src
+    const picture = getPicture(img);
+    if (picture) {
+      picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset;
+        source.removeAttribute('data-srcset');
+      });
+    }
+    
+    if (img.dataset.srcset) {
+      img.srcset = img.dataset.srcset;
+      img.removeAttribute('data-srcset');
+    }
+    
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+  
   /**
    * Preload images for smoother experience
-   * @param {Array} imagePaths - Array of image paths to preload
+   * @param {Array} images - Image paths, or normalized images to preload at the size a layout shows them
    * @param {Function} callback - Callback function to run when all images are loaded
+   * @param {string} layout - IMAGE_LAYOUTS key used for normalized images
    */
-  function preloadImages(imagePaths, callback) {
+  function preloadImages(images, callback, layout) {
     let loadedCount = 0;
     
     // Skip already loaded images
-    const imagesToLoad = imagePaths.filter(path => !loadedImages.has(path));
+    const imagesToLoad = images
+      .map(image => (typeof image === 'string' ? { src: image } : image))
+      .filter(image => !loadedImages.has(image.src));
     
     // If all images are already loaded, call callback immediately
     if (imagesToLoad.length === 0 && typeof callback === 'function') {
@@ -117,30 +175,333 @@ const ImageLoader = (function() {
       }
     }
     
-    imagesToLoad.forEach(path => {
+    imagesToLoad.forEach(image => {
       const img = new Image();
       img.onload = imageLoaded;
       img.onerror = imageLoaded; // Count errors as loaded to avoid blocking
-      img.src = path;
-      loadedImages.add(path);
+      setImageSources(img, image, layout);
+      loadedImages.add(image.src);
     });
   }
   
+  /**
+   * Strip a page-relative ../ prefix
+   * @param {string} imagePath - Image path, possibly starting with ../
+   * @returns {string} - Path relative to the site root
+   */
+  function toRootPath(imagePath) {
+    return imagePath.startsWith('../') ? imagePath.slice(3) : imagePath;
+  }
+  
+  /**
+   * Find metadata recorded for a file in the manifest (from images/<folder>/metadata.json)
+   * @param {string} imagePath - Image path
+   * @returns {Object|null} - Manifest entry object, or null if the file has no metadata
+   */
+  function getManifestMetadata(imagePath) {
+    if (typeof imageManifest === 'undefined') return null;
+    
+    const rootPath = toRootPath(imagePath);
+    const folder = rootPath.split('/')[1];
+    const entry = imageManifest[folder];
+    if (!entry || !entry.images) return null;
+    
+    return entry.images.find(image => typeof image === 'object' && image.src === rootPath) || null;
+  }
+  
+  /**
+   * Find the resized and converted copies written for a file
+   * They are listed in js/data/image-copies.js, which npm run images writes and which
+   * isn't committed: without it images are served as the originals
+   * @param {string} imagePath - Image path
+   * @returns {Object} - { widths, formats }, either may be missing
+   */
+  function getImageCopies(imagePath) {
+    if (typeof imageCopies === 'undefined') return {};
+    return imageCopies[toRootPath(imagePath)] || {};
+  }
+  
+  /**
+   * Normalize an image entry to its object form with a corrected path
+   * Entries can be a plain path string or { src, alt, caption, credits }. Plain strings
+   * (and missing fields) are filled in from the manifest metadata for the same file,
+   * including the pixel size, orientation and colours recorded by the manifest builder,
+   * the resized widths and other formats of its copies, and the placeholder if its
+   * folder's file has loaded
+   * @param {string|Object} entry - Image entry from project data or the manifest
+   * @returns {Object} - { src, alt, caption, credits, width, height, orientation, widths,
+   *   formats, placeholder, dominantColor, averageColor }
+   */
+  function normalizeImage(entry) {
+    const image = typeof entry === 'string' ? { src: entry } : { ...entry };
+    const metadata = getManifestMetadata(image.src) || {};
+    const copies = getImageCopies(image.src);
+    const width = image.width || metadata.width || null;
+    const height = image.height || metadata.height || null;
+    
+    return {
+      src: fixImagePath(image.src),
+      alt: image.alt || metadata.alt || '',
+      caption: image.caption || metadata.caption || '',
+      credits: image.credits || metadata.credits || '',
+      width,
+      height,
+      orientation: image.orientation || metadata.orientation || getOrientation(width, height),
+      widths: image.widths || copies.widths || [],
+      formats: image.formats || copies.formats || [],
+      placeholder: image.placeholder || placeholders[toRootPath(image.src)] || null,
+      dominantColor: image.dominantColor || metadata.dominantColor || null,
+      averageColor: image.averageColor || metadata.averageColor || null
+    };
+  }
+  
+  /**
+   * Describe the shape of an image from its pixel size
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {string|null} - 'landscape', 'portrait', 'square', or null if the size is unknown
+   */
+  function getOrientation(width, height) {
+    if (!width || !height) return null;
+    if (width === height) return 'square';
+    return width > height ? 'landscape' : 'portrait';
+  }
+  
+  /**
+   * Get the format of an image file from its extension
+   * @param {string} imagePath - Image path
+   * @returns {string} - Format name, like 'webp' or 'jpeg'
+   */
+  function getImageFormat(imagePath) {
+    const extension = imagePath.slice(imagePath.lastIndexOf('.') + 1).toLowerCase();
+    return extension === 'jpg' ? 'jpeg' : extension;
+  }
+  
+  /**
+   * Get the path of a resized or converted copy written by scripts/build-images.js
+   * @param {string} imagePath - Original image path
+   * @param {number|null} width - Width of the copy, or null for full size
+   * @param {string} format - IMAGE_FORMATS key (defaults to the original's format)
+   * @returns {string} - Path like 'images/P-01/480w/Ladakhi-Bakers1.webp' or
+   *   'images/P-01/full/Ladakhi-Bakers1.avif'; the original itself for full size in its own format
+   */
+  function getResizedImagePath(imagePath, width, format = getImageFormat(imagePath)) {
+    const isOwnFormat = format === getImageFormat(imagePath);
+    if (!width && isOwnFormat) return imagePath;
+    
+    const slash = imagePath.lastIndexOf('/');
+    const filename = isOwnFormat
+      ? imagePath.slice(slash + 1)
+      : `${imagePath.slice(slash + 1, imagePath.lastIndexOf('.'))}.${IMAGE_FORMATS[format].extension}`;
+    
+    return `${imagePath.slice(0, slash + 1)}${width ? `${width}w` : 'full'}/${filename}`;
+  }
+  
+  /**
+   * Build the srcset of an image in one format from its resized copies and the full size
+   * @param {Object} image - Normalized image
+   * @param {string} format - IMAGE_FORMATS key (defaults to the original's format)
+   * @returns {string} - srcset value, or an empty string if the original has no copies
+   */
+  function getImageSrcset(image, format = image && getImageFormat(image.src)) {
+    if (!image || !image.width) return '';
+    
+    const widths = image.widths || [];
+    if (widths.length === 0 && format === getImageFormat(image.src)) return '';
+    
+    return widths
+      .map(width => `${encodeURI(getResizedImagePath(image.src, width, format))} ${width}w`)
+      .concat(`${encodeURI(getResizedImagePath(image.src, null, format))} ${image.width}w`)
+      .join(', ');
+  }
+  
+  /**
+   * Pick the format an image's <img> loads when no <picture> source applies
+   * JPEG works in every browser and link preview; without it the original is used
+   * @param {Object} image - Normalized image
+   * @returns {string} - Format name
+   */
+  function getFallbackFormat(image) {
+    return (image.formats || []).includes('jpeg') ? 'jpeg' : getImageFormat(image.src);
+  }
+  
+  /**
+   * List the <picture> sources of an image, best compression first
+   * @param {Object} image - Normalized image
+   * @returns {Array} - { type, srcset } for every format it has besides the fallback
+   */
+  function getPictureSources(image) {
+    const available = [getImageFormat(image.src), ...(image.formats || [])];
+    const fallbackFormat = getFallbackFormat(image);
+    
+    return Object.keys(IMAGE_FORMATS)
+      .filter(format => format !== fallbackFormat && available.includes(format))
+      .map(format => ({ type: IMAGE_FORMATS[format].type, srcset: getImageSrcset(image, format) }))
+      .filter(source => source.srcset);
+  }
+  
+  /**
+   * Get the <picture> an img is the fallback of
+   * @param {HTMLImageElement} img - Image element
+   * @returns {HTMLPictureElement|null} - Parent picture, or null
+   */
+  function getPicture(img) {
+    const parent = img.parentElement;
+    return parent && parent.tagName === 'PICTURE' ? parent : null;
+  }
+  
+  /**
+   * Replace the <source>s around an img, wrapping it in a <picture> (in place, if it is
+   * already in the document) the first time it gets any
+   * @param {HTMLImageElement} img - Image element
+   * @param {Array} sources - { type, srcset } from getPictureSources
+   * @param {string} sizes - sizes value shared with the img
+   * @param {boolean} lazy - Write data-srcset for lazyLoadImages
+   * @returns {HTMLPictureElement|null} - The picture, or null if the img has none
+   */
+  function setPictureSources(img, sources, sizes, lazy) {
+    let picture = getPicture(img);
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+    if (sources.length === 0) return picture;
+    
+    if (!picture) {
+      picture = document.createElement('picture');
+      if (img.parentNode) {
+        img.replaceWith(picture);
+      }
+      picture.appendChild(img);
+    }
+    
+    sources.forEach(({ type, srcset }) => {
+      const source = document.createElement('source');
+      source.type = type;
+      source.sizes = sizes;
+      if (lazy) {
+        source.dataset.srcset = srcset;
+      } else {
+        source.srcset = srcset;
+      }
+      picture.insertBefore(source, img);
+    });
+    
+    return picture;
+  }
+  
+  /**
+   * Multiply a CSS length like '70vh' or '200px'
+   * @param {string} length - Length with a unit
+   * @param {number} factor - Factor to apply
+   * @returns {string} - Scaled length
+   */
+  function scaleLength(length, factor) {
+    const [, value, unit] = length.match(/^([\d.]+)([a-z]+)$/);
+    return `${Math.round(parseFloat(value) * factor)}${unit}`;
+  }
+  
+  /**
+   * Build the sizes attribute for an image shown in one of the IMAGE_LAYOUTS
+   * @param {Object} image - Normalized image (its aspect ratio picks width- or height-bound)
+   * @param {string} layout - IMAGE_LAYOUTS key
+   * @returns {string} - sizes value
+   */
+  function getImageSizes(image, layout) {
+    const boxes = IMAGE_LAYOUTS[layout];
+    if (!boxes) return '100vw';
+    
+    const ratio = image && image.width && image.height ? image.width / image.height : null;
+    
+    return boxes.map(box => {
+      let size = box.width || '100vw';
+      if (box.height && ratio) {
+        const heightBound = scaleLength(box.height, ratio);
+        size = box.width ? `${box.cover ? 'max' : 'min'}(${box.width}, ${heightBound})` : heightBound;
+      }
+      return box.media ? `${box.media} ${size}` : size;
+    }).join(', ');
+  }
+  
+  /**
+   * Point an img element at an image, with srcset/sizes when resized copies exist
+   * and width/height when its size is known (see setImageSize)
+   * Images written in other formats get a <picture> around the img with AVIF and WebP
+   * sources, and the img itself loads the JPEG copies. Insert the returned element
+   * rather than the img, which may have been wrapped
+   * @param {HTMLImageElement} img - Image element (may be reused for another image)
+   * @param {Object} image - Normalized image
+   * @param {string} layout - IMAGE_LAYOUTS key describing where the image is shown
+   * @param {Object} options - { lazy: true } writes data-src/data-srcset for lazyLoadImages
+   * @returns {HTMLElement} - The img's <picture>, or the img if it has none
+   */
+  function setImageSources(img, image, layout, { lazy = false } = {}) {
+    const fallbackFormat = getFallbackFormat(image);
+    const srcset = getImageSrcset(image, fallbackFormat);
+    const sizes = getImageSizes(image, layout);
+    
+    // Sources before sizes before srcset before src, so the browser requests one file only
+    const picture = setPictureSources(img, getPictureSources(image), sizes, lazy);
+    
+    if (srcset) {
+      img.sizes = sizes;
+      if (lazy) {
+        img.dataset.srcset = srcset;
+      } else {
+        img.srcset = srcset;
+      }
+    } else {
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+    }
+    
+    setImageSize(img, image);
+    
+    const src = getResizedImagePath(image.src, null, fallbackFormat);
+    if (lazy) {
+      img.dataset.src = src;
+    } else {
+      img.src = src;
+    }
+    
+    return picture || img;
+  }
+  
+  /**
+   * Build the visible caption line for an image
+   * @param {Object} image - Normalized image object
+   * @returns {string} - Caption followed by credits, or an empty string
+   */
+  function getImageCaption(image) {
+    if (!image) return '';
+    
+    const credits = Array.isArray(image.credits) ? image.credits.join(', ') : image.credits;
+    return [image.caption, credits].filter(Boolean).join(' — ');
+  }
+  
+  /**
+   * Get cover image for a project
+   * @param {Object} project - Project data object
+   * @returns {Object} - Normalized cover image
+   */
+  function getCoverImage(project) {
+    return normalizeImage(project.coverImage);
+  }
+  
   /**
    * Get cover image path for a project
    * @param {Object} project - Project data object
    * @returns {string} - Path to the cover image
    */
   function getCoverImagePath(project) {
-    return fixImagePath(project.coverImage);
+    return getCoverImage(project).src;
   }
   
   /**
-   * Get slideshow image paths for a project
+   * Get slideshow images for a project
    * @param {Object} project - Project data object
-   * @returns {Array} - Array of image paths for slideshow
+   * @returns {Array} - Array of normalized images for slideshow
    */
-  function getSlideshowImagePaths(project) {
+  function getSlideshowImages(project) {
     // Extract all images from slideTemplates
     if (project.slideTemplates && project.slideTemplates.length > 0) {
       const allImages = [];
@@ -149,36 +510,73 @@ const ImageLoader = (function() {
           allImages.push(...template.images);
         }
       });
-      return allImages.map(imagePath => fixImagePath(imagePath));
+      return allImages.map(normalizeImage);
     }
     
     // Fallback to slideshowImages for backwards compatibility (if still exists)
     const images = project.slideshowImages || [];
-    return images.map(imagePath => fixImagePath(imagePath));
+    return images.map(normalizeImage);
   }
   
   /**
-   * Generate all gallery image paths for a project using totalImages and naming pattern
-   * This automatically generates paths based on totalImages count and project-specific naming
+   * Get slideshow image paths for a project
    * @param {Object} project - Project data object
-   * @returns {Array} - Array of all image paths for gallery
+   * @returns {Array} - Array of image paths for slideshow
    */
-  function getGalleryImagePaths(project) {
+  function getSlideshowImagePaths(project) {
+    return getSlideshowImages(project).map(image => image.src);
+  }
+  
+  /**
+   * Get the scanned image list for a project from the generated manifest
+   * @param {Object} project - Project data object
+   * @returns {Array|null} - Image entries found on disk, or null if the folder is not in the manifest
+   */
+  function getManifestImages(project) {
+    if (typeof imageManifest === 'undefined') return null;
+    
+    const entry = imageManifest[project.folder || project.id];
+    if (!entry || !entry.images || entry.images.length === 0) return null;
+    
+    return entry.images;
+  }
+  
+  /**
+   * Get all gallery images for a project
+   * Uses the manual galleryImages list if present, otherwise the manifest written by
+   * scripts/build-manifest.js, otherwise a namingPattern + totalImages sequence
+   * @param {Object} project - Project data object
+   * @returns {Array} - Array of normalized images for gallery
+   */
+  function getGalleryImages(project) {
     // If project has a galleryImages array, use that (manual override)
     if (project.galleryImages && project.galleryImages.length > 0) {
-      const fixedPaths = project.galleryImages.map(imagePath => fixImagePath(imagePath));
+      const images = project.galleryImages.map(normalizeImage);
       
       // If totalImages is specified, limit the results
       if (project.totalImages && project.totalImages > 0) {
-        return fixedPaths.slice(0, project.totalImages);
+        return images.slice(0, project.totalImages);
+      }
+      
+      return images;
+    }
+    
+    // Use the real files listed in the manifest
+    const manifestImages = getManifestImages(project);
+    if (manifestImages) {
+      const images = manifestImages.map(normalizeImage);
+      
+      // totalImages is optional here and only trims the list
+      if (project.totalImages && project.totalImages > 0) {
+        return images.slice(0, project.totalImages);
       }
       
-      return fixedPaths;
+      return images;
     }
     
-    // Auto-generate based on totalImages and naming pattern
+    // Generate paths from a naming pattern when the folder has not been scanned
     if (project.totalImages && project.totalImages > 0) {
-      const galleryPaths = [];
+      const galleryImages = [];
       
       for (let i = 1; i <= project.totalImages; i++) {
         let imagePath;
@@ -192,66 +590,44 @@ const ImageLoader = (function() {
             .replace('{i2}', i.toString().padStart(2, '0'))
             .replace('{folder}', project.folder || project.id);
         } else {
-          // Generate naming pattern based on project title and ID
+          // Generate naming pattern based on project title, in the cover image's format
           const nameSlug = generateProjectNameSlug(project);
-          imagePath = `images/${project.folder || project.id}/${nameSlug}${i}.webp`;
+          const coverPath = project.coverImage ? getCoverImagePath(project) : '';
+          const extension = /\.\w+$/.test(coverPath) ? coverPath.slice(coverPath.lastIndexOf('.')) : '.webp';
+          imagePath = `images/${project.folder || project.id}/${nameSlug}${i}${extension}`;
         }
         
         if (imagePath) {
-          galleryPaths.push(fixImagePath(imagePath));
+          galleryImages.push(normalizeImage(imagePath));
         }
       }
       
-      if (galleryPaths.length > 0) {
-        return galleryPaths;
+      if (galleryImages.length > 0) {
+        return galleryImages;
       }
     }
     
-    // Final fallback: use slideTemplates if no other option works
-    if (project.slideTemplates && project.slideTemplates.length > 0) {
-      const allImages = [];
-      project.slideTemplates.forEach(template => {
-        if (template.images && Array.isArray(template.images)) {
-          allImages.push(...template.images);
-        }
-      });
-      return allImages.map(imagePath => fixImagePath(imagePath));
-    }
-    
-    // Legacy fallback: use slideshowImages if slideTemplates not available
-    if (project.slideshowImages && project.slideshowImages.length > 0) {
-      return project.slideshowImages.map(imagePath => fixImagePath(imagePath));
-    }
-    
-    // If no images specified, return empty array
-    return [];
+    // Final fallback: use the slideshow selection (slideTemplates or legacy slideshowImages)
+    return getSlideshowImages(project);
+  }
+  
+  /**
+   * Get all gallery image paths for a project
+   * @param {Object} project - Project data object
+   * @returns {Array} - Array of all image paths for gallery
+   */
+  function getGalleryImagePaths(project) {
+    return getGalleryImages(project).map(image => image.src);
   }
   
   /**
    * Generate a filename slug based on project title for automatic image naming
+   * Only used when a folder is missing from the manifest and has no namingPattern
    * @param {Object} project - Project data object
    * @returns {string} - Generated name slug for image files
    */
   function generateProjectNameSlug(project) {
-    // Known mappings for specific projects based on actual file naming
-    const projectNameMappings = {
-      'P-01': 'Ladakhi-Bakers',     // "Ladakhi Bakers" -> "Ladakhi-Bakers"
-      'P-02': 'Miralls',            // "366 Miralls" -> "Miralls" 
-      'P-03': 'Morocco',            // "Moro[cc]o" -> "Morocco"
-      'P-04': 'Thinking-Mu',        // "Factory x Thinking Mu" -> "Thinking-Mu"
-      'P-05': 'Varanasi',           // "Two days in Varanasi" -> "Varanasi"
-      'P-06': 'Kirguistan',         // "Kirguistan" -> "Kirguistan"
-      'P-07': 'Georgia',            // "Georgia" -> "Georgia"
-      'P-08': 'TheJumpingAge',      // "The Jumping Age" -> "TheJumpingAge"
-      'P-09': 'Comercial'           // "Commercial" -> "Comercial"
-    };
-    
-    // Return the specific mapping if it exists
-    if (projectNameMappings[project.id]) {
-      return projectNameMappings[project.id];
-    }
-    
-    // Fallback: generate from title (remove special characters, replace spaces with hyphens)
+    // Generate from title (remove special characters, replace spaces with hyphens)
     return project.title
       .replace(/\[|\]|\(|\)/g, '')  // Remove brackets and parentheses
       .replace(/\s+/g, '-')         // Replace spaces with hyphens
@@ -262,20 +638,18 @@ const ImageLoader = (function() {
   
   /**
    * Get all available images from a project folder
-   * This is a fallback method that tries common naming patterns
    * @param {Object} project - Project data object
    * @returns {Array} - Array of image paths found
    */
   function getAllProjectImages(project) {
-    // For now, this will use the automatic generation
-    // In a real scenario, you might want to scan the actual folder
+    // The folder scan already happened at build time (see js/data/manifest.js)
     return getGalleryImagePaths(project);
   }
   
   /**
-   * Get slide templates with fixed image paths
+   * Get slide templates with normalized images
    * @param {Object} project - Project data object
-   * @returns {Array} - Array of slide templates with corrected paths
+   * @returns {Array} - Array of slide templates whose images are { src, alt, caption, credits }
    */
   function getSlideTemplates(project) {
     if (!project.slideTemplates || project.slideTemplates.length === 0) {
@@ -284,7 +658,7 @@ const ImageLoader = (function() {
     
     return project.slideTemplates.map(template => ({
       type: template.type,
-      images: template.images.map(imagePath => fixImagePath(imagePath))
+      images: template.images.map(normalizeImage)
     }));
   }
   
@@ -297,6 +671,241 @@ const ImageLoader = (function() {
     return loadedImages.has(imagePath);
   }
   
+  /**
+   * Give an img its final box before the file arrives
+   * width/height attributes let the browser derive the aspect ratio, so CSS that sets one
+   * side (height: 200px; width: auto) or caps both (max-width/max-height) lays out at once
+   * @param {HTMLImageElement} img - Image element
+   * @param {Object} image - Normalized image
+   */
+  function setImageSize(img, image) {
+    if (image.width && image.height) {
+      img.width = image.width;
+      img.height = image.height;
+      img.dataset.orientation = image.orientation;
+    } else {
+      img.removeAttribute('width');
+      img.removeAttribute('height');
+      img.removeAttribute('data-orientation');
+    }
+  }
+  
+  /**
+   * Give a box that wraps an image the image's aspect ratio
+   * For wrappers with one fixed side, like gallery items (height: 200px), so they take
+   * their final width while the image inside is still waiting to be lazy loaded
+   * @param {HTMLElement} element - Wrapping element
+   * @param {Object} image - Normalized image
+   */
+  function setImageBox(element, image) {
+    if (image.width && image.height) {
+      element.style.aspectRatio = `${image.width} / ${image.height}`;
+      element.dataset.orientation = image.orientation;
+    } else {
+      element.style.aspectRatio = '';
+      element.removeAttribute('data-orientation');
+    }
+  }
+  
+  /**
+   * Expose an image's colours to CSS as --image-color (dominant) and --image-average-color
+   * Stylesheets decide where they show: loading tiles, slide and overlay backgrounds
+   * @param {HTMLElement} element - Element showing the image
+   * @param {Object} image - Normalized image (null clears the colours)
+   */
+  function setImageColors(element, image) {
+    const colors = {
+      '--image-color': image && image.dominantColor,
+      '--image-average-color': image && image.averageColor
+    };
+    
+    Object.entries(colors).forEach(([property, color]) => {
+      if (color) {
+        element.style.setProperty(property, color);
+      } else {
+        element.style.removeProperty(property);
+      }
+    });
+  }
+  
+  /**
+   * Get the URL of the placeholder file for an image folder
+   * @param {string} folder - Folder name inside images/
+   * @returns {string} - URL relative to the site root
+   */
+  function getPlaceholderFileUrl(folder) {
+    return `js/data/placeholders/${encodeURIComponent(folder)}.json`;
+  }
+  
+  /**
+   * Get the URL of a project's placeholder file (for saving the project offline)
+   * @param {Object} project - Project data object
+   * @returns {string} - URL relative to the site root
+   */
+  function getPlaceholderUrl(project) {
+    return getPlaceholderFileUrl(project.folder || project.id);
+  }
+  
+  /**
+   * Add placeholders to the ones known by image path
+   * @param {Object} data - Map of image path to base64 WebP, as in a placeholder file
+   */
+  function addPlaceholders(data) {
+    Object.assign(placeholders, data);
+  }
+  
+  /**
+   * Load the placeholders of an image folder (only fetches once)
+   * A missing file only means the images show without one
+   * @param {string} folder - Folder name inside images/
+   * @returns {Promise} - Settles once the placeholders are known
+   */
+  function loadFolderPlaceholders(folder) {
+    if (!placeholderRequests[folder]) {
+      placeholderRequests[folder] = fetch(getPlaceholderFileUrl(folder))
+        .then(response => (response.ok ? response.json() : {}))
+        .then(addPlaceholders)
+        .catch(() => {});
+    }
+    return placeholderRequests[folder];
+  }
+  
+  /**
+   * Start loading a project's placeholders, so they are there when its views paint
+   * @param {Object} project - Project data object
+   * @returns {Promise} - Settles once the placeholders are known
+   */
+  function loadPlaceholders(project) {
+    return loadFolderPlaceholders(project.folder || project.id);
+  }
+  
+  /**
+   * Paint an image's placeholder until the file arrives
+   * The placeholder is a CSS background sized like object-fit, so on the img itself it
+   * sits exactly under the picture; a box that wraps the img tightly works as well.
+   * If the image's folder hasn't loaded its placeholders yet, it is painted once they
+   * arrive, unless the image got there first or the element shows another image by then
+   * @param {HTMLElement} element - The img, or a box that wraps it
+   * @param {Object} image - Normalized image
+   * @param {HTMLImageElement} img - Image whose load ends the placeholder (defaults to element)
+   */
+  function setImagePlaceholder(element, image, img = element) {
+    element.classList.remove('image-placeholder', 'placeholder-revealed');
+    element.style.backgroundImage = '';
+    pendingPlaceholders.delete(element);
+    if (!image) return;
+    
+    const rootPath = toRootPath(image.src);
+    const placeholder = image.placeholder || placeholders[rootPath];
+    if (placeholder) {
+      paintPlaceholder(element, placeholder, img);
+      return;
+    }
+    
+    const folder = rootPath.startsWith('images/') ? rootPath.split('/')[1] : null;
+    if (!folder) return;
+    
+    pendingPlaceholders.set(element, image);
+    loadFolderPlaceholders(folder).then(() => {
+      if (pendingPlaceholders.get(element) !== image) return;
+      pendingPlaceholders.delete(element);
+      
+      if (placeholders[rootPath] && !(img.complete && img.naturalWidth > 0)) {
+        paintPlaceholder(element, placeholders[rootPath], img);
+      }
+    });
+  }
+  
+  /**
+   * Paint a placeholder as the element's background
+   * @param {HTMLElement} element - The img, or a box that wraps it
+   * @param {string} placeholder - Base64 WebP
+   * @param {HTMLImageElement} img - Image whose load ends the placeholder
+   */
+  function paintPlaceholder(element, placeholder, img) {
+    element.style.backgroundImage = `url("data:image/webp;base64,${placeholder}")`;
+    element.classList.add('image-placeholder');
+    watchImagePlaceholder(element, img);
+  }
+  
+  /**
+   * Fade from the placeholder to the image once it has loaded
+   * Also used for placeholders that came with the page markup
+   * @param {HTMLElement} element - Element painting the placeholder
+   * @param {HTMLImageElement} img - Image to wait for
+   */
+  function watchImagePlaceholder(element, img) {
+    // Already there (cached, or loaded before the scripts ran): no fade needed
+    if (img.complete && img.naturalWidth > 0) {
+      element.classList.add('placeholder-revealed', 'placeholder-instant');
+      return;
+    }
+    
+    element.classList.remove('placeholder-instant');
+    img.addEventListener('load', () => {
+      element.classList.add('placeholder-revealed');
+    }, { once: true });
+  }
+  
+  /**
+   * Replace an image that failed to load with a visible fallback frame
+   * @param {HTMLImageElement} img - Image element that failed
+   * @param {string} label - Accessible label, defaults to the image alt text
+   * @returns {HTMLElement} - The fallback frame
+   */
+  function showImageFallback(img, label = img.alt) {
+    const fallback = document.createElement('div');
+    fallback.classList.add('image-fallback');
+    fallback.setAttribute('role', 'img');
+    fallback.setAttribute('aria-label', label || 'Image unavailable');
+    
+    const text = document.createElement('span');
+    text.classList.add('image-fallback-text');
+    text.textContent = 'Image unavailable';
+    fallback.appendChild(text);
+    
+    // A wrapping box would keep painting the placeholder around the frame
+    const placeholderBox = img.parentElement && img.parentElement.closest('.image-placeholder');
+    if (placeholderBox) {
+      setImagePlaceholder(placeholderBox, null);
+    }
+    
+    (getPicture(img) || img).replaceWith(fallback);
+    return fallback;
+  }
+  
+  /**
+   * Show a fallback frame instead of the broken image icon if an image fails to load
+   * @param {HTMLImageElement} img - Image element
+   */
+  function addImageFallback(img) {
+    img.addEventListener('error', () => {
+      console.warn(`Failed to load image: ${img.src}`);
+      showImageFallback(img);
+    }, { once: true });
+  }
+  
+  /**
+   * Show a fallback frame for an image that came with the page markup, and fade out
+   * its pre-rendered placeholder once it loads
+   * Its error event may have fired before the scripts ran, so check it as well
+   * @param {HTMLImageElement} img - Image element
+   */
+  function watchRenderedImage(img) {
+    const placeholderBox = img.closest('.image-placeholder');
+    if (placeholderBox) {
+      watchImagePlaceholder(placeholderBox, img);
+    }
+    
+    if (img.complete && img.naturalWidth === 0 && img.getAttribute('src')) {
+      console.warn(`Failed to load image: ${img.src}`);
+      showImageFallback(img);
+      return;
+    }
+    
+    addImageFallback(img);
+  }
+  
   /**
    * Clear loaded images cache
    */
@@ -308,11 +917,32 @@ const ImageLoader = (function() {
   return {
     lazyLoadImages,
     preloadImages,
+    getCoverImage,
     getCoverImagePath,
+    getSlideshowImages,
     getSlideshowImagePaths,
+    getGalleryImages,
     getGalleryImagePaths,
     getSlideTemplates,
     getAllProjectImages,
+    normalizeImage,
+    getImageCaption,
+    getImageSrcset,
+    getImageSizes,
+    getFallbackFormat,
+    getPictureSources,
+    getResizedImagePath,
+    setImageSources,
+    setImageBox,
+    setImageColors,
+    loadPlaceholders,
+    addPlaceholders,
+    getPlaceholderUrl,
+    setImagePlaceholder,
+    watchImagePlaceholder,
+    addImageFallback,
+    showImageFallback,
+    watchRenderedImage,
     isImageLoaded,
     clearCache,
     fixImagePath // Export for debugging
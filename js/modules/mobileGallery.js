@@ -16,6 +16,7 @@ const MobileGallery = (function() {
   let contactElement;
   let projectInfoElement;
   let galleryCounterElement;
+  let captionElement;
   
   /**
    * Initialize mobile gallery page
@@ -26,6 +27,7 @@ const MobileGallery = (function() {
     if (window.innerWidth > 768) return;
     
     currentProject = project;
+    isProjectInfoVisible = false;
     
     // Create fixed UI elements
     createFixedUIElements();
@@ -36,6 +38,9 @@ const MobileGallery = (function() {
     // Setup lightbox counter updates
     setupLightboxCounterUpdates();
     
+    // Show the caption of the image open in the lightbox
+    document.addEventListener('lightboxImageChanged', handleLightboxImageChanged);
+    
     // Setup resize handler
     window.addEventListener('resize', handleResize);
   }
@@ -54,14 +59,14 @@ const MobileGallery = (function() {
     closeButtonElement = document.createElement('a');
     closeButtonElement.classList.add('mobile-close-button');
     closeButtonElement.textContent = 'Close';
-    closeButtonElement.href = '../index.html';
+    closeButtonElement.href = 'index.html';
     document.body.appendChild(closeButtonElement);
     
     // Selection button - top center (links back to project slideshow)
     selectionButtonElement = document.createElement('a');
     selectionButtonElement.classList.add('mobile-gallery-button');
     selectionButtonElement.textContent = 'Selection';
-    selectionButtonElement.href = `project.html?project=${currentProject.id}`;
+    selectionButtonElement.href = Navigation.getProjectUrl(currentProject.id);
     document.body.appendChild(selectionButtonElement);
     
     // Project title with toggle - bottom right
@@ -75,23 +80,7 @@ const MobileGallery = (function() {
     // Contact info - bottom left (initially visible)
     contactElement = document.createElement('div');
     contactElement.classList.add('mobile-contact');
-    contactElement.innerHTML = `
-      <h1 class="photographer-name">Pep Pérez Guarro</h1>
-      <div class="contact-links">
-        <div class="contact-link-wrapper">
-          <h1>MAIL</h1>
-          <a href="mailto:info@pepperezguarro.com">info@pepperezguarro.com</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>TEL</h1>
-          <a href="tel:+34681378820">+34 681 378 820</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>SOCIAL</h1>
-          <a href="https://instagram.com/pepperezguarro" target="_blank">@pepperezguarro</a>
-        </div>
-      </div>
-    `;
+    ContactInfo.render(contactElement);
     document.body.appendChild(contactElement);
     
     // Project info - bottom left (initially hidden)
@@ -115,6 +104,7 @@ const MobileGallery = (function() {
       </div>
       <p class="project-description">${currentProject.description}</p>
     `;
+    Offline.renderSaveButton(projectInfoElement, currentProject);
     document.body.appendChild(projectInfoElement);
     
     // Add click event to the title in the info container
@@ -184,6 +174,7 @@ const MobileGallery = (function() {
       if (contactElement) contactElement.style.display = 'none';
       if (projectInfoElement) projectInfoElement.style.display = 'none';
       if (galleryCounterElement) galleryCounterElement.style.display = 'none';
+      if (captionElement) captionElement.style.display = 'none';
       // Clean up project info class and listeners
       document.body.classList.remove('project-info-visible');
       document.removeEventListener('click', handleClickOutside);
@@ -195,6 +186,7 @@ const MobileGallery = (function() {
       if (projectTitleElement) projectTitleElement.style.display = 'block';
       if (contactElement) contactElement.style.display = 'block';
       if (galleryCounterElement) galleryCounterElement.style.display = 'block';
+      if (captionElement) captionElement.style.display = 'block';
       // Don't show project info by default on resize
       if (projectInfoElement) projectInfoElement.style.display = 'none';
       isProjectInfoVisible = false;
@@ -216,6 +208,21 @@ const MobileGallery = (function() {
     galleryCounterElement.textContent = `${galleryImages.length} / ${galleryImages.length}`;
     
     document.body.appendChild(galleryCounterElement);
+    
+    // Caption line below the counter, filled while the lightbox is open
+    captionElement = document.createElement('p');
+    captionElement.classList.add('mobile-image-caption');
+    document.body.appendChild(captionElement);
+  }
+  
+  /**
+   * Mirror the caption of the current lightbox image
+   * @param {CustomEvent} event - lightboxImageChanged event from Gallery
+   */
+  function handleLightboxImageChanged(event) {
+    if (captionElement) {
+      captionElement.textContent = ImageLoader.getImageCaption(event.detail.image);
+    }
   }
   
   /**
@@ -315,9 +322,10 @@ const MobileGallery = (function() {
       // Find current image index by matching the src
       const galleryImages = ImageLoader.getGalleryImagePaths(currentProject);
       const currentIndex = galleryImages.findIndex(imagePath => {
-        // Extract filename from both paths for comparison
-        const lightboxFilename = lightboxImage.src.split('/').pop();
-        const galleryFilename = imagePath.split('/').pop();
+        // Compare file names without extensions (the lightbox may show a JPEG copy)
+        const toName = path => path.split('/').pop().replace(/\.\w+$/, '');
+        const lightboxFilename = toName(lightboxImage.src);
+        const galleryFilename = toName(imagePath);
         return lightboxFilename === galleryFilename;
       });
       
@@ -342,6 +350,11 @@ const MobileGallery = (function() {
       const galleryImages = ImageLoader.getGalleryImagePaths(currentProject);
       galleryCounterElement.textContent = `${galleryImages.length} / ${galleryImages.length}`;
     }
+    
+    // No caption in grid mode
+    if (captionElement) {
+      captionElement.textContent = '';
+    }
   }
   
   /**
@@ -408,6 +421,7 @@ const MobileGallery = (function() {
     // Remove event listeners
     window.removeEventListener('resize', handleResize);
     document.removeEventListener('click', handleClickOutside);
+    document.removeEventListener('lightboxImageChanged', handleLightboxImageChanged);
     
     // Clean up lightbox navigation listeners
     removeLightboxNavigationListeners();
@@ -428,6 +442,7 @@ const MobileGallery = (function() {
     if (contactElement) contactElement.remove();
     if (projectInfoElement) projectInfoElement.remove();
     if (galleryCounterElement) galleryCounterElement.remove();
+    if (captionElement) captionElement.remove();
   }
   
   // Public API
@@ -17,6 +17,7 @@ const MobileProject = (function() {
   let projectIdElement;
   let closeButtonElement;
   let galleryButtonElement;
+  let projectNavElements = [];
   let projectTitleElement;
   let projectInfoToggle;
   let contactElement;
@@ -24,16 +25,19 @@ const MobileProject = (function() {
   let slideshowContainer;
   let slideshowWrapper;
   let slideshowCounter;
+  let slideshowCaption;
   
   /**
    * Initialize mobile project page
    * @param {Object} project - Project data
+   * @param {number} startIndex - Slide to show first (optional, clamped to the slides)
    */
-  function init(project) {
+  function init(project, startIndex = 0) {
     // Only initialize on mobile
     if (window.innerWidth > 768) return;
     
     currentProject = project;
+    isProjectInfoVisible = false;
     
     // Create mobile layout container
     createMobileLayout();
@@ -45,7 +49,7 @@ const MobileProject = (function() {
     createMobileSlideshow();
     
     // Initialize slideshow with project images
-    initializeSlideshow();
+    initializeSlideshow(startIndex);
     
     // Setup resize handler
     window.addEventListener('resize', handleResize);
@@ -74,16 +78,19 @@ const MobileProject = (function() {
     closeButtonElement = document.createElement('a');
     closeButtonElement.classList.add('mobile-close-button');
     closeButtonElement.textContent = 'Close';
-    closeButtonElement.href = '../index.html';
+    closeButtonElement.href = 'index.html';
     document.body.appendChild(closeButtonElement);
     
     // Gallery button - top center
     galleryButtonElement = document.createElement('a');
     galleryButtonElement.classList.add('mobile-gallery-button');
     galleryButtonElement.textContent = 'Gallery';
-    galleryButtonElement.href = `gallery.html?project=${currentProject.id}`;
+    galleryButtonElement.href = Navigation.getGalleryUrl(currentProject.id);
     document.body.appendChild(galleryButtonElement);
     
+    // Previous/next project - left and right edges
+    createProjectNavigation();
+    
     // Project title with toggle - bottom right
     projectTitleElement = document.createElement('div');
     projectTitleElement.classList.add('mobile-project-title');
@@ -95,23 +102,7 @@ const MobileProject = (function() {
     // Contact info - bottom left (initially visible)
     contactElement = document.createElement('div');
     contactElement.classList.add('mobile-contact');
-    contactElement.innerHTML = `
-      <h1 class="photographer-name">Pep Pérez Guarro</h1>
-      <div class="contact-links">
-        <div class="contact-link-wrapper">
-          <h1>MAIL</h1>
-          <a href="mailto:info@pepperezguarro.com">info@pepperezguarro.com</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>TEL</h1>
-          <a href="tel:+34681378820">+34 681 378 820</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>SOCIAL</h1>
-          <a href="https://instagram.com/pepperezguarro" target="_blank">@pepperezguarro</a>
-        </div>
-      </div>
-    `;
+    ContactInfo.render(contactElement);
     document.body.appendChild(contactElement);
     
     // Project info - bottom left (initially hidden)
@@ -135,6 +126,7 @@ const MobileProject = (function() {
       </div>
       <p class="project-description">${currentProject.description}</p>
     `;
+    Offline.renderSaveButton(projectInfoElement, currentProject);
     document.body.appendChild(projectInfoElement);
     
     // Add click event to the title in the info container
@@ -142,6 +134,26 @@ const MobileProject = (function() {
     titleInInfo.addEventListener('click', toggleProjectInfo);
   }
   
+  /**
+   * Create the previous/next project links, ordered by the projects array
+   */
+  function createProjectNavigation() {
+    const adjacent = ProjectData.getAdjacentProjects(currentProject.id);
+    
+    projectNavElements = [['prev', 'Prev', 'Previous project'], ['next', 'Next', 'Next project']]
+      .filter(([direction]) => adjacent[direction])
+      .map(([direction, text, label]) => {
+        const project = adjacent[direction];
+        const link = document.createElement('a');
+        link.classList.add('mobile-project-nav', direction);
+        link.href = Navigation.getProjectUrl(project.id);
+        link.textContent = text;
+        link.setAttribute('aria-label', `${label}: ${project.title}`);
+        document.body.appendChild(link);
+        return link;
+      });
+  }
+  
   /**
    * Create mobile slideshow container
    */
@@ -165,6 +177,11 @@ const MobileProject = (function() {
     slideshowCounter.textContent = '1 / 1'; // Will be updated when slides are created
     document.body.appendChild(slideshowCounter);
     
+    // Create caption line below the counter
+    slideshowCaption = document.createElement('p');
+    slideshowCaption.classList.add('mobile-image-caption');
+    document.body.appendChild(slideshowCaption);
+    
     // Add touch/swipe navigation
     setupTouchNavigation();
   }
@@ -190,10 +207,11 @@ const MobileProject = (function() {
   
   /**
    * Initialize slideshow with project images
+   * @param {number} startIndex - Slide to show first
    */
-  function initializeSlideshow() {
-    // Get slideshow images
-    const slideshowImages = ImageLoader.getSlideshowImagePaths(currentProject);
+  function initializeSlideshow(startIndex) {
+    // Get slideshow images with their metadata
+    const slideshowImages = ImageLoader.getSlideshowImages(currentProject);
     
     if (slideshowImages.length === 0) {
       console.error('No slideshow images found for project:', currentProject.id);
@@ -210,23 +228,27 @@ const MobileProject = (function() {
     });
     
     // Create slides
-    slideshowImages.forEach((imagePath, index) => {
+    slideshowImages.forEach((image, index) => {
       const slide = document.createElement('div');
       slide.classList.add('mobile-slide');
+      slide.dataset.caption = ImageLoader.getImageCaption(image);
+      ImageLoader.setImageColors(slide, image);
       
       const img = document.createElement('img');
-      img.src = imagePath;
-      img.alt = `${currentProject.title} - Image ${index + 1}`;
+      const imageElement = ImageLoader.setImageSources(img, image, 'mobile-slide');
+      ImageLoader.setImagePlaceholder(img, image);
+      img.alt = image.alt || image.caption || `${currentProject.title} - Image ${index + 1}`;
       img.loading = index < 2 ? 'eager' : 'lazy';
+      ImageLoader.addImageFallback(img);
       
-      slide.appendChild(img);
+      slide.appendChild(imageElement);
       slideshowWrapper.appendChild(slide);
       slides.push(slide);
     });
     
-    // Show first slide
+    // Show the requested slide (first by default)
     if (slides.length > 0) {
-      showSlide(0);
+      showSlide(Math.min(Math.max(startIndex, 0), slides.length - 1));
     }
     
     // Setup keyboard navigation
@@ -258,6 +280,20 @@ const MobileProject = (function() {
       slideshowCounter.textContent = `${currentSlideIndex + 1} / ${slides.length}`;
     }
     
+    // Update caption
+    if (slideshowCaption) {
+      slideshowCaption.textContent = slides[currentSlideIndex].dataset.caption || '';
+    }
+    
+    // Let the page reflect the slide in the URL
+    document.dispatchEvent(new CustomEvent('slideChanged', {
+      detail: {
+        index: currentSlideIndex,
+        total: slides.length,
+        color: slides[currentSlideIndex].style.getPropertyValue('--image-color') || null
+      }
+    }));
+    
     // Reset transition flag
     setTimeout(() => {
       isTransitioning = false;
@@ -345,7 +381,7 @@ const MobileProject = (function() {
         event.preventDefault();
         break;
       case 'Escape':
-        window.location.href = '../index.html';
+        Navigation.goToHome();
         event.preventDefault();
         break;
     }
@@ -361,10 +397,12 @@ const MobileProject = (function() {
       if (projectIdElement) projectIdElement.style.display = 'none';
       if (closeButtonElement) closeButtonElement.style.display = 'none';
       if (galleryButtonElement) galleryButtonElement.style.display = 'none';
+      projectNavElements.forEach(link => link.style.display = 'none');
       if (projectTitleElement) projectTitleElement.style.display = 'none';
       if (contactElement) contactElement.style.display = 'none';
       if (projectInfoElement) projectInfoElement.style.display = 'none';
       if (slideshowCounter) slideshowCounter.style.display = 'none';
+      if (slideshowCaption) slideshowCaption.style.display = 'none';
       // Clean up project info class and listeners
       document.body.classList.remove('project-info-visible');
       document.removeEventListener('click', handleClickOutside);
@@ -374,9 +412,11 @@ const MobileProject = (function() {
       if (projectIdElement) projectIdElement.style.display = 'block';
       if (closeButtonElement) closeButtonElement.style.display = 'block';
       if (galleryButtonElement) galleryButtonElement.style.display = 'block';
+      projectNavElements.forEach(link => link.style.display = 'block');
       if (projectTitleElement) projectTitleElement.style.display = 'block';
       if (contactElement) contactElement.style.display = 'block';
       if (slideshowCounter) slideshowCounter.style.display = 'block';
+      if (slideshowCaption) slideshowCaption.style.display = 'block';
       // Don't show project info by default on resize
       if (projectInfoElement) projectInfoElement.style.display = 'none';
       isProjectInfoVisible = false;
@@ -403,16 +443,20 @@ const MobileProject = (function() {
     if (projectIdElement) projectIdElement.remove();
     if (closeButtonElement) closeButtonElement.remove();
     if (galleryButtonElement) galleryButtonElement.remove();
+    projectNavElements.forEach(link => link.remove());
+    projectNavElements = [];
     if (projectTitleElement) projectTitleElement.remove();
     if (contactElement) contactElement.remove();
     if (projectInfoElement) projectInfoElement.remove();
     if (slideshowCounter) slideshowCounter.remove();
+    if (slideshowCaption) slideshowCaption.remove();
   }
   
   // Public API
   return {
     init,
     destroy,
+    showSlide,
     prevSlide,
     nextSlide,
     getCurrentSlideIndex: () => currentSlideIndex,
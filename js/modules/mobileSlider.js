@@ -9,6 +9,7 @@ const MobileSlider = (function() {
   let slides = [];
   let currentSlideIndex = 0;
   let isTransitioning = false;
+  let transitionTimer;
   let projects = [];
   let navigation;
   
@@ -20,6 +21,7 @@ const MobileSlider = (function() {
   
   /**
    * Initialize mobile slider with projects
+   * After destroy it can run again, starting on the project it was left at
    * @param {Array} projectsData - Array of project data
    */
   function init(projectsData) {
@@ -29,6 +31,9 @@ const MobileSlider = (function() {
     // Store projects data
     projects = projectsData;
     
+    // Setup resize listener
+    window.addEventListener('resize', handleResize);
+    
     // Create slider container
     createSliderContainer();
     
@@ -78,23 +83,7 @@ const MobileSlider = (function() {
     // Contact info - bottom left (always visible)
     contactElement = document.createElement('div');
     contactElement.classList.add('mobile-contact');
-    contactElement.innerHTML = `
-      <h1 class="photographer-name">Pep Pérez Guarro</h1>
-      <div class="contact-links">
-        <div class="contact-link-wrapper">
-          <h1>MAIL</h1>
-          <a href="mailto:info@pepperezguarro.com">info@pepperezguarro.com</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>TEL</h1>
-          <a href="tel:+34681378820">+34 681 378 820</a>
-        </div>
-        <div class="contact-link-wrapper">
-          <h1>SOCIAL</h1>
-          <a href="https://instagram.com/pepperezguarro" target="_blank">@pepperezguarro</a>
-        </div>
-      </div>
-    `;
+    ContactInfo.render(contactElement);
     document.body.appendChild(contactElement);
     console.log('Contact element created and is always visible'); // Debug
   }
@@ -127,14 +116,18 @@ const MobileSlider = (function() {
     slide.dataset.index = index;
     slide.dataset.projectId = project.id;
     
-    // Project image - center (only thing in the slide)
+    // Project image - center (only thing in the slide); the slide takes its colours
+    const coverImage = ImageLoader.getCoverImage(project);
+    ImageLoader.setImageColors(slide, coverImage);
     const image = document.createElement('img');
     image.classList.add('mobile-slide-image');
-    image.src = ImageLoader.getCoverImagePath(project);
-    image.alt = project.title;
+    const imageElement = ImageLoader.setImageSources(image, coverImage, 'mobile-slide');
+    ImageLoader.setImagePlaceholder(image, coverImage);
+    image.alt = coverImage.alt || project.title;
     image.loading = 'lazy';
+    ImageLoader.addImageFallback(image);
     
-    slide.appendChild(image);
+    slide.appendChild(imageElement);
     
     return slide;
   }
@@ -166,7 +159,7 @@ const MobileSlider = (function() {
     if (currentProject) {
       projectIdElement.textContent = currentProject.id;
       projectTitleElement.textContent = currentProject.title;
-      viewProjectElement.href = `templates/project.html?project=${currentProject.id}`;
+      viewProjectElement.href = Navigation.getProjectUrl(currentProject.id);
     }
   }
   
@@ -213,7 +206,8 @@ const MobileSlider = (function() {
     });
     
     // Reset transition flag after animation
-    setTimeout(() => {
+    clearTimeout(transitionTimer);
+    transitionTimer = setTimeout(() => {
       isTransitioning = false;
     }, 300);
   }
@@ -246,7 +240,40 @@ const MobileSlider = (function() {
   }
   
   /**
-   * Cleanup function
+   * Remember the current project when the page is hidden (it may be kept in the
+   * back/forward cache, e.g. after tapping View Project)
+   * @returns {Object} - State for restoreState
+   */
+  function saveState() {
+    clearTimeout(transitionTimer);
+    isTransitioning = false;
+    
+    return { index: currentSlideIndex };
+  }
+  
+  /**
+   * Put the slider back on the project saved by saveState when the page is shown again,
+   * dropping the swipe that led away and fitting it to the viewport, which may have
+   * changed in the meantime
+   * @param {Object} state - State returned by saveState
+   */
+  function restoreState(state) {
+    if (!sliderContainer || slides.length === 0) return;
+    
+    if (navigation) {
+      navigation.reset();
+    }
+    
+    currentSlideIndex = Math.min(Math.max(state.index, 0), slides.length - 1);
+    isTransitioning = false;
+    
+    handleResize();
+    updateSlidePositions();
+    updateUIContent();
+  }
+  
+  /**
+   * Remove the slider and its fixed UI (the homepage does when it shows a project view)
    */
   function destroy() {
     // Destroy unified navigation
@@ -263,17 +290,20 @@ const MobileSlider = (function() {
     if (viewProjectElement) viewProjectElement.remove();
     if (projectTitleElement) projectTitleElement.remove();
     if (contactElement) contactElement.remove();
+    
+    slides = [];
+    clearTimeout(transitionTimer);
+    isTransitioning = false;
   }
   
-  // Setup resize listener
-  window.addEventListener('resize', handleResize);
-  
   // Public API
   return {
     init,
     destroy,
     goToNextSlide,
     goToPrevSlide,
+    saveState,
+    restoreState,
     getCurrentSlideIndex: () => currentSlideIndex
   };
 })(); 
\ No newline at end of file
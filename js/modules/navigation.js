@@ -1,17 +1,38 @@
 /**
  * Navigation Module
- * Handles URL routing and page navigation
+ * Handles URL routing and page navigation. Projects live at work/<slug> and
+ * work/<slug>/gallery (old templates/*.html?project= links still resolve). A History-API
+ * router swaps views inside one document instead of reloading: the homepage holds the
+ * home, project and gallery views, so home → project → gallery and back keep the grid
+ * and the loaded images; the project and gallery pages swap their two views, and
+ * going home from them loads the homepage
  */
 
 const Navigation = (function() {
+  // Called with the route after in-document navigation (set by initRouter)
+  let routeHandler = null;
+  
+  // Views the current document can show in place (set by initRouter)
+  let routedViews = [];
+  
+  // Homepage paths below the site root
+  const HOME_PATHS = ['', 'index.html'];
+  
+  // Pre-slug page URLs (templates/project.html?project=P-03), still accepted
+  const LEGACY_PAGES = {
+    'templates/project.html': 'project',
+    'templates/gallery.html': 'gallery'
+  };
+  
+  // Slug URLs: work/<slug> and work/<slug>/gallery
+  const SLUG_PATTERN = /^work\/([^/]+)(\/gallery)?\/?$/;
+  
   /**
    * Navigate to project page with specific project ID
    * @param {string} projectId - ID of the project to navigate to
    */
   function goToProject(projectId) {
-    // Check if we're in the templates directory or root
-    const prefix = window.location.pathname.includes('templates/') ? '' : 'templates/';
-    window.location.href = `${prefix}project.html?project=${projectId}`;
+    navigate(getProjectUrl(projectId));
   }
   
   /**
@@ -19,16 +40,17 @@ const Navigation = (function() {
    * @param {string} projectId - ID of the project to navigate to
    */
   function goToGallery(projectId) {
-    // Check if we're in the templates directory or root
-    const prefix = window.location.pathname.includes('templates/') ? '' : 'templates/';
-    window.location.href = `${prefix}gallery.html?project=${projectId}`;
+    navigate(getGalleryUrl(projectId));
   }
   
   /**
-   * Extract project ID from URL query parameters
+   * Get the project ID from the URL (slug path or legacy ?project= parameter)
    * @returns {string|null} - Project ID or null if not found
    */
   function getProjectIdFromUrl() {
+    const route = getRoute();
+    if (route && route.view !== 'home') return route.projectId;
+    
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get('project');
   }
@@ -36,49 +58,232 @@ const Navigation = (function() {
   /**
    * Get URL for project page
    * @param {string} projectId - ID of the project
-   * @returns {string} - URL for project page
+   * @returns {string} - URL for project page, relative to the site root (e.g. work/thinking-mu)
    */
   function getProjectUrl(projectId) {
-    // Check if we're in the templates directory or root
-    const prefix = window.location.pathname.includes('templates/') ? '' : 'templates/';
-    return `${prefix}project.html?project=${projectId}`;
+    const project = ProjectData.getProject(projectId);
+    
+    // Before the data has loaded only the legacy form can be built
+    if (!project) {
+      return `templates/project.html?project=${projectId}`;
+    }
+    
+    return `work/${ProjectData.getSlug(project)}`;
   }
   
   /**
    * Get URL for gallery page
    * @param {string} projectId - ID of the project
-   * @returns {string} - URL for gallery page
+   * @returns {string} - URL for gallery page, relative to the site root (e.g. work/thinking-mu/gallery)
    */
   function getGalleryUrl(projectId) {
-    // Check if we're in the templates directory or root
-    const prefix = window.location.pathname.includes('templates/') ? '' : 'templates/';
-    return `${prefix}gallery.html?project=${projectId}`;
+    const project = ProjectData.getProject(projectId);
+    
+    if (!project) {
+      return `templates/gallery.html?project=${projectId}`;
+    }
+    
+    return `work/${ProjectData.getSlug(project)}/gallery`;
   }
   
   /**
    * Navigate back to homepage
    */
   function goToHome() {
-    // Check if we're in the templates directory or root
-    const homeUrl = window.location.pathname.includes('templates/') ? '../index.html' : 'index.html';
-    window.location.href = homeUrl;
+    // Relative URLs resolve against the site root (pages below it declare <base href="/">)
+    navigate('index.html');
+  }
+  
+  /**
+   * Get the absolute URL of the site root
+   * @returns {string} - Site root URL ending in a slash
+   */
+  function getSiteRoot() {
+    return new URL('.', document.baseURI).href;
+  }
+  
+  /**
+   * Work out which view a URL points to
+   * @param {string} url - URL to inspect (defaults to the current location)
+   * @returns {Object|null} - { view: 'home'|'project'|'gallery', projectId, slug, url }, or null if not routed.
+   *   projectId is null for the homepage and when the URL names no project or an unknown slug
+   */
+  function getRoute(url = window.location.href) {
+    const target = new URL(url, document.baseURI);
+    const root = new URL(getSiteRoot());
+    
+    // Only URLs inside this site
+    if (target.origin !== root.origin || !target.pathname.startsWith(root.pathname)) return null;
+    
+    const path = target.pathname.slice(root.pathname.length);
+    
+    if (HOME_PATHS.includes(path)) {
+      return { view: 'home', projectId: null, url: target.href };
+    }
+    
+    const slugMatch = path.match(SLUG_PATTERN);
+    if (slugMatch) {
+      const project = ProjectData.getProjectBySlug(decodeURIComponent(slugMatch[1]));
+      
+      return {
+        view: slugMatch[2] ? 'gallery' : 'project',
+        projectId: project ? project.id : null,
+        slug: decodeURIComponent(slugMatch[1]),
+        url: target.href
+      };
+    }
+    
+    const view = LEGACY_PAGES[path];
+    if (!view) return null;
+    
+    return {
+      view,
+      projectId: target.searchParams.get('project'),
+      url: target.href
+    };
+  }
+  
+  /**
+   * Get the slug URL for a route, keeping any other query parameters and the hash
+   * @param {Object} route - Route from getRoute
+   * @returns {string} - Absolute canonical URL
+   */
+  function getCanonicalUrl(route) {
+    const current = new URL(route.url);
+    const path = route.view === 'gallery' ? getGalleryUrl(route.projectId) : getProjectUrl(route.projectId);
+    const canonical = new URL(path, getSiteRoot());
+    
+    current.searchParams.forEach((value, key) => {
+      if (key !== 'project') {
+        canonical.searchParams.append(key, value);
+      }
+    });
+    canonical.hash = current.hash;
+    
+    return canonical.href;
+  }
+  
+  /**
+   * Get the image number from the URL (?image=37, counting from 1)
+   * @param {string} url - URL to inspect (defaults to the current location)
+   * @returns {number|null} - Image number, or null if absent or not a number
+   */
+  function getImageFromUrl(url = window.location.href) {
+    const value = new URL(url, document.baseURI).searchParams.get('image');
+    const imageNumber = parseInt(value, 10);
+    return Number.isNaN(imageNumber) ? null : imageNumber;
+  }
+  
+  /**
+   * Reflect the current slide or lightbox image in the URL without adding a history entry
+   * @param {number|null} imageNumber - Image number counting from 1, or null to remove it
+   */
+  function setImageInUrl(imageNumber) {
+    const url = new URL(window.location.href);
+    
+    if (imageNumber) {
+      url.searchParams.set('image', imageNumber);
+    } else {
+      url.searchParams.delete('image');
+    }
+    
+    if (url.href !== window.location.href) {
+      window.history.replaceState({ route: getRoute(url.href) }, '', url.href);
+    }
+  }
+  
+  /**
+   * Get the route for a URL if this document shows its view in place
+   * @param {string} url - URL to inspect (defaults to the current location)
+   * @returns {Object|null} - Route from getRoute, or null if the URL needs a page load
+   */
+  function getRoutedRoute(url = window.location.href) {
+    const route = routeHandler ? getRoute(url) : null;
+    return route && routedViews.includes(route.view) ? route : null;
+  }
+  
+  /**
+   * Go to a URL, swapping views in place when the router handles it
+   * Views the document doesn't hold (and every URL before initRouter) load the page
+   * @param {string} url - URL to navigate to
+   * @param {Object} options - { replace: replace the history entry instead of adding one }
+   */
+  function navigate(url, options = {}) {
+    const route = getRoutedRoute(url);
+    
+    if (!route) {
+      window.location.href = url;
+      return;
+    }
+    
+    // Already showing this URL
+    if (route.url === window.location.href) return;
+    
+    if (options.replace) {
+      window.history.replaceState({ route }, '', route.url);
+    } else {
+      updatePageUrl(route.url);
+    }
+    
+    routeHandler(route);
+  }
+  
+  /**
+   * Start client-side routing between the views of the document
+   * @param {Function} onRoute - Called with the route to show (also for back/forward)
+   * @param {Array} views - Views the document holds (default: 'project' and 'gallery';
+   *   the homepage adds 'home')
+   */
+  function initRouter(onRoute, views = ['project', 'gallery']) {
+    routeHandler = onRoute;
+    routedViews = views;
+    
+    // Show old ?project= links under their slug URL, and remember the entry
+    // route so back/forward can return to it
+    const route = getRoute();
+    const url = route && route.projectId ? getCanonicalUrl(route) : window.location.href;
+    window.history.replaceState({ route: getRoute(url) }, '', url);
+    
+    // Route plain clicks on links to routed pages instead of loading a new document
+    document.addEventListener('click', handleLinkClick);
+  }
+  
+  /**
+   * Intercept link clicks that the router can handle
+   * @param {MouseEvent} event - Click event
+   */
+  function handleLinkClick(event) {
+    // Leave modified clicks (new tab/window) and other buttons to the browser
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    
+    const link = event.target.closest('a[href]');
+    if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+    
+    // Links within the page (#about) stay with the browser, which fires hashchange
+    const target = new URL(link.href);
+    if (target.hash && target.href.split('#')[0] === window.location.href.split('#')[0]) return;
+    
+    if (getRoutedRoute(link.href)) {
+      event.preventDefault();
+      navigate(link.href);
+    }
   }
   
   /**
    * Handle browser back/forward button navigation
    */
   function initHistoryNavigation() {
-    window.addEventListener('popstate', function(event) {
-      // Handle browser navigation based on current URL
-      const currentPath = window.location.pathname;
+    window.addEventListener('popstate', function() {
+      // Entries created by the router are shown in place
+      if (!routeHandler) return;
       
-      if (currentPath.endsWith('index.html') || currentPath.endsWith('/')) {
-        // Homepage - no action needed as page will reload
-      } else if (currentPath.includes('project.html')) {
-        // Project page - reload page to show correct project
-        window.location.reload();
-      } else if (currentPath.includes('gallery.html')) {
-        // Gallery page - reload page to show correct gallery
+      const route = getRoutedRoute();
+      if (route) {
+        routeHandler(route);
+      } else {
         window.location.reload();
       }
     });
@@ -87,12 +292,14 @@ const Navigation = (function() {
   /**
    * Update page URL without reloading (for client-side navigation)
    * @param {string} url - URL to navigate to
-   * @param {string} title - Page title
+   * @param {string} title - Page title (optional, views set their own)
    */
   function updatePageUrl(url, title) {
     if (window.history && window.history.pushState) {
-      window.history.pushState({}, title, url);
-      document.title = title;
+      window.history.pushState({ route: getRoute(url) }, '', url);
+      if (title) {
+        document.title = title;
+      }
     }
   }
   
@@ -104,9 +311,15 @@ const Navigation = (function() {
     goToProject,
     goToGallery,
     goToHome,
+    navigate,
+    initRouter,
+    getRoute,
+    getSiteRoot,
     getProjectIdFromUrl,
+    getImageFromUrl,
+    setImageInUrl,
     getProjectUrl,
     getGalleryUrl,
     updatePageUrl
   };
-})(); 
\ No newline at end of file
+})();
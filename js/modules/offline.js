@@ -0,0 +1,180 @@
+/**
+ * Offline Module
+ * Registers the service worker (sw.js) and provides the "Save for offline" action that
+ * has it cache every page and image of a project, for showing work without a connection
+ */
+
+const Offline = (function() {
+  // Relative to the site root (pages declare <base href="/">), so the worker controls every page
+  const SERVICE_WORKER_URL = 'sw.js';
+  
+  /**
+   * Check whether the browser can run the service worker here
+   * Service workers need HTTPS (or localhost), so file:// previews go without
+   * @returns {boolean} - True if offline support is available
+   */
+  function isSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+  }
+  
+  /**
+   * Register the service worker once the page has loaded, so precaching the shell
+   * doesn't compete with the page's own requests
+   */
+  function register() {
+    if (!isSupported()) return;
+    
+    const start = () => {
+      navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+    };
+    
+    if (document.readyState === 'complete') {
+      start();
+    } else {
+      window.addEventListener('load', start, { once: true });
+    }
+  }
+  
+  /**
+   * List everything a project needs offline: its pages, its placeholders and every image it shows
+   * @param {Object} project - Project data object
+   * @returns {Array} - Paths relative to the site root
+   */
+  function getProjectUrls(project) {
+    return [...new Set([
+      Navigation.getProjectUrl(project.id),
+      Navigation.getGalleryUrl(project.id),
+      ImageLoader.getPlaceholderUrl(project),
+      project.coverImage ? ImageLoader.getCoverImagePath(project) : null,
+      ...ImageLoader.getSlideshowImagePaths(project),
+      ...ImageLoader.getGalleryImagePaths(project)
+    ].filter(Boolean))];
+  }
+  
+  /**
+   * Get the registration's active worker, waiting for it to activate if it is still installing
+   * @param {ServiceWorkerRegistration} registration - Registration of sw.js
+   * @returns {Promise<ServiceWorker>}
+   */
+  function getActiveWorker(registration) {
+    if (registration.active) return Promise.resolve(registration.active);
+    
+    const worker = registration.installing || registration.waiting;
+    if (!worker) return Promise.reject(new Error('No service worker to save with'));
+    
+    return new Promise((resolve, reject) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'activated') {
+          resolve(worker);
+        } else if (worker.state === 'redundant') {
+          reject(new Error('Service worker failed to install'));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Have the service worker cache a project
+   * @param {Object} project - Project data object
+   * @param {Function} onProgress - Called with (done, total) after every file
+   * @returns {Promise} - Resolves with { total, failed } once every file was tried
+   */
+  function saveProject(project, onProgress) {
+    return navigator.serviceWorker.ready.then(getActiveWorker).then(worker => new Promise(resolve => {
+      const channel = new MessageChannel();
+      
+      channel.port1.onmessage = event => {
+        const message = event.data;
+        
+        if (message.type === 'progress' && typeof onProgress === 'function') {
+          onProgress(message.done, message.total);
+        } else if (message.type === 'done') {
+          channel.port1.close();
+          resolve({ total: message.total, failed: message.failed });
+        }
+      };
+      
+      worker.postMessage({ type: 'save', urls: getProjectUrls(project) }, [channel.port2]);
+    }));
+  }
+  
+  /**
+   * Check whether every image of a project is in the cache
+   * Saved pages are dropped with the shell on a deploy, the images are kept: the worker
+   * then answers the project URLs with the cached template, so the images are what counts
+   * @param {Object} project - Project data object
+   * @returns {Promise<boolean>} - True if the project can be shown offline
+   */
+  function isProjectSaved(project) {
+    if (!isSupported()) return Promise.resolve(false);
+    
+    const imageUrls = getProjectUrls(project).filter(url => url.startsWith('images/'));
+    return Promise.all(imageUrls.map(url => caches.match(url)))
+      .then(responses => responses.every(Boolean))
+      .catch(() => false);
+  }
+  
+  /**
+   * Add the "Save for offline" button for a project to a container, replacing the
+   * one of a previously shown project
+   * @param {HTMLElement} container - Element to append the button to
+   * @param {Object} project - Project data object
+   * @returns {HTMLButtonElement|null} - The button, or null without offline support
+   */
+  function renderSaveButton(container, project) {
+    const previous = container.querySelector('.save-offline-btn');
+    if (previous) {
+      previous.remove();
+    }
+    if (!isSupported()) return null;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('save-offline-btn');
+    button.textContent = 'Save for offline';
+    
+    isProjectSaved(project).then(saved => {
+      if (saved && !button.disabled) {
+        button.textContent = 'Saved for offline';
+      }
+    });
+    
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      button.textContent = 'Saving';
+      
+      saveProject(project, (done, total) => {
+        button.textContent = `Saving ${done} / ${total}`;
+      })
+        .then(({ failed }) => {
+          if (failed > 0) {
+            button.textContent = `${failed} ${failed === 1 ? 'file' : 'files'} failed, retry`;
+          } else {
+            button.textContent = 'Saved for offline';
+          }
+        })
+        .catch(error => {
+          console.warn('Saving for offline failed:', error);
+          button.textContent = 'Saving failed, retry';
+        })
+        .then(() => {
+          button.disabled = false;
+        });
+    });
+    
+    container.appendChild(button);
+    return button;
+  }
+  
+  // Public API
+  return {
+    isSupported,
+    register,
+    getProjectUrls,
+    saveProject,
+    isProjectSaved,
+    renderSaveButton
+  };
+})();
@@ -0,0 +1,223 @@
+/**
+ * Project Data Module
+ * Fetches js/data/projects.json and the site config (js/data/site.json),
+ * shows loading/error states and fires the projectsLoaded event once the data is available.
+ * Also maps projects to and from their URL slugs and finds their neighbours
+ */
+
+const ProjectData = (function() {
+  // Private variables
+  let projects = null;
+  let site = null;
+  let loadPromise = null;
+  let statusElement = null;
+  let loadingTimer;
+  
+  // Only show the loading message if the request takes longer than this
+  const LOADING_DELAY = 200;
+  
+  /**
+   * Fetch and parse a JSON data file
+   * Pages below the site root declare <base href="/">, so root-relative paths work everywhere
+   * @param {string} path - Path relative to the site root
+   * @returns {Promise} - Resolves with the parsed JSON
+   */
+  function fetchJson(path) {
+    return fetch(path).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${path}`);
+      }
+      return response.json();
+    });
+  }
+  
+  /**
+   * Start loading project data and site config (only fetches once)
+   * @returns {Promise} - Resolves with the projects array
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+    
+    // Delay the loading message so fast responses don't flash it
+    loadingTimer = setTimeout(() => showStatus('loading', 'Loading'), LOADING_DELAY);
+    
+    loadPromise = Promise.all([
+      fetchJson('js/data/projects.json'),
+      fetchJson('js/data/site.json')
+    ])
+      .then(([projectsData, siteData]) => {
+        if (!Array.isArray(projectsData)) {
+          throw new Error('projects.json must contain an array of projects');
+        }
+        
+        projects = projectsData;
+        site = siteData;
+        clearTimeout(loadingTimer);
+        hideStatus();
+        
+        // Let every module waiting on the data know it has arrived
+        document.dispatchEvent(new CustomEvent('projectsLoaded', {
+          detail: { projects, site }
+        }));
+        
+        return projects;
+      })
+      .catch(error => {
+        clearTimeout(loadingTimer);
+        console.error('Failed to load project data:', error);
+        showStatus('error', 'Projects could not be loaded.', true);
+        
+        // Allow a retry to fetch again
+        loadPromise = null;
+        throw error;
+      });
+    
+    return loadPromise;
+  }
+  
+  /**
+   * Run a callback with the projects as soon as they are loaded
+   * @param {Function} callback - Called with the projects array
+   */
+  function ready(callback) {
+    if (projects) {
+      callback(projects);
+      return;
+    }
+    
+    document.addEventListener('projectsLoaded', (event) => {
+      callback(event.detail.projects);
+    }, { once: true });
+  }
+  
+  /**
+   * Show the loading or error status message
+   * @param {string} state - 'loading' or 'error'
+   * @param {string} message - Text to display
+   * @param {boolean} withRetry - Whether to add a retry link
+   */
+  function showStatus(state, message, withRetry = false) {
+    if (!statusElement) {
+      statusElement = document.createElement('div');
+      statusElement.classList.add('data-status');
+      statusElement.setAttribute('role', 'status');
+      document.body.appendChild(statusElement);
+    }
+    
+    statusElement.className = `data-status ${state}`;
+    statusElement.textContent = message;
+    
+    if (withRetry) {
+      const retryLink = document.createElement('a');
+      retryLink.href = '#';
+      retryLink.textContent = 'Retry';
+      retryLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        load().catch(() => {}); // Error state is already shown by load()
+      });
+      statusElement.appendChild(document.createTextNode(' '));
+      statusElement.appendChild(retryLink);
+    }
+    
+    document.body.classList.toggle('data-loading', state === 'loading');
+    document.body.classList.toggle('data-error', state === 'error');
+  }
+  
+  /**
+   * Remove the status message
+   */
+  function hideStatus() {
+    if (statusElement) {
+      statusElement.remove();
+      statusElement = null;
+    }
+    document.body.classList.remove('data-loading', 'data-error');
+  }
+  
+  /**
+   * Get loaded projects
+   * @returns {Array|null} - Projects array, or null if not loaded yet
+   */
+  function getProjects() {
+    return projects;
+  }
+  
+  /**
+   * Get the site configuration (photographer identity and contact details)
+   * @returns {Object|null} - Site config, or null if not loaded yet
+   */
+  function getSite() {
+    return site;
+  }
+  
+  /**
+   * Find a project by ID
+   * @param {string} projectId - Project ID
+   * @returns {Object|undefined} - Project data
+   */
+  function getProject(projectId) {
+    return projects ? projects.find(p => p.id === projectId) : undefined;
+  }
+  
+  /**
+   * Get the URL slug of a project
+   * Uses the explicit "slug" field, otherwise one derived from the title
+   * (the build scripts call it too, through scripts/lib/runtime.js)
+   * @param {Object} project - Project data object
+   * @returns {string} - Slug, e.g. "two-days-in-varanasi"
+   */
+  function getSlug(project) {
+    if (project.slug) return project.slug;
+    
+    return project.title
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '') // Drop accents
+      .replace(/[[\]()]/g, '')           // Remove brackets ("Moro[cc]o" -> "morocco")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')        // Anything else separates words
+      .replace(/^-|-$/g, '');             // Remove leading/trailing hyphens
+  }
+  
+  /**
+   * Find a project by its URL slug
+   * @param {string} slug - Project slug
+   * @returns {Object|undefined} - Project data
+   */
+  function getProjectBySlug(slug) {
+    return projects ? projects.find(p => getSlug(p) === slug) : undefined;
+  }
+  
+  /**
+   * Find the projects before and after a project, in the order of projects.json
+   * Wraps around at both ends; repeated ids only count once
+   * @param {string} projectId - Project ID
+   * @returns {Object} - { prev, next } project data, null when there is no other project
+   */
+  function getAdjacentProjects(projectId) {
+    if (!projects) return { prev: null, next: null };
+    
+    const uniqueProjects = projects.filter((project, index) => {
+      return projects.findIndex(p => p.id === project.id) === index;
+    });
+    const index = uniqueProjects.findIndex(p => p.id === projectId);
+    if (index === -1 || uniqueProjects.length < 2) return { prev: null, next: null };
+    
+    const count = uniqueProjects.length;
+    return {
+      prev: uniqueProjects[(index - 1 + count) % count],
+      next: uniqueProjects[(index + 1) % count]
+    };
+  }
+  
+  // Public API
+  return {
+    load,
+    ready,
+    getProjects,
+    getProject,
+    getProjectBySlug,
+    getAdjacentProjects,
+    getSlug,
+    getSite
+  };
+})();
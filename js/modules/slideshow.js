@@ -12,16 +12,21 @@ const Slideshow = (function() {
   let totalSlidesElement;
   let projectCounter; // Counter in project cell
   let autoplayTimer;
+  let autoplayInterval = null; // Interval of the running autoplay, kept while the page is hidden
   let isTransitioning = false;
+  let transitionTimer;
+  let touchStartX = 0;
+  let projectNavigation = null; // Links to the previous/next project
   
   /**
    * Initialize slideshow with images or slide templates
    * @param {string} containerSelector - CSS selector for slideshow container
-   * @param {Array} imagePaths - Array of direct image paths (fallback)
+   * @param {Array} imagePaths - Array of image paths or image metadata objects (fallback)
    * @param {string} projectFolder - Project folder name (kept for compatibility but not used)
    * @param {Array} slideTemplates - Array of slide template objects (optional)
+   * @param {number} startIndex - Slide to show first (optional, clamped to the slides)
    */
-  function init(containerSelector, imagePaths, projectFolder = null, slideTemplates = null) {
+  function init(containerSelector, imagePaths, projectFolder = null, slideTemplates = null, startIndex = 0) {
     // Get slideshow container
     slideshowContainer = document.querySelector(containerSelector);
     if (!slideshowContainer) {
@@ -40,14 +45,45 @@ const Slideshow = (function() {
       createSlides(imagePaths);
     }
     
+    start(startIndex);
+  }
+  
+  /**
+   * Initialize slideshow on slides that are already in the page (pre-rendered by scripts/build-pages.js)
+   * @param {string} containerSelector - CSS selector for slideshow container
+   * @param {number} startIndex - Slide to show first (optional, clamped to the slides)
+   */
+  function hydrate(containerSelector, startIndex = 0) {
+    slideshowContainer = document.querySelector(containerSelector);
+    if (!slideshowContainer) {
+      console.error('Slideshow container not found with selector:', containerSelector);
+      return;
+    }
+    
+    currentSlideElement = document.querySelector('.current-slide');
+    projectCounter = document.querySelector('.project-slideshow-counter');
+    
+    slides = Array.from(slideshowContainer.querySelectorAll('.slide'));
+    slides.forEach(slide => {
+      slide.querySelectorAll('img').forEach(ImageLoader.watchRenderedImage);
+    });
+    
+    start(startIndex);
+  }
+  
+  /**
+   * Show the first slide and attach navigation once the slides exist
+   * @param {number} startIndex - Slide to show first (clamped to the slides)
+   */
+  function start(startIndex) {
     // Set initial project counter
     if (projectCounter) {
       projectCounter.textContent = `1 / ${slides.length}`;
     }
     
-    // Show first slide
+    // Show the requested slide (first by default)
     if (slides.length > 0) {
-      showSlide(0);
+      showSlide(Math.min(Math.max(startIndex, 0), slides.length - 1));
     } else {
       console.error('No slides created!');
     }
@@ -112,16 +148,21 @@ const Slideshow = (function() {
       const slide = document.createElement('div');
       slide.classList.add('slide', `slide-${template.type}`);
       
-      // Handle different template types
-      template.images.forEach((imagePath, imgIndex) => {
+      // Handle different template types (images may be paths or metadata objects)
+      const images = template.images.map(ImageLoader.normalizeImage);
+      ImageLoader.setImageColors(slide, images[0]);
+      images.forEach((image, imgIndex) => {
         const img = document.createElement('img');
-        img.src = ImageLoader.fixImagePath(imagePath); // Use ImageLoader to fix path
-        img.alt = `Slide ${index + 1}, Image ${imgIndex + 1}`;
+        const imageElement = ImageLoader.setImageSources(img, image, `slide-${template.type}`);
+        ImageLoader.setImagePlaceholder(img, image);
+        img.alt = image.alt || image.caption || `Slide ${index + 1}, Image ${imgIndex + 1}`;
         img.loading = index < 2 ? 'eager' : 'lazy'; // Load first two slides eagerly
+        ImageLoader.addImageFallback(img);
         
-        slide.appendChild(img);
+        slide.appendChild(imageElement);
       });
       
+      appendSlideCaption(slide, images);
       slideContainer.appendChild(slide);
       
       // Add to slides array
@@ -131,10 +172,29 @@ const Slideshow = (function() {
     // Preload next and previous images for smoother transitions
     preloadAdjacentImages();
   }
-
+  
+  /**
+   * Add a caption line to a slide if any of its images has a caption or credits
+   * @param {HTMLElement} slide - Slide element
+   * @param {Array} images - Normalized images shown in the slide
+   */
+  function appendSlideCaption(slide, images) {
+    const captionText = images
+      .map(ImageLoader.getImageCaption)
+      .filter(Boolean)
+      .join(' / ');
+    
+    if (!captionText) return;
+    
+    const caption = document.createElement('p');
+    caption.classList.add('slide-caption');
+    caption.textContent = captionText;
+    slide.appendChild(caption);
+  }
+  
   /**
    * Create slide elements from image paths (fallback method)
-   * @param {Array} imagePaths - Array of direct image paths
+   * @param {Array} imagePaths - Array of image paths or image metadata objects
    */
   function createSlides(imagePaths) {
     // Get the wrapper element (or use container as fallback)
@@ -148,16 +208,20 @@ const Slideshow = (function() {
     slides = [];
     
     // Create a new slide for each image
-    imagePaths.forEach((imagePath, index) => {
+    imagePaths.map(ImageLoader.normalizeImage).forEach((image, index) => {
       const slide = document.createElement('div');
       slide.classList.add('slide', 'slide-main'); // Default to main template
+      ImageLoader.setImageColors(slide, image);
       
       const img = document.createElement('img');
-      img.src = imagePath;
-      img.alt = `Slide ${index + 1}`;
+      const imageElement = ImageLoader.setImageSources(img, image, 'slide-main');
+      ImageLoader.setImagePlaceholder(img, image);
+      img.alt = image.alt || image.caption || `Slide ${index + 1}`;
       img.loading = index < 2 ? 'eager' : 'lazy'; // Load first two slides eagerly
+      ImageLoader.addImageFallback(img);
       
-      slide.appendChild(img);
+      slide.appendChild(imageElement);
+      appendSlideCaption(slide, [image]);
       slideContainer.appendChild(slide);
       
       // Add to slides array
@@ -195,39 +259,113 @@ const Slideshow = (function() {
     // Add active class to current slide
     slides[currentIndex].classList.add('active');
     
-    // Update counter
-    if (currentSlideElement) {
-      currentSlideElement.textContent = currentIndex + 1;
-    }
+    // Update counters
+    updateCounter();
     
-    // Update project counter
-    if (projectCounter) {
-      projectCounter.textContent = `${currentIndex + 1} / ${slides.length}`;
-    }
+    // Let the page reflect the slide in the URL
+    document.dispatchEvent(new CustomEvent('slideChanged', {
+      detail: {
+        index: currentIndex,
+        total: slides.length,
+        color: slides[currentIndex].style.getPropertyValue('--image-color') || null
+      }
+    }));
     
     // Preload adjacent images
     preloadAdjacentImages();
     
     // Reset transition lock after animation completes
-    setTimeout(() => {
+    clearTimeout(transitionTimer);
+    transitionTimer = setTimeout(() => {
       isTransitioning = false;
     }, 300); // Match this to your CSS transition time
   }
   
+  /**
+   * Write the current position into the slide counter and the project cell counter
+   */
+  function updateCounter() {
+    if (currentSlideElement) {
+      currentSlideElement.textContent = currentIndex + 1;
+    }
+    
+    // The cell counter is recreated when the homepage comes back to the same project
+    projectCounter = document.querySelector('.project-slideshow-counter');
+    if (projectCounter) {
+      projectCounter.textContent = `${currentIndex + 1} / ${slides.length}`;
+    }
+  }
+  
   /**
    * Show previous slide
+   * On the first slide, continues into the previous project if that option is set
    */
   function prev() {
+    if (currentIndex === 0 && continueToProject('prev')) return;
     showSlide(currentIndex - 1);
   }
   
   /**
    * Show next slide
+   * On the last slide, continues into the next project if that option is set
    */
   function next() {
+    if (currentIndex === slides.length - 1 && continueToProject('next')) return;
     showSlide(currentIndex + 1);
   }
   
+  /**
+   * Add previous/next project links to the slideshow
+   * @param {Object} options - Navigation options
+   * @param {Object|null} options.prev - { title, url } of the previous project
+   * @param {Object|null} options.next - { title, url } of the next project
+   * @param {boolean} options.continueIntoNextProject - Go to the adjacent project
+   *   instead of wrapping around when moving past the first or last slide
+   */
+  function setProjectNavigation(options) {
+    removeProjectNavigation();
+    projectNavigation = options;
+    if (!slideshowContainer) return;
+    
+    [['prev', 'Previous project', '← '], ['next', 'Next project', ' →']].forEach(([direction, label, arrow]) => {
+      const target = options[direction];
+      if (!target) return;
+      
+      // Plain links: the router swaps the project in place
+      const link = document.createElement('a');
+      link.classList.add('slideshow-project-nav', direction);
+      link.href = target.url;
+      link.textContent = direction === 'prev' ? `${arrow}${target.title}` : `${target.title}${arrow}`;
+      link.setAttribute('aria-label', `${label}: ${target.title}`);
+      slideshowContainer.appendChild(link);
+    });
+  }
+  
+  /**
+   * Remove the previous/next project links
+   */
+  function removeProjectNavigation() {
+    projectNavigation = null;
+    if (slideshowContainer) {
+      slideshowContainer.querySelectorAll('.slideshow-project-nav').forEach(link => link.remove());
+    }
+  }
+  
+  /**
+   * Go to the adjacent project when moving past the edge of the slideshow
+   * @param {string} direction - 'prev' or 'next'
+   * @returns {boolean} - True if navigation to another project started
+   */
+  function continueToProject(direction) {
+    if (!projectNavigation || !projectNavigation.continueIntoNextProject) return false;
+    
+    const target = projectNavigation[direction];
+    if (!target) return false;
+    
+    Navigation.navigate(target.url);
+    return true;
+  }
+  
   /**
    * Handle keyboard navigation
    * @param {KeyboardEvent} event - Keyboard event
@@ -254,33 +392,39 @@ const Slideshow = (function() {
   function initSwipeNavigation() {
     if (!slideshowContainer) return;
     
-    let touchStartX = 0;
-    let touchEndX = 0;
-    
-    slideshowContainer.addEventListener('touchstart', e => {
-      touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
-    
-    slideshowContainer.addEventListener('touchend', e => {
-      touchEndX = e.changedTouches[0].screenX;
-      handleSwipe();
-    }, { passive: true });
+    slideshowContainer.addEventListener('touchstart', handleTouchStart, { passive: true });
+    slideshowContainer.addEventListener('touchend', handleTouchEnd, { passive: true });
+  }
+  
+  /**
+   * Remember where a swipe started
+   * @param {TouchEvent} e - Touch event
+   */
+  function handleTouchStart(e) {
+    touchStartX = e.changedTouches[0].screenX;
+  }
+  
+  /**
+   * Navigate if the touch moved far enough to count as a swipe
+   * @param {TouchEvent} e - Touch event
+   */
+  function handleTouchEnd(e) {
+    const touchEndX = e.changedTouches[0].screenX;
+    const swipeThreshold = 50; // Minimum distance for a swipe
     
-    function handleSwipe() {
-      const swipeThreshold = 50; // Minimum distance for a swipe
-      
-      if (touchEndX < touchStartX - swipeThreshold) {
-        // Swipe left: show next slide
-        next();
-      } else if (touchEndX > touchStartX + swipeThreshold) {
-        // Swipe right: show previous slide
-        prev();
-      }
+    if (touchEndX < touchStartX - swipeThreshold) {
+      // Swipe left: show next slide
+      next();
+    } else if (touchEndX > touchStartX + swipeThreshold) {
+      // Swipe right: show previous slide
+      prev();
     }
   }
   
   /**
    * Preload adjacent images for smoother transitions
+   * The slides' own images are switched to eager loading, so the browser fetches the
+   * same srcset candidate it will show instead of a separate full-size copy
    */
   function preloadAdjacentImages() {
     const imagesToPreload = [];
@@ -288,29 +432,19 @@ const Slideshow = (function() {
     // Get previous slide images
     const prevIndex = currentIndex - 1 < 0 ? slides.length - 1 : currentIndex - 1;
     if (slides[prevIndex]) {
-      const prevImgs = slides[prevIndex].querySelectorAll('img');
-      prevImgs.forEach(img => {
-        if (img.src) {
-          imagesToPreload.push(img.src);
-      }
-      });
+      imagesToPreload.push(...slides[prevIndex].querySelectorAll('img'));
     }
     
     // Get next slide images
     const nextIndex = currentIndex + 1 >= slides.length ? 0 : currentIndex + 1;
     if (slides[nextIndex]) {
-      const nextImgs = slides[nextIndex].querySelectorAll('img');
-      nextImgs.forEach(img => {
-        if (img.src) {
-          imagesToPreload.push(img.src);
-      }
-      });
+      imagesToPreload.push(...slides[nextIndex].querySelectorAll('img'));
     }
     
-    // Preload the images
-    if (imagesToPreload.length > 0 && ImageLoader.preloadImages) {
-      ImageLoader.preloadImages(imagesToPreload);
-    }
+    // Start loading the images
+    imagesToPreload.forEach(img => {
+      img.loading = 'eager';
+    });
   }
   
   /**
@@ -329,9 +463,11 @@ const Slideshow = (function() {
    */
   function startAutoplay(interval = 5000) {
     stopAutoplay(); // Clear any existing timer
+    autoplayInterval = interval;
     
+    // Autoplay loops within the project
     autoplayTimer = setInterval(() => {
-      next();
+      showSlide(currentIndex + 1);
     }, interval);
   }
   
@@ -343,6 +479,55 @@ const Slideshow = (function() {
       clearInterval(autoplayTimer);
       autoplayTimer = null;
     }
+    autoplayInterval = null;
+  }
+  
+  /**
+   * Pause the timers while the page is hidden (it may be kept in the back/forward cache)
+   * @returns {Object} - State for restoreState
+   */
+  function saveState() {
+    const state = { autoplayInterval };
+    
+    stopAutoplay();
+    clearTimeout(transitionTimer);
+    isTransitioning = false;
+    
+    return state;
+  }
+  
+  /**
+   * Restart the timers paused by saveState when the page is shown again
+   * @param {Object} state - State returned by saveState
+   */
+  function restoreState(state) {
+    if (slides.length === 0) return;
+    
+    updateCounter();
+    
+    if (state.autoplayInterval) {
+      startAutoplay(state.autoplayInterval);
+    }
+  }
+  
+  /**
+   * Remove slides, navigation areas and listeners so init can run again for another project
+   */
+  function destroy() {
+    stopAutoplay();
+    removeProjectNavigation();
+    document.removeEventListener('keydown', handleKeyPress);
+    
+    if (slideshowContainer) {
+      slideshowContainer.removeEventListener('touchstart', handleTouchStart);
+      slideshowContainer.removeEventListener('touchend', handleTouchEnd);
+      slideshowContainer.querySelectorAll('.slide, .slideshow-nav-area').forEach(element => element.remove());
+    }
+    
+    slides = [];
+    currentIndex = 0;
+    clearTimeout(transitionTimer);
+    isTransitioning = false;
   }
   
   /**
@@ -364,11 +549,17 @@ const Slideshow = (function() {
   // Public API
   return {
     init,
+    hydrate,
+    destroy,
     prev,
     next,
     showSlide,
+    updateCounter,
+    setProjectNavigation,
     startAutoplay,
     stopAutoplay,
+    saveState,
+    restoreState,
     getCurrentIndex,
     getTotalSlides
   };
@@ -3,6 +3,7 @@
  * Provides consistent navigation patterns for all sliders:
  * - Vertical swipe (up/down) for all sliders
  * - Left/right click areas for all sliders
+ * - Mouse wheel / trackpad scrolling (optional)
  * - Optimized performance with shared event handling
  */
 
@@ -16,19 +17,28 @@ const UnifiedNavigation = (function() {
    * @param {Function} callbacks.onNext - Next slide callback
    * @param {Object} options - Navigation options
    * @param {boolean} options.enableSwipe - Enable swipe navigation (default: true)
+   * @param {boolean} options.enableMouseDrag - Also swipe by dragging with the mouse (default: true,
+   *   needs enableSwipe); it keeps text inside the container from being selected
    * @param {boolean} options.enableClick - Enable click navigation (default: true)
    * @param {boolean} options.enableKeyboard - Enable keyboard navigation (default: true)
+   * @param {boolean} options.enableWheel - Enable wheel navigation, one step per scroll gesture (default: false)
    * @param {number} options.swipeThreshold - Minimum swipe distance (default: 50)
    * @param {string} options.swipeDirection - Swipe direction: 'vertical' or 'horizontal' (default: 'vertical')
+   * @param {number} options.wheelThreshold - Wheel distance in px that moves one step (default: 50)
+   * @param {number} options.wheelQuietTime - Pause in ms that ends a wheel gesture (default: 200)
    */
   function setupNavigation(container, callbacks, options = {}) {
     // Default options
     const settings = {
       enableSwipe: true,
+      enableMouseDrag: true,
       enableClick: true,
       enableKeyboard: true,
+      enableWheel: false,
       swipeThreshold: 50,
       swipeDirection: 'vertical',
+      wheelThreshold: 50,
+      wheelQuietTime: 200,
       ...options
     };
     
@@ -49,6 +59,11 @@ const UnifiedNavigation = (function() {
         currentY: 0,
         isDragging: false
       },
+      wheelData: {
+        delta: 0,
+        lastEventTime: 0,
+        locked: false
+      },
       clickAreas: null,
       keyboardHandler: null,
       boundHandlers: {}
@@ -70,8 +85,13 @@ const UnifiedNavigation = (function() {
       setupKeyboardNavigation(container, navData);
     }
     
+    if (settings.enableWheel) {
+      setupWheelNavigation(container, navData);
+    }
+    
     return {
-      destroy: () => destroyNavigation(container)
+      destroy: () => destroyNavigation(container),
+      reset: () => resetNavigation(container)
     };
   }
   
@@ -147,6 +167,9 @@ const UnifiedNavigation = (function() {
     
     // Touch start handler
     const touchStartHandler = (e) => {
+      // Touches on scrollable content (e.g. a long text) scroll it instead
+      if (isInsideScrollable(e.target, container)) return;
+      
       if (e.touches && e.touches.length > 0) {
         touchData.startX = e.touches[0].clientX;
         touchData.startY = e.touches[0].clientY;
@@ -255,17 +278,21 @@ const UnifiedNavigation = (function() {
     container.addEventListener('touchstart', touchStartHandler, { passive: false });
     container.addEventListener('touchmove', touchMoveHandler, { passive: false });
     container.addEventListener('touchend', touchEndHandler, { passive: false });
-    container.addEventListener('mousedown', mouseDownHandler);
-    container.addEventListener('mousemove', mouseMoveHandler);
-    container.addEventListener('mouseup', mouseUpHandler);
     
     // Store handlers for cleanup
     navData.boundHandlers.touchStartHandler = touchStartHandler;
     navData.boundHandlers.touchMoveHandler = touchMoveHandler;
     navData.boundHandlers.touchEndHandler = touchEndHandler;
-    navData.boundHandlers.mouseDownHandler = mouseDownHandler;
-    navData.boundHandlers.mouseMoveHandler = mouseMoveHandler;
-    navData.boundHandlers.mouseUpHandler = mouseUpHandler;
+    
+    if (settings.enableMouseDrag) {
+      container.addEventListener('mousedown', mouseDownHandler);
+      container.addEventListener('mousemove', mouseMoveHandler);
+      container.addEventListener('mouseup', mouseUpHandler);
+      
+      navData.boundHandlers.mouseDownHandler = mouseDownHandler;
+      navData.boundHandlers.mouseMoveHandler = mouseMoveHandler;
+      navData.boundHandlers.mouseUpHandler = mouseUpHandler;
+    }
   }
   
   /**
@@ -300,6 +327,78 @@ const UnifiedNavigation = (function() {
     navData.keyboardHandler = keyboardHandler;
   }
   
+  /**
+   * Setup wheel navigation
+   * Trackpads keep sending wheel events after the fingers lift, so a gesture moves
+   * one step and the events that follow it are ignored until the wheel has been
+   * quiet for wheelQuietTime
+   */
+  function setupWheelNavigation(container, navData) {
+    const { settings, wheelData } = navData;
+    
+    const wheelHandler = (e) => {
+      // Let scrollable content inside the container (e.g. a long text) scroll first
+      if (canScrollInside(e.target, container, e.deltaY)) return;
+      
+      const now = Date.now();
+      const isNewGesture = now - wheelData.lastEventTime > settings.wheelQuietTime;
+      wheelData.lastEventTime = now;
+      
+      if (isNewGesture) {
+        wheelData.locked = false;
+        wheelData.delta = 0;
+      }
+      if (wheelData.locked) return;
+      
+      // Lines (Firefox with a mouse wheel) to pixels
+      wheelData.delta += e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      
+      if (Math.abs(wheelData.delta) >= settings.wheelThreshold) {
+        // Scroll down - next, scroll up - previous
+        if (wheelData.delta > 0) {
+          navData.callbacks.onNext();
+        } else {
+          navData.callbacks.onPrev();
+        }
+        wheelData.locked = true;
+        wheelData.delta = 0;
+      }
+    };
+    
+    container.addEventListener('wheel', wheelHandler, { passive: true });
+    navData.boundHandlers.wheelHandler = wheelHandler;
+  }
+  
+  /**
+   * Check whether an element between the event target and the container can still
+   * scroll vertically in the direction of a wheel event
+   */
+  function canScrollInside(target, container, deltaY) {
+    for (let element = target; element && element !== container; element = element.parentElement) {
+      const overflowY = window.getComputedStyle(element).overflowY;
+      if (overflowY !== 'auto' && overflowY !== 'scroll') continue;
+      
+      const canScrollDown = element.scrollTop + element.clientHeight < element.scrollHeight;
+      const canScrollUp = element.scrollTop > 0;
+      if ((deltaY > 0 && canScrollDown) || (deltaY < 0 && canScrollUp)) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Check whether an element between the event target and the container has content
+   * to scroll vertically (a touch there may scroll either way, so any overflow counts)
+   */
+  function isInsideScrollable(target, container) {
+    for (let element = target; element && element !== container; element = element.parentElement) {
+      const overflowY = window.getComputedStyle(element).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
   /**
    * Check if container is active/visible
    */
@@ -310,6 +409,17 @@ const UnifiedNavigation = (function() {
            window.getComputedStyle(container).visibility !== 'hidden';
   }
   
+  /**
+   * Forget a swipe in progress, e.g. one that ended on a link to another page
+   * and never got its touchend
+   */
+  function resetNavigation(container) {
+    const navData = container._unifiedNavigation;
+    if (!navData) return;
+    
+    navData.touchData.isDragging = false;
+  }
+  
   /**
    * Destroy navigation for a container
    */
@@ -335,6 +445,8 @@ const UnifiedNavigation = (function() {
       container.removeEventListener('touchstart', navData.boundHandlers.touchStartHandler);
       container.removeEventListener('touchmove', navData.boundHandlers.touchMoveHandler);
       container.removeEventListener('touchend', navData.boundHandlers.touchEndHandler);
+    }
+    if (navData.boundHandlers.mouseDownHandler) {
       container.removeEventListener('mousedown', navData.boundHandlers.mouseDownHandler);
       container.removeEventListener('mousemove', navData.boundHandlers.mouseMoveHandler);
       container.removeEventListener('mouseup', navData.boundHandlers.mouseUpHandler);
@@ -345,6 +457,11 @@ const UnifiedNavigation = (function() {
       document.removeEventListener('keydown', navData.keyboardHandler);
     }
     
+    // Remove wheel listener
+    if (navData.boundHandlers.wheelHandler) {
+      container.removeEventListener('wheel', navData.boundHandlers.wheelHandler);
+    }
+    
     // Clear data
     delete container._unifiedNavigation;
   }
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Production Build
+ * Copies the site to dist/ with each page's scripts and stylesheets bundled in their
+ * current order, minified and named by content hash (js/project.3f9c2a1b.js), and
+ * rewrites the references in index.html, templates/*.html and the work/ pages.
+ * Files referenced from the CSS (fonts) get hashed names too, so everything the
+ * pages load besides images and data can be cached forever. The service worker
+ * (sw.js) gets the bundles in its precache list and a cache version hashed from
+ * everything it precaches
+ *
+ * Usage: node scripts/build-dist.js (npm run build also refreshes _redirects, work/ and the sitemap first)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { minify } = require('terser');
+const { ROOT_DIR } = require('./lib/images');
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Pages that load the same scripts and stylesheets share one bundle of each
+const BUNDLES = [
+  { name: 'home', pages: ['index.html'] },
+  { name: 'project', pages: ['templates/project.html', 'templates/gallery.html', 'work/**/index.html'] }
+];
+
+// Copied to dist/ as they are (pages are rewritten on top, bundled sources are left out)
+const STATIC_ENTRIES = [
+  'index.html',
+  'templates',
+  'work',
+  'images',
+  'js/data/projects.json',
+  'js/data/site.json',
+  'js/data/placeholders',
+  '_redirects',
+  'serve.json',
+  'sitemap.xml',
+  'robots.txt',
+  'manifest.webmanifest',
+  'assets/icons'
+];
+
+// Written with the built shell by writeServiceWorker
+const SERVICE_WORKER = 'sw.js';
+
+const SCRIPT_TAG = /^[ \t]*<script src="([^"]+)"><\/script>\n/gm;
+const STYLESHEET_TAG = /^[ \t]*<link rel="stylesheet" href="([^"]+)">\n/gm;
+
+/**
+ * Get a short content hash for a file name
+ * @param {string|Buffer} content - File contents
+ * @returns {string} - First 8 hex characters of the SHA-256
+ */
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+/**
+ * Write a file below dist/, creating folders as needed
+ * @param {string} relativePath - Path relative to the site root
+ * @param {string|Buffer} content - File contents
+ */
+function writeDistFile(relativePath, content) {
+  const file = path.join(DIST_DIR, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Expand the page patterns of a bundle (supports a single "**" folder wildcard)
+ * @param {Array} patterns - Paths relative to the site root, like 'work/**\/index.html'
+ * @returns {Array} - Existing page paths
+ */
+function expandPages(patterns) {
+  return patterns.flatMap(pattern => {
+    if (!pattern.includes('**/')) {
+      return fs.existsSync(path.join(ROOT_DIR, pattern)) ? [pattern] : [];
+    }
+    
+    const [folder, filename] = pattern.split('/**/');
+    const folderPath = path.join(ROOT_DIR, folder);
+    if (!fs.existsSync(folderPath)) return [];
+    
+    return fs.readdirSync(folderPath, { recursive: true })
+      .filter(entry => path.basename(entry) === filename)
+      .map(entry => `${folder}/${entry.split(path.sep).join('/')}`)
+      .sort();
+  });
+}
+
+/**
+ * List the local assets a page loads with one kind of tag, in document order
+ * @param {string} html - Page markup
+ * @param {RegExp} tagPattern - SCRIPT_TAG or STYLESHEET_TAG
+ * @returns {Array} - Asset paths relative to the site root
+ */
+function listAssets(html, tagPattern) {
+  return [...html.matchAll(tagPattern)]
+    .map(match => match[1])
+    .filter(src => !/^(https?:)?\/\//.test(src));
+}
+
+/**
+ * Replace a page's asset tags with one tag for the bundle
+ * @param {string} html - Page markup
+ * @param {RegExp} tagPattern - SCRIPT_TAG or STYLESHEET_TAG
+ * @param {Array} sources - Bundled asset paths
+ * @param {string} bundleTag - Tag that loads the bundle
+ * @returns {string} - Rewritten markup
+ */
+function replaceAssetTags(html, tagPattern, sources, bundleTag) {
+  let inserted = false;
+  
+  return html.replace(tagPattern, (tag, src) => {
+    if (!sources.includes(src)) return tag;
+    if (inserted) return '';
+    
+    // The bundle takes the place of the first tag, keeping its indentation
+    inserted = true;
+    return `${tag.match(/^[ \t]*/)[0]}${bundleTag}\n`;
+  });
+}
+
+/**
+ * Bundle and minify scripts with a source map pointing at the original files
+ * @param {string} name - Bundle name
+ * @param {Array} sources - Script paths relative to the site root, in load order
+ * @returns {Promise<string>} - Path of the written bundle
+ */
+async function buildScriptBundle(name, sources) {
+  const files = {};
+  sources.forEach(source => {
+    files[source] = fs.readFileSync(path.join(ROOT_DIR, source), 'utf8');
+  });
+  
+  // Modules talk through top-level globals, so top-level names are kept as they are
+  const result = await minify(files, {
+    compress: { passes: 2 },
+    mangle: true,
+    sourceMap: { includeSources: true }
+  });
+  
+  const bundlePath = `js/${name}.${contentHash(result.code)}.js`;
+  const map = JSON.parse(result.map);
+  map.file = path.basename(bundlePath);
+  map.sources = map.sources.map(source => `/${source}`);
+  
+  writeDistFile(bundlePath, `${result.code}\n//# sourceMappingURL=${path.basename(bundlePath)}.map\n`);
+  writeDistFile(`${bundlePath}.map`, JSON.stringify(map));
+  return bundlePath;
+}
+
+/**
+ * Minify CSS conservatively: comments and layout whitespace only
+ * @param {string} css - Stylesheet source
+ * @returns {string} - Minified stylesheet
+ */
+function minifyCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{};,>])\s*/g, '$1')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+/**
+ * Copy a file referenced from CSS to a hashed name (once per build)
+ * @param {string} assetPath - Asset path relative to the site root
+ * @param {Map} hashedAssets - Already copied assets, by original path
+ * @returns {string} - Hashed path relative to the site root
+ */
+function copyHashedAsset(assetPath, hashedAssets) {
+  if (hashedAssets.has(assetPath)) return hashedAssets.get(assetPath);
+  
+  const content = fs.readFileSync(path.join(ROOT_DIR, assetPath));
+  const extension = path.extname(assetPath);
+  const hashedPath = `${assetPath.slice(0, -extension.length)}.${contentHash(content)}${extension}`;
+  
+  writeDistFile(hashedPath, content);
+  hashedAssets.set(assetPath, hashedPath);
+  return hashedPath;
+}
+
+/**
+ * Bundle stylesheets into css/<name>.<hash>.css, pointing their url()s at hashed assets
+ * @param {string} name - Bundle name
+ * @param {Array} sources - Stylesheet paths relative to the site root, in load order
+ * @param {Map} hashedAssets - Assets copied so far, by original path
+ * @returns {string} - Path of the written bundle
+ */
+function buildStyleBundle(name, sources, hashedAssets) {
+  const css = sources.map(source => {
+    const content = fs.readFileSync(path.join(ROOT_DIR, source), 'utf8');
+    
+    // url() is relative to the original file; the bundle lives in css/
+    return content.replace(/url\((['"]?)([^'")]+)\1\)/g, (match, quote, url) => {
+      if (/^(data:|https?:|\/\/|#)/.test(url)) return match;
+      
+      const assetPath = path.posix.join(path.posix.dirname(source), url);
+      const hashedPath = copyHashedAsset(assetPath, hashedAssets);
+      return `url('${path.posix.relative('css', hashedPath)}')`;
+    });
+  }).join('\n');
+  
+  const minified = minifyCss(css);
+  const bundlePath = `css/${name}.${contentHash(minified)}.css`;
+  writeDistFile(bundlePath, minified);
+  return bundlePath;
+}
+
+/**
+ * Write the service worker with the built files added to its precache list and
+ * CACHE_VERSION set to a hash of everything it precaches
+ * @param {Array} builtAssets - Bundles and hashed assets, relative to the site root
+ * @returns {string} - Cache version
+ */
+function writeServiceWorker(builtAssets) {
+  let source = fs.readFileSync(path.join(ROOT_DIR, SERVICE_WORKER), 'utf8');
+  
+  const list = source.match(/^const SHELL_URLS = \[([\s\S]*?)\];$/m);
+  if (!list || !/^const CACHE_VERSION = '[^']*';$/m.test(source)) {
+    throw new Error(`${SERVICE_WORKER} has no CACHE_VERSION or SHELL_URLS to fill in`);
+  }
+  
+  const shellUrls = [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+  const files = [...builtAssets, ...shellUrls]
+    .map(url => path.join(DIST_DIR, url === './' ? 'index.html' : url))
+    .filter(file => fs.existsSync(file));
+  const version = contentHash(Buffer.concat(files.map(file => fs.readFileSync(file))));
+  
+  const urls = [...builtAssets, ...shellUrls].map(url => `  '${url}'`).join(',\n');
+  source = source
+    .replace(/^const CACHE_VERSION = '[^']*';$/m, `const CACHE_VERSION = '${version}';`)
+    .replace(list[0], `const SHELL_URLS = [\n${urls}\n];`);
+  
+  writeDistFile(SERVICE_WORKER, source);
+  return version;
+}
+
+/**
+ * Build dist/
+ * @returns {Promise<Object>} - { bundles: [{ name, script, stylesheet, pages }], cacheVersion }
+ */
+async function buildDist() {
+  fs.rmSync(DIST_DIR, { recursive: true, force: true });
+  
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT_DIR, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(DIST_DIR, entry), { recursive: true });
+    }
+  });
+  
+  const hashedAssets = new Map();
+  const results = [];
+  
+  for (const bundle of BUNDLES) {
+    const pages = expandPages(bundle.pages);
+    if (pages.length === 0) continue;
+    
+    // Every page of a bundle has to load the same files in the same order
+    const read = page => fs.readFileSync(path.join(ROOT_DIR, page), 'utf8');
+    const scripts = listAssets(read(pages[0]), SCRIPT_TAG);
+    const stylesheets = listAssets(read(pages[0]), STYLESHEET_TAG);
+    pages.forEach(page => {
+      const html = read(page);
+      if (listAssets(html, SCRIPT_TAG).join() !== scripts.join() ||
+          listAssets(html, STYLESHEET_TAG).join() !== stylesheets.join()) {
+        throw new Error(`${page} does not load the same scripts and stylesheets as ${pages[0]}`);
+      }
+    });
+    
+    const script = await buildScriptBundle(bundle.name, scripts);
+    const stylesheet = buildStyleBundle(bundle.name, stylesheets, hashedAssets);
+    
+    pages.forEach(page => {
+      let html = read(page);
+      html = replaceAssetTags(html, SCRIPT_TAG, scripts, `<script src="${script}"></script>`);
+      html = replaceAssetTags(html, STYLESHEET_TAG, stylesheets, `<link rel="stylesheet" href="${stylesheet}">`);
+      writeDistFile(page, html);
+    });
+    
+    results.push({ name: bundle.name, script, stylesheet, pages: pages.length });
+  }
+  
+  const builtAssets = results.flatMap(result => [result.script, result.stylesheet])
+    .concat([...hashedAssets.values()]);
+  const cacheVersion = writeServiceWorker(builtAssets);
+  
+  return { bundles: results, cacheVersion };
+}
+
+async function main() {
+  const { bundles, cacheVersion } = await buildDist();
+  
+  bundles.forEach(result => {
+    console.log(`${result.name}: ${result.script}, ${result.stylesheet} (${result.pages} pages)`);
+  });
+  console.log(`${SERVICE_WORKER}: cache version ${cacheVersion}`);
+  console.log(`Wrote ${path.relative(ROOT_DIR, DIST_DIR)}/`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildDist, minifyCss };
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Responsive Image Builder
+ * Writes smaller copies of every project image next to the original, one folder
+ * per width (images/P-01/480w/Ladakhi-Bakers1.webp), so ImageLoader can offer them
+ * in srcset. Every image is also written in AVIF, WebP and JPEG, at full size into
+ * images/P-01/full/ and at each width next to the copies, for the <picture> sources
+ * (AVIF, then WebP) and the JPEG fallback older browsers and link previews get.
+ * Widths at or above the original's are skipped, copies newer than their original
+ * are kept, and copies whose original is gone are removed.
+ * The copies are generated, not committed: run this after cloning or adding images
+ *
+ * Usage: node scripts/build-images.js [folder...] (npm run images also refreshes the manifest)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const {
+  ROOT_DIR,
+  IMAGES_DIR,
+  RESPONSIVE_WIDTHS,
+  IMAGE_FORMATS,
+  listImageFolders,
+  listFolderImages,
+  readImageSize,
+  imageFormat,
+  resizedImagePath
+} = require('./lib/images');
+
+// Encoder settings per output type. AVIF runs at a low effort: the default takes
+// around 25 seconds per full-size image for a file only 15% smaller
+const OUTPUT_OPTIONS = {
+  webp: { quality: 80 },
+  jpeg: { quality: 80, mozjpeg: true },
+  png: { compressionLevel: 9 },
+  avif: { quality: 55, effort: 2 }
+};
+
+/**
+ * Check whether a resized copy is missing or older than its original
+ * @param {string} source - Original file path
+ * @param {string} target - Copy file path
+ * @returns {boolean} - True if the copy has to be written
+ */
+function isOutdated(source, target) {
+  if (!fs.existsSync(target)) return true;
+  return fs.statSync(target).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Write the missing or outdated copies of one image
+ * @param {string} imagePath - Original image path relative to the site root
+ * @returns {Promise<number>} - Number of files written
+ */
+async function resizeImage(imagePath) {
+  const size = readImageSize(imagePath);
+  if (!size) {
+    console.warn(`${imagePath}: unknown image format, skipped`);
+    return 0;
+  }
+  
+  const source = path.join(ROOT_DIR, imagePath);
+  const formats = [...new Set([imageFormat(imagePath), ...Object.keys(IMAGE_FORMATS)])];
+  
+  // null stands for full size, which the original already covers in its own format
+  const widths = [null, ...RESPONSIVE_WIDTHS.filter(width => width < size.width)];
+  let written = 0;
+  
+  for (const format of formats) {
+    for (const width of widths) {
+      const target = path.join(ROOT_DIR, resizedImagePath(imagePath, width, format));
+      if (target === source || !isOutdated(source, target)) continue;
+      
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const pipeline = sharp(source);
+      if (width) {
+        pipeline.resize({ width });
+      }
+      await pipeline.toFormat(format, OUTPUT_OPTIONS[format]).toFile(target);
+      written++;
+    }
+  }
+  
+  return written;
+}
+
+/**
+ * Delete copies whose original was removed, and width folders or formats no longer in use
+ * @param {string} folder - Folder name inside images/
+ * @returns {number} - Number of files removed
+ */
+function removeStaleCopies(folder) {
+  const folderPath = path.join(IMAGES_DIR, folder);
+  
+  // Every path a current original can have copies at
+  const copies = new Set();
+  listFolderImages(folder).forEach(imagePath => {
+    Object.keys(IMAGE_FORMATS).concat(imageFormat(imagePath)).forEach(format => {
+      [null, ...RESPONSIVE_WIDTHS].forEach(width => {
+        copies.add(resizedImagePath(imagePath, width, format));
+      });
+    });
+  });
+  
+  let removed = 0;
+  
+  fs.readdirSync(folderPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^(\d+w|full)$/.test(entry.name))
+    .forEach(entry => {
+      const widthPath = path.join(folderPath, entry.name);
+      
+      fs.readdirSync(widthPath).forEach(filename => {
+        if (copies.has(`images/${folder}/${entry.name}/${filename}`)) return;
+        fs.rmSync(path.join(widthPath, filename));
+        removed++;
+      });
+      
+      if (fs.readdirSync(widthPath).length === 0) {
+        fs.rmdirSync(widthPath);
+      }
+    });
+  
+  return removed;
+}
+
+async function main() {
+  // One image at a time keeps memory use flat on small machines
+  sharp.concurrency(1);
+  
+  // Folder names on the command line limit the run to those folders
+  const requested = process.argv.slice(2);
+  const folders = listImageFolders().filter(folder => {
+    return requested.length === 0 || requested.includes(folder);
+  });
+  
+  let written = 0;
+  let removed = 0;
+  
+  for (const folder of folders) {
+    for (const imagePath of listFolderImages(folder)) {
+      written += await resizeImage(imagePath);
+    }
+    removed += removeStaleCopies(folder);
+  }
+  
+  console.log(`Wrote ${written} images (${RESPONSIVE_WIDTHS.join('w, ')}w and full size; ` +
+    `${Object.keys(IMAGE_FORMATS).join(', ')}), removed ${removed}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { resizeImage };
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Manifest Builder
+ * Scans images/<folder>/ and writes js/data/manifest.js with the exact
+ * gallery list for every project folder, so nothing has to guess filenames.
+ * An optional images/<folder>/metadata.json adds alt text, captions and
+ * credits per file: { "Miralls1.webp": { "alt": "...", "caption": "...", "credits": "..." } }
+ * Each entry also records the pixel size and orientation and the dominant and average
+ * colours used to tint tiles, slides and backgrounds. All of it comes from the committed
+ * originals, so the manifest is committed too and holds on a fresh checkout.
+ * What depends on the generated copies (scripts/build-images.js) goes to files that are
+ * not committed: js/data/image-copies.js with the widths of the resized copies, which
+ * ImageLoader turns into srcset, and the other formats (AVIF, WebP, JPEG) written for
+ * each image, which become <picture> sources; and js/data/placeholders/<folder>.json
+ * with the 12px-wide WebP placeholders the pages paint until an image arrives
+ *
+ * Usage: node scripts/build-manifest.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const {
+  ROOT_DIR,
+  IMAGES_DIR,
+  listImageFolders,
+  listFolderImages,
+  readImageSize,
+  resizedImagePath,
+  listResizedWidths,
+  listImageFormats
+} = require('./lib/images');
+
+const OUTPUT_FILE = path.join(ROOT_DIR, 'js', 'data', 'manifest.js');
+const COPIES_FILE = path.join(ROOT_DIR, 'js', 'data', 'image-copies.js');
+const PLACEHOLDERS_DIR = path.join(ROOT_DIR, 'js', 'data', 'placeholders');
+
+// Per-folder sidecar with image metadata
+const METADATA_FILENAME = 'metadata.json';
+
+// Fields copied from the sidecar into the manifest
+const METADATA_FIELDS = ['alt', 'caption', 'credits'];
+
+// Placeholder size; the browser scales it up, which blurs it enough on its own
+const PLACEHOLDER_WIDTH = 12;
+
+// Width the original is scaled to before its colours are measured
+const COLOR_SAMPLE_WIDTH = 64;
+
+/**
+ * Read the metadata sidecar of a folder
+ * @param {string} folder - Folder name inside images/
+ * @returns {Object} - Map of filename to metadata (empty if there is no sidecar)
+ */
+function readFolderMetadata(folder) {
+  const metadataPath = path.join(IMAGES_DIR, folder, METADATA_FILENAME);
+  if (!fs.existsSync(metadataPath)) return {};
+  
+  return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+}
+
+/**
+ * Describe the shape of an image
+ * @param {Object} size - { width, height }
+ * @returns {string} - 'landscape', 'portrait' or 'square'
+ */
+function getOrientation({ width, height }) {
+  if (width === height) return 'square';
+  return width > height ? 'landscape' : 'portrait';
+}
+
+/**
+ * Get the file to analyse for an image (the smallest copy is quickest to decode)
+ * @param {string} imagePath - Image path relative to the site root
+ * @param {Array} widths - Widths of the resized copies
+ * @returns {string} - Absolute file path
+ */
+function getAnalysisSource(imagePath, widths) {
+  return path.join(ROOT_DIR, widths.length > 0 ? resizedImagePath(imagePath, widths[0]) : imagePath);
+}
+
+/**
+ * Format a colour as #rrggbb
+ * @param {Array} channels - Red, green and blue, 0-255
+ * @returns {string} - Hex colour
+ */
+function toHexColor(channels) {
+  return `#${channels.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Measure the dominant and average colour of an image
+ * Read from a small sample of the original, so the committed manifest is the same
+ * whether or not the copies have been written
+ * @param {string} imagePath - Image path relative to the site root
+ * @returns {Promise<Object|null>} - { dominantColor, averageColor }, or null if the file can't be read
+ */
+async function readColors(imagePath) {
+  try {
+    const sample = await sharp(path.join(ROOT_DIR, imagePath))
+      .resize({ width: COLOR_SAMPLE_WIDTH })
+      .toBuffer();
+    const stats = await sharp(sample).stats();
+    const { r, g, b } = stats.dominant;
+    
+    return {
+      dominantColor: toHexColor([r, g, b]),
+      averageColor: toHexColor(stats.channels.slice(0, 3).map(channel => channel.mean))
+    };
+  } catch (error) {
+    console.warn(`${imagePath}: no colours (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Encode a tiny copy of an image for the blur-up placeholder
+ * @param {string} imagePath - Image path relative to the site root
+ * @param {Array} widths - Widths of the resized copies
+ * @returns {Promise<string|null>} - Base64 WebP data, or null if the file can't be read
+ */
+async function createPlaceholder(imagePath, widths) {
+  try {
+    const buffer = await sharp(getAnalysisSource(imagePath, widths))
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .webp({ quality: 30 })
+      .toBuffer();
+    return buffer.toString('base64');
+  } catch (error) {
+    console.warn(`${imagePath}: no placeholder (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Turn an image path into a manifest entry, using the object form only when there is something to record
+ * @param {string} imagePath - Image path relative to the site root
+ * @param {Object} metadata - Metadata for this file, if any
+ * @returns {Promise<string|Object>} - Path string or { src, width, height, orientation,
+ *   dominantColor, averageColor, alt, caption, credits }
+ */
+async function createEntry(imagePath, metadata = {}) {
+  const entry = { src: imagePath };
+  
+  const size = readImageSize(imagePath);
+  if (size) {
+    entry.width = size.width;
+    entry.height = size.height;
+    entry.orientation = getOrientation(size);
+    
+    Object.assign(entry, await readColors(imagePath));
+  }
+  
+  METADATA_FIELDS.forEach(field => {
+    if (metadata[field]) {
+      entry[field] = metadata[field];
+    }
+  });
+  
+  return Object.keys(entry).length > 1 ? entry : imagePath;
+}
+
+/**
+ * List the generated copies of an image
+ * @param {string} imagePath - Image path relative to the site root
+ * @param {Object} size - { width, height } of the original
+ * @returns {Object|null} - { widths, formats } (either may be left out), or null without copies
+ */
+function listCopies(imagePath, size) {
+  const copies = {};
+  
+  const widths = listResizedWidths(imagePath).filter(width => width < size.width);
+  if (widths.length > 0) {
+    copies.widths = widths;
+  }
+  
+  const formats = listImageFormats(imagePath, widths);
+  if (formats.length > 0) {
+    copies.formats = formats;
+  }
+  
+  return Object.keys(copies).length > 0 ? copies : null;
+}
+
+/**
+ * Build the manifest object, the copies and the placeholders from the folders on disk
+ * @returns {Promise<Object>} - { manifest: map of folder name to { images: [path or entry object] },
+ *   copies: map of image path to { widths, formats },
+ *   placeholders: map of folder name to { image path: base64 WebP } }
+ */
+async function buildManifest() {
+  const manifest = {};
+  const copies = {};
+  const placeholders = {};
+  
+  for (const folder of listImageFolders()) {
+    const metadata = readFolderMetadata(folder);
+    const images = [];
+    const folderPlaceholders = {};
+    for (const imagePath of listFolderImages(folder)) {
+      const entry = await createEntry(imagePath, metadata[path.basename(imagePath)]);
+      images.push(entry);
+      
+      // Only images whose size could be read can be decoded for copies and a placeholder
+      if (!entry.width) continue;
+      
+      const imageCopies = listCopies(imagePath, entry);
+      if (imageCopies) {
+        copies[imagePath] = imageCopies;
+      }
+      
+      const placeholder = await createPlaceholder(imagePath, (imageCopies && imageCopies.widths) || []);
+      if (placeholder) {
+        folderPlaceholders[imagePath] = placeholder;
+      }
+    }
+    
+    // Point out sidecar entries that no longer match a file
+    Object.keys(metadata).forEach(filename => {
+      if (!images.some(image => (image.src || image) === `images/${folder}/${filename}`)) {
+        console.warn(`images/${folder}/${METADATA_FILENAME}: no image named "${filename}"`);
+      }
+    });
+    
+    if (images.length > 0) {
+      manifest[folder] = { images };
+    }
+    if (Object.keys(folderPlaceholders).length > 0) {
+      placeholders[folder] = folderPlaceholders;
+    }
+  }
+  
+  return { manifest, copies, placeholders };
+}
+
+/**
+ * Write one placeholder file per folder, removing those of folders that are gone
+ * @param {Object} placeholders - Map of folder name to { image path: base64 WebP }
+ * @returns {number} - Number of files written
+ */
+function writePlaceholders(placeholders) {
+  fs.rmSync(PLACEHOLDERS_DIR, { recursive: true, force: true });
+  fs.mkdirSync(PLACEHOLDERS_DIR, { recursive: true });
+  
+  Object.entries(placeholders).forEach(([folder, images]) => {
+    fs.writeFileSync(path.join(PLACEHOLDERS_DIR, `${folder}.json`), `${JSON.stringify(images, null, 2)}\n`);
+  });
+  
+  return Object.keys(placeholders).length;
+}
+
+/**
+ * Serialize the manifest as a browser script
+ * @param {Object} manifest - Manifest object
+ * @returns {string} - File contents
+ */
+function renderManifest(manifest) {
+  // One line per image keeps the file readable now that entries carry sizes
+  const folders = Object.keys(manifest).map(folder => {
+    const images = manifest[folder].images.map(image => `      ${JSON.stringify(image)}`);
+    return `  ${JSON.stringify(folder)}: {\n    "images": [\n${images.join(',\n')}\n    ]\n  }`;
+  });
+  
+  return `/**
+ * Image Manifest
+ * Generated by scripts/build-manifest.js from the images/ folders - do not edit by hand
+ */
+
+const imageManifest = {
+${folders.join(',\n')}
+};
+`;
+}
+
+/**
+ * Serialize the copies as a browser script
+ * @param {Object} copies - Map of image path to { widths, formats }
+ * @returns {string} - File contents
+ */
+function renderCopies(copies) {
+  const images = Object.keys(copies).map(imagePath => `  ${JSON.stringify(imagePath)}: ${JSON.stringify(copies[imagePath])}`);
+  
+  return `/**
+ * Image Copies
+ * Generated by scripts/build-manifest.js from the copies scripts/build-images.js wrote
+ * on this disk - not committed, do not edit by hand
+ */
+
+const imageCopies = {
+${images.join(',\n')}
+};
+`;
+}
+
+async function main() {
+  const { manifest, copies, placeholders } = await buildManifest();
+  fs.writeFileSync(OUTPUT_FILE, renderManifest(manifest));
+  fs.writeFileSync(COPIES_FILE, renderCopies(copies));
+  const placeholderFiles = writePlaceholders(placeholders);
+  
+  const folders = Object.keys(manifest);
+  const total = folders.reduce((sum, folder) => sum + manifest[folder].images.length, 0);
+  console.log(`Wrote ${path.relative(ROOT_DIR, OUTPUT_FILE)}: ${folders.length} folders, ${total} images`);
+  console.log(`Wrote ${path.relative(ROOT_DIR, COPIES_FILE)}: ${Object.keys(copies).length} images with copies`);
+  console.log(`Wrote ${placeholderFiles} placeholder files to ${path.relative(ROOT_DIR, PLACEHOLDERS_DIR)}/`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildManifest };
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * Static Page Builder
+ * Pre-renders the shared project/gallery template for every project:
+ * work/<slug>/index.html (slideshow) and work/<slug>/gallery/index.html (gallery),
+ * with the real title, description, metadata, slides and gallery grid in the markup.
+ * The page scripts then pick up that markup instead of building it
+ *
+ * Usage: node scripts/build-pages.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/images');
+const { INDENT, escapeHtml, indent } = require('./lib/html');
+const { renderMetaTags } = require('./lib/meta');
+const { loadProjects, projectSlug, uniqueProjects } = require('./lib/projects');
+const { loadImageLoader, loadContactInfo } = require('./lib/runtime');
+const { loadSite } = require('./lib/site');
+
+const TEMPLATE_FILE = path.join(ROOT_DIR, 'templates', 'project.html');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'work');
+
+/**
+ * Replace one part of the template, failing loudly if the template has changed shape
+ * @param {string} html - Template markup
+ * @param {RegExp|string} pattern - Part to replace (must match exactly once)
+ * @param {string|Function} replacement - New markup, or a function of the match like String.replace takes
+ * @returns {string} - Updated markup
+ */
+function replaceOnce(html, pattern, replacement) {
+  const regex = typeof pattern === 'string' ? new RegExp(escapeRegExp(pattern), 'g') : new RegExp(pattern.source, 'g');
+  const matches = html.match(regex) || [];
+  if (matches.length !== 1) {
+    throw new Error(`Expected one match for ${regex} in ${path.relative(ROOT_DIR, TEMPLATE_FILE)}, found ${matches.length}`);
+  }
+  
+  return html.replace(regex, typeof replacement === 'function' ? replacement : () => replacement);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Pattern matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Render the project metadata and description shown by "+ Project Info"
+ * @param {Object} project - Project data object
+ * @returns {Array} - Lines of markup
+ */
+function renderProjectInfo(project) {
+  const item = (label, value) => [
+    `${INDENT}<div class="metadata-item">`,
+    `${INDENT}${INDENT}<span class="label">${label}:</span>`,
+    `${INDENT}${INDENT}<span class="value">${escapeHtml(value)}</span>`,
+    `${INDENT}</div>`
+  ];
+  
+  return [
+    '<div class="project-info">',
+    `${INDENT}<div class="project-metadata">`,
+    ...item('LOCATION', project.location).map(line => INDENT + line),
+    ...item('DATE', project.date).map(line => INDENT + line),
+    ...item('CLIENT', project.client).map(line => INDENT + line),
+    `${INDENT}</div>`,
+    `${INDENT}<p class="project-description">${escapeHtml(project.description)}</p>`,
+    '</div>'
+  ];
+}
+
+/**
+ * Render the static grid cells behind the views (same markup as createStaticProjectElement
+ * and setActiveProjectCell in main.js), one per entry in the project data
+ * @param {Array} projects - All project data objects
+ * @param {Object} project - Current project
+ * @param {string} counter - Counter text for the current project's cell
+ * @returns {Array} - Lines of markup
+ */
+function renderGridCells(projects, project, counter) {
+  return projects.map(entry => {
+    const id = escapeHtml(entry.id);
+    if (entry.id !== project.id) {
+      return `<article class="project-item project-item-hidden" data-project-id="${id}"><div class="project-id">${id}</div></article>`;
+    }
+    
+    return `<article class="project-item" data-project-id="${id}">` +
+      `<div class="project-info"><h2 class="project-title">${escapeHtml(entry.title)}</h2></div>` +
+      `<div class="project-slideshow-counter">${counter}</div>` +
+      `<div class="project-id">${id}</div></article>`;
+  });
+}
+
+/**
+ * Render the src attributes of an image (same as ImageLoader.setImageSources)
+ * @param {Object} image - Normalized image
+ * @param {string} layout - ImageLoader layout key
+ * @param {Object} ImageLoader - ImageLoader module
+ * @returns {string} - sizes, srcset, src, width, height and data-orientation attributes
+ */
+function renderImageSources(image, layout, ImageLoader) {
+  const fallbackFormat = ImageLoader.getFallbackFormat(image);
+  const srcset = ImageLoader.getImageSrcset(image, fallbackFormat);
+  const attributes = [];
+  
+  if (srcset) {
+    attributes.push(`sizes="${escapeHtml(ImageLoader.getImageSizes(image, layout))}"`, `srcset="${escapeHtml(srcset)}"`);
+  }
+  attributes.push(`src="${escapeHtml(ImageLoader.getResizedImagePath(image.src, null, fallbackFormat))}"`);
+  if (image.width && image.height) {
+    attributes.push(`width="${image.width}"`, `height="${image.height}"`, `data-orientation="${image.orientation}"`);
+  }
+  
+  return attributes.join(' ');
+}
+
+/**
+ * Wrap an img tag in a <picture> with the image's AVIF and WebP sources, if it has any
+ * (same as ImageLoader.setImageSources)
+ * @param {Object} image - Normalized image
+ * @param {string} layout - ImageLoader layout key
+ * @param {Object} ImageLoader - ImageLoader module
+ * @param {string} imgTag - Markup of the img
+ * @returns {string} - Markup on one line
+ */
+function renderPicture(image, layout, ImageLoader, imgTag) {
+  const sources = ImageLoader.getPictureSources(image);
+  if (sources.length === 0) return imgTag;
+  
+  const sizes = escapeHtml(ImageLoader.getImageSizes(image, layout));
+  const sourceTags = sources.map(source => {
+    return `<source type="${source.type}" sizes="${sizes}" srcset="${escapeHtml(source.srcset)}">`;
+  });
+  
+  return `<picture>${sourceTags.join('')}${imgTag}</picture>`;
+}
+
+/**
+ * Render the colour custom properties of an image (same as ImageLoader.setImageColors)
+ * @param {Object} image - Normalized image
+ * @returns {Array} - CSS declarations
+ */
+function renderImageColors(image) {
+  return [
+    image.dominantColor ? `--image-color: ${image.dominantColor}` : null,
+    image.averageColor ? `--image-average-color: ${image.averageColor}` : null
+  ].filter(Boolean);
+}
+
+/**
+ * Render the blur-up placeholder of an image and, for a wrapping box, the image's
+ * aspect ratio and colours (same as ImageLoader.setImagePlaceholder, setImageBox and setImageColors)
+ * @param {Object} image - Normalized image
+ * @param {string} className - Classes the element has anyway
+ * @param {boolean} isWrapper - True for a box around the img rather than the img itself
+ * @returns {string} - class, style and data-orientation attributes
+ */
+function renderImageBox(image, className, isWrapper) {
+  const classes = [className];
+  const styles = [];
+  let orientation = '';
+  
+  if (isWrapper && image.width && image.height) {
+    styles.push(`aspect-ratio: ${image.width} / ${image.height}`);
+    orientation = `data-orientation="${image.orientation}"`;
+  }
+  
+  if (isWrapper) {
+    styles.push(...renderImageColors(image));
+  }
+  
+  if (image.placeholder) {
+    classes.push('image-placeholder');
+    styles.push(`background-image: url(data:image/webp;base64,${image.placeholder})`);
+  }
+  
+  return [
+    classes.some(Boolean) ? `class="${classes.filter(Boolean).join(' ')}"` : '',
+    styles.length > 0 ? `style="${styles.join('; ')}"` : '',
+    orientation
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Render the slideshow slides (same markup as Slideshow.createSlidesFromTemplates / createSlides)
+ * @param {Array} slides - Slides as { type, images } with normalized images
+ * @param {Object} ImageLoader - ImageLoader module
+ * @returns {Array} - Lines of markup
+ */
+function renderSlides(slides, ImageLoader) {
+  const lines = [];
+  
+  slides.forEach((slide, index) => {
+    const active = index === 0 ? ' active' : '';
+    const colors = renderImageColors(slide.images[0] || {});
+    const style = colors.length > 0 ? ` style="${colors.join('; ')}"` : '';
+    lines.push(`<div class="slide slide-${slide.type}${active}"${style}>`);
+    
+    slide.images.forEach((image, imgIndex) => {
+      const fallbackAlt = slide.single ? `Slide ${index + 1}` : `Slide ${index + 1}, Image ${imgIndex + 1}`;
+      const alt = image.alt || image.caption || fallbackAlt;
+      const loading = index < 2 ? 'eager' : 'lazy'; // Load first two slides eagerly
+      const layout = `slide-${slide.type}`;
+      const sources = renderImageSources(image, layout, ImageLoader);
+      const attributes = [renderImageBox(image, '', false), sources, `alt="${escapeHtml(alt)}"`, `loading="${loading}"`];
+      lines.push(INDENT + renderPicture(image, layout, ImageLoader, `<img ${attributes.filter(Boolean).join(' ')}>`));
+    });
+    
+    const caption = slide.images.map(ImageLoader.getImageCaption).filter(Boolean).join(' / ');
+    if (caption) {
+      lines.push(`${INDENT}<p class="slide-caption">${escapeHtml(caption)}</p>`);
+    }
+    
+    lines.push('</div>');
+  });
+  
+  return lines;
+}
+
+/**
+ * Get the slides of a project the way the slideshow builds them
+ * @param {Object} project - Project data object
+ * @param {Object} ImageLoader - ImageLoader module
+ * @returns {Array} - Slides as { type, images, single }
+ */
+function getSlides(project, ImageLoader) {
+  const slideTemplates = ImageLoader.getSlideTemplates(project);
+  if (slideTemplates && slideTemplates.length > 0) {
+    return slideTemplates;
+  }
+  
+  // One main slide per image when there are no templates
+  return ImageLoader.getSlideshowImages(project).map(image => ({ type: 'main', images: [image], single: true }));
+}
+
+/**
+ * Render the gallery grid items (same markup as Gallery.createGalleryItems once loaded)
+ * Images keep a real src so the grid works without JavaScript
+ * @param {Array} images - Normalized gallery images
+ * @param {Object} ImageLoader - ImageLoader module
+ * @returns {Array} - Lines of markup
+ */
+function renderGalleryItems(images, ImageLoader) {
+  return images.map((image, index) => {
+    const alt = image.alt || image.caption || `Gallery image ${index + 1}`;
+    const sources = renderImageSources(image, 'gallery', ImageLoader);
+    const img = `<img class="gallery-image loaded" ${sources} alt="${escapeHtml(alt)}" loading="lazy" decoding="async">`;
+    return `<div ${renderImageBox(image, 'gallery-item', true)} data-index="${index}">${renderPicture(image, 'gallery', ImageLoader, img)}</div>`;
+  });
+}
+
+/**
+ * Render one page of a project
+ * @param {string} template - Shared project/gallery template markup
+ * @param {Object} options - Page options
+ * @param {Object} options.project - Project data object
+ * @param {string} options.view - 'project' or 'gallery'
+ * @param {Array} options.projects - All project data objects (for the grid cells)
+ * @param {Object} options.site - Site config
+ * @param {Object} options.ImageLoader - ImageLoader module
+ * @param {Object} options.ContactInfo - ContactInfo module (contact cell markup)
+ * @returns {string} - Page markup
+ */
+function renderPage(template, { project, view, projects, site, ImageLoader, ContactInfo }) {
+  const slug = projectSlug(project);
+  const slides = getSlides(project, ImageLoader);
+  const galleryImages = ImageLoader.getGalleryImages(project);
+  const isGallery = view === 'gallery';
+  
+  const title = isGallery ?
+    `All Images - ${project.title} | ${site.name}` :
+    `${project.title} | ${site.name}`;
+  const counter = isGallery ?
+    `${galleryImages.length} / ${galleryImages.length}` :
+    `1 / ${slides.length}`;
+  
+  let html = template;
+  
+  html = replaceOnce(html, '<!DOCTYPE html>',
+    '<!DOCTYPE html>\n<!-- Generated by scripts/build-pages.js from templates/project.html - do not edit by hand -->');
+  html = replaceOnce(html, /<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`);
+  html = replaceOnce(html, / *<meta name="description" content="[^"]*">/,
+    indent(renderMetaTags({ project, view, site, galleryImages, ImageLoader }), 1));
+  html = replaceOnce(html, '<body class="project-page">', `<body class="${view}-page">`);
+  
+  // Contact cell: contact details, project info and view links
+  html = replaceOnce(html, /( *)<!-- Filled from js\/data\/site\.json by ContactInfo -->/,
+    indent(ContactInfo.getMarkup(site), 5));
+  html = replaceOnce(html, /( *)<div class="project-info">[\s\S]*?<p class="project-description">[\s\S]*?<\/p>\n\s*<\/div>/,
+    indent(renderProjectInfo(project), 4));
+  html = replaceOnce(html, '<a href="index.html" class="back-link">',
+    `<a href="${isGallery ? `work/${slug}` : 'index.html'}" class="back-link">`);
+  html = replaceOnce(html, '<a href="gallery.html" class="view-all-link">',
+    `<a href="work/${slug}/gallery" class="view-all-link">`);
+  
+  // Grid cells, slides and gallery items; data-project-id tells main.js the markup is for this project
+  html = replaceOnce(html, / *<!-- Projects will be dynamically generated here -->/,
+    indent(renderGridCells(projects, project, counter), 2));
+  html = replaceOnce(html, /<div class="slideshow-wrapper">[\s\S]*?\n( *)<\/div>/, (match, closingIndent) => {
+    return `<div class="slideshow-wrapper" data-project-id="${escapeHtml(project.id)}">\n` +
+      `${indent(renderSlides(slides, ImageLoader), 3)}\n${closingIndent}</div>`;
+  });
+  html = replaceOnce(html, /<div class="gallery-grid">[\s\S]*?\n( *)<\/div>/, (match, closingIndent) => {
+    return `<div class="gallery-grid" data-project-id="${escapeHtml(project.id)}">\n` +
+      `${indent(renderGalleryItems(galleryImages, ImageLoader), 2)}\n${closingIndent}</div>`;
+  });
+  
+  // Footer
+  html = replaceOnce(html, '<span id="current-year"></span>', `<span id="current-year">${new Date().getFullYear()}</span>`);
+  html = replaceOnce(html, '<span class="copyright-holder"></span>',
+    `<span class="copyright-holder">${escapeHtml(site.copyrightHolder || site.name)}</span>`);
+  
+  return html;
+}
+
+/**
+ * List the image files a page links to (img and <source> srcset, og:image, JSON-LD)
+ * @param {string} html - Rendered page
+ * @param {Object} site - Site config, whose url prefixes the absolute links
+ * @returns {Array} - Paths relative to the site root
+ */
+function listLinkedImages(html, site) {
+  const siteRoot = site.url.endsWith('/') ? site.url : `${site.url}/`;
+  const values = [
+    ...Array.from(html.matchAll(/\b(?:src|srcset|href|content)="([^"]*)"/g), match => match[1]),
+    ...Array.from(html.matchAll(/"contentUrl":\s*"([^"]*)"/g), match => match[1])
+  ];
+  
+  // srcset lists "path width" candidates separated by commas
+  return values
+    .flatMap(value => value.split(','))
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .map(url => (url.startsWith(siteRoot) ? url.slice(siteRoot.length) : url))
+    .filter(url => url.startsWith('images/'));
+}
+
+/**
+ * Build every project and gallery page
+ * Every image a page links to must exist on disk: a <source> whose file is missing is
+ * never retried with the next one, so the build stops instead of shipping it
+ * @returns {Array} - Written files relative to the site root
+ */
+function buildPages() {
+  const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  const site = loadSite({ requireUrl: true });
+  const projects = loadProjects();
+  const ImageLoader = loadImageLoader();
+  const ContactInfo = loadContactInfo();
+  const pages = [];
+  const missing = new Set();
+  
+  uniqueProjects(projects).forEach(project => {
+    const slug = projectSlug(project);
+    
+    [['project', ''], ['gallery', 'gallery']].forEach(([view, subfolder]) => {
+      const html = renderPage(template, { project, view, projects, site, ImageLoader, ContactInfo });
+      listLinkedImages(html, site)
+        .filter(image => !fs.existsSync(path.join(ROOT_DIR, decodeURIComponent(image))))
+        .forEach(image => missing.add(image));
+      pages.push({ file: path.join(OUTPUT_DIR, slug, subfolder, 'index.html'), html });
+    });
+  });
+  
+  if (missing.size > 0) {
+    const list = [...missing];
+    throw new Error(`The pages link to ${list.length} missing image files (${list.slice(0, 3).join(', ')}` +
+      `${list.length > 3 ? ', ...' : ''}): run npm run images to write the copies and the manifest`);
+  }
+  
+  // Start from an empty output folder so renamed or removed projects don't leave pages behind
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  
+  pages.forEach(page => {
+    fs.mkdirSync(path.dirname(page.file), { recursive: true });
+    fs.writeFileSync(page.file, page.html);
+  });
+  
+  return pages.map(page => path.relative(ROOT_DIR, page.file));
+}
+
+function main() {
+  const written = buildPages();
+  console.log(`Wrote ${written.length} pages to ${path.relative(ROOT_DIR, OUTPUT_DIR)}/`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildPages, renderPage };
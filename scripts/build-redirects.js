@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Redirect Map Builder
+ * Writes _redirects (Netlify format) from js/data/projects.json: old
+ * templates/*.html?project=<id> links redirect to work/<slug> URLs, and slug
+ * URLs without a pre-rendered page (scripts/build-pages.js) fall back to the
+ * shared project/gallery template
+ *
+ * Usage: node scripts/build-redirects.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/images');
+const { loadProjects, projectSlug, uniqueProjects } = require('./lib/projects');
+
+const OUTPUT_FILE = path.join(ROOT_DIR, '_redirects');
+
+/**
+ * Build the redirect rules for a list of projects
+ * @param {Array} projects - Project data objects
+ * @returns {Array} - Rules as { from, query, to, status }
+ */
+function buildRedirects(projects) {
+  const rules = [];
+  
+  // Old query-string links, one per project and view
+  uniqueProjects(projects).forEach(project => {
+    const slug = projectSlug(project);
+    
+    rules.push({
+      from: '/templates/project.html',
+      query: `project=${project.id}`,
+      to: `/work/${slug}`,
+      status: 301
+    });
+    rules.push({
+      from: '/templates/gallery.html',
+      query: `project=${project.id}`,
+      to: `/work/${slug}/gallery`,
+      status: 301
+    });
+  });
+  
+  // Pre-rendered pages are served as files first; other slug URLs render the template,
+  // which reads the slug from the path
+  rules.push({ from: '/work/:slug/gallery', to: '/templates/gallery.html', status: 200 });
+  rules.push({ from: '/work/:slug', to: '/templates/project.html', status: 200 });
+  
+  return rules;
+}
+
+/**
+ * Serialize redirect rules in Netlify _redirects format
+ * @param {Array} rules - Rules from buildRedirects
+ * @returns {string} - File contents
+ */
+function renderRedirects(rules) {
+  const lines = rules.map(rule => {
+    return [rule.from, rule.query, rule.to, rule.status].filter(Boolean).join('  ');
+  });
+  
+  return [
+    '# Generated by scripts/build-redirects.js from js/data/projects.json - do not edit by hand',
+    ...lines,
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const rules = buildRedirects(loadProjects());
+  fs.writeFileSync(OUTPUT_FILE, renderRedirects(rules));
+  console.log(`Wrote ${path.relative(ROOT_DIR, OUTPUT_FILE)}: ${rules.length} rules`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildRedirects, renderRedirects };
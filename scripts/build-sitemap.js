@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Sitemap Builder
+ * Writes sitemap.xml (home, project and gallery URLs, with an <image:image> entry
+ * per image) and a robots.txt that points to it. Projects with "unlisted": true
+ * are left out. Absolute URLs come from SITE_URL or "url" in js/data/site.json
+ *
+ * Usage: node scripts/build-sitemap.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/images');
+const { absoluteUrl } = require('./lib/meta');
+const { loadProjects, projectSlug, uniqueProjects } = require('./lib/projects');
+const { loadImageLoader } = require('./lib/runtime');
+const { loadSite } = require('./lib/site');
+
+const SITEMAP_FILE = path.join(ROOT_DIR, 'sitemap.xml');
+const ROBOTS_FILE = path.join(ROOT_DIR, 'robots.txt');
+
+/**
+ * Escape text for XML content
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the sitemap entries
+ * @param {Array} projects - Project data objects
+ * @param {Object} site - Site config
+ * @param {Object} ImageLoader - ImageLoader module
+ * @returns {Array} - Entries as { loc, images: [url] }
+ */
+function buildSitemap(projects, site, ImageLoader) {
+  const entries = [{ loc: absoluteUrl(site, ''), images: [] }];
+  
+  uniqueProjects(projects)
+    .filter(project => !project.unlisted)
+    .forEach(project => {
+      const slug = projectSlug(project);
+      
+      // Slideshow images on the project URL, every gallery image on the gallery URL
+      entries.push({
+        loc: absoluteUrl(site, `work/${slug}`),
+        images: ImageLoader.getSlideshowImagePaths(project).map(src => absoluteUrl(site, src))
+      });
+      entries.push({
+        loc: absoluteUrl(site, `work/${slug}/gallery`),
+        images: ImageLoader.getGalleryImagePaths(project).map(src => absoluteUrl(site, src))
+      });
+    });
+  
+  return entries;
+}
+
+/**
+ * Serialize sitemap entries with the image sitemap extension
+ * @param {Array} entries - Entries from buildSitemap
+ * @returns {string} - sitemap.xml contents
+ */
+function renderSitemap(entries) {
+  const urls = entries.map(entry => {
+    const images = [...new Set(entry.images)].map(image => {
+      return `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>`;
+    });
+    
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(entry.loc)}</loc>`,
+      ...images,
+      '  </url>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Generated by scripts/build-sitemap.js from js/data/projects.json - do not edit by hand -->',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render robots.txt pointing crawlers to the sitemap
+ * @param {Object} site - Site config
+ * @returns {string} - robots.txt contents
+ */
+function renderRobots(site) {
+  return [
+    '# Generated by scripts/build-sitemap.js - do not edit by hand',
+    'User-agent: *',
+    'Allow: /',
+    '',
+    `Sitemap: ${absoluteUrl(site, 'sitemap.xml')}`,
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const site = loadSite({ requireUrl: true });
+  
+  const entries = buildSitemap(loadProjects(), site, loadImageLoader());
+  const imageCount = entries.reduce((count, entry) => count + new Set(entry.images).size, 0);
+  
+  fs.writeFileSync(SITEMAP_FILE, renderSitemap(entries));
+  fs.writeFileSync(ROBOTS_FILE, renderRobots(site));
+  console.log(`Wrote ${path.relative(ROOT_DIR, SITEMAP_FILE)}: ${entries.length} URLs, ${imageCount} images`);
+  console.log(`Wrote ${path.relative(ROOT_DIR, ROBOTS_FILE)}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildSitemap, renderSitemap, renderRobots };
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Web App Manifest Builder
+ * Writes manifest.webmanifest from js/data/site.json, so the site can be installed
+ * on tablets and phones and opened full screen, and renders the PNG icons it and
+ * the pages point to from assets/icons/icon.svg
+ *
+ * Usage: node scripts/build-webmanifest.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { ROOT_DIR } = require('./lib/images');
+
+const SITE_FILE = path.join(ROOT_DIR, 'js', 'data', 'site.json');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'manifest.webmanifest');
+const ICONS_DIR = 'assets/icons';
+
+// Matches --color-bg in css/main.css (and the theme-color meta tag of the pages)
+const BACKGROUND_COLOR = '#ffffff';
+
+// PNG icons rendered from the SVG: the manifest's sizes and the iOS home screen icon
+const PNG_ICONS = [
+  { filename: 'icon-192.png', size: 192, inManifest: true },
+  { filename: 'icon-512.png', size: 512, inManifest: true },
+  { filename: 'apple-touch-icon.png', size: 180, inManifest: false }
+];
+
+/**
+ * Build the manifest object
+ * @param {Object} site - Site config
+ * @returns {Object} - Web app manifest
+ */
+function buildWebManifest(site) {
+  return {
+    name: site.name,
+    short_name: site.name,
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: BACKGROUND_COLOR,
+    theme_color: BACKGROUND_COLOR,
+    icons: [
+      { src: `${ICONS_DIR}/icon.svg`, sizes: 'any', type: 'image/svg+xml' },
+      ...PNG_ICONS
+        .filter(icon => icon.inManifest)
+        .map(icon => ({ src: `${ICONS_DIR}/${icon.filename}`, sizes: `${icon.size}x${icon.size}`, type: 'image/png' }))
+    ]
+  };
+}
+
+/**
+ * Render the PNG icons from the SVG
+ * @returns {Promise}
+ */
+async function renderIcons() {
+  const svg = path.join(ROOT_DIR, ICONS_DIR, 'icon.svg');
+  
+  for (const icon of PNG_ICONS) {
+    await sharp(svg)
+      .resize(icon.size, icon.size)
+      .png()
+      .toFile(path.join(ROOT_DIR, ICONS_DIR, icon.filename));
+  }
+}
+
+async function main() {
+  const site = JSON.parse(fs.readFileSync(SITE_FILE, 'utf8'));
+  
+  fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(buildWebManifest(site), null, 2)}\n`);
+  await renderIcons();
+  
+  console.log(`Wrote ${path.relative(ROOT_DIR, MANIFEST_FILE)} and ${PNG_ICONS.length} icons in ${ICONS_DIR}/`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildWebManifest };
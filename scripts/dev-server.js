@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Development Server
+ * Serves the site from the sources with the serve.json rewrites (work/<slug> URLs) and
+ * reloads open pages when a file changes. The live reload client is injected into the
+ * HTML responses of this server only: it is in none of the files, so nothing of it
+ * reaches dist/ or a deploy. It listens over server-sent events and closes the
+ * connection on pagehide, so back/forward cache works the same as in production.
+ * With --dist the production build is served as it is, without live reload
+ *
+ * Usage: node scripts/dev-server.js [--dist] [--port 3000] (npm run dev)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { ROOT_DIR } = require('./lib/images');
+
+const DEFAULT_PORT = 3000;
+const RELOAD_PATH = '/__livereload';
+
+// Folders watched for changes, with everything below them. Everything else (.git,
+// node_modules, dist/, images/ and its generated copies) is left alone: npm run images
+// ends by rewriting the manifest in js/data/, which reloads the pages anyway
+const WATCHED_FOLDERS = ['css', 'js', 'templates', 'work', 'assets'];
+
+// Templates that render any slug, for work/ pages that haven't been built yet
+// (the same as the 200 rewrites at the end of _redirects)
+const PAGE_TEMPLATES = [
+  { pattern: /^\/work\/[^/]+\/gallery\/?$/, file: 'templates/gallery.html' },
+  { pattern: /^\/work\/[^/]+\/?$/, file: 'templates/project.html' }
+];
+
+// Wait for a burst of writes (a build script, an editor saving) to end before reloading
+const RELOAD_DELAY = 150;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff'
+};
+
+// Runs in the page; reconnects by itself (EventSource retries) when the server restarts
+const RELOAD_CLIENT = `<script>
+(function() {
+  var source = null;
+  function connect() {
+    source = new EventSource('${RELOAD_PATH}');
+    source.addEventListener('reload', function() { window.location.reload(); });
+  }
+  window.addEventListener('pagehide', function() {
+    if (source) source.close();
+    source = null;
+  });
+  window.addEventListener('pageshow', function() {
+    if (!source) connect();
+  });
+})();
+</script>`;
+
+/**
+ * Read the command line options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { rootDir, liveReload, port }
+ */
+function parseArgs(args) {
+  const dist = args.includes('--dist');
+  const portIndex = args.indexOf('--port');
+  const port = portIndex === -1 ? Number(process.env.PORT) || DEFAULT_PORT : Number(args[portIndex + 1]);
+  
+  return {
+    rootDir: dist ? path.join(ROOT_DIR, 'dist') : ROOT_DIR,
+    liveReload: !dist,
+    port
+  };
+}
+
+/**
+ * Turn the serve.json rewrites into matchers
+ * @param {string} rootDir - Folder being served
+ * @returns {Array} - { pattern, destination } with :params as named groups
+ */
+function loadRewrites(rootDir) {
+  const file = path.join(rootDir, 'serve.json');
+  const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  
+  return (config.rewrites || []).map(rule => ({
+    pattern: new RegExp(`^${rule.source.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`),
+    destination: rule.destination
+  }));
+}
+
+/**
+ * Map a request path to a file, applying the rewrites
+ * Falls back to the page template when a work/ page hasn't been generated
+ * @param {string} pathname - Decoded URL path
+ * @param {Array} rewrites - Matchers from loadRewrites
+ * @param {string} rootDir - Folder being served
+ * @returns {string|null} - Absolute file path, or null for paths outside the folder
+ */
+function resolveFile(pathname, rewrites, rootDir) {
+  let target = pathname;
+  for (const rule of rewrites) {
+    const match = pathname.match(rule.pattern);
+    if (match) {
+      target = rule.destination.replace(/:(\w+)/g, (_, name) => match.groups[name]);
+      break;
+    }
+  }
+  
+  let file = path.join(rootDir, target);
+  if (file !== rootDir && !file.startsWith(rootDir + path.sep)) return null;
+  
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+  
+  const template = PAGE_TEMPLATES.find(page => page.pattern.test(pathname));
+  if (template && !fs.existsSync(file)) {
+    return path.join(rootDir, template.file);
+  }
+  return file;
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - From parseArgs
+ * @param {Set} clients - Open live reload responses
+ * @returns {Function} - http request listener
+ */
+function createHandler(options, clients) {
+  const rewrites = loadRewrites(options.rootDir);
+  
+  return (request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Bad request');
+      return;
+    }
+    
+    if (options.liveReload && pathname === RELOAD_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      });
+      response.write('retry: 1000\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+    
+    const file = resolveFile(pathname, rewrites, options.rootDir);
+    if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(`Not found: ${pathname}`);
+      return;
+    }
+    
+    const extension = path.extname(file).toLowerCase();
+    let body = fs.readFileSync(file);
+    
+    if (options.liveReload && extension === '.html') {
+      body = body.toString('utf8').replace(/<\/body>/i, match => `${RELOAD_CLIENT}\n${match}`);
+    }
+    
+    // Revalidate on every load, but not no-store: it keeps pages out of the back/forward cache
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  };
+}
+
+/**
+ * Tell the open pages to reload after files change
+ * Watches the top-level files of the folder and WATCHED_FOLDERS recursively (Node 20+ on Linux)
+ * @param {string} rootDir - Folder being served
+ * @param {Set} clients - Open live reload responses
+ * @returns {Array} - fs.FSWatcher per watched folder
+ */
+function watchFiles(rootDir, clients) {
+  let timer = null;
+  
+  const reload = filename => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`Changed: ${filename}, reloading ${clients.size} page(s)`);
+      clients.forEach(client => client.write('event: reload\ndata: \n\n'));
+    }, RELOAD_DELAY);
+  };
+  
+  // Top-level files, and watched folders being replaced (npm run pages rewrites work/)
+  const topLevel = fs.watch(rootDir, (eventType, filename) => {
+    if (!filename) return;
+    
+    const file = path.join(rootDir, filename);
+    if (WATCHED_FOLDERS.includes(filename) || (fs.existsSync(file) && fs.statSync(file).isFile())) {
+      reload(filename);
+    }
+  });
+  
+  const folders = WATCHED_FOLDERS
+    .filter(folder => fs.existsSync(path.join(rootDir, folder)))
+    .map(folder => fs.watch(path.join(rootDir, folder), { recursive: true }, (eventType, filename) => {
+      reload(filename ? path.join(folder, filename) : folder);
+    }));
+  
+  return [topLevel, ...folders];
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const clients = new Set();
+  
+  if (!fs.existsSync(options.rootDir)) {
+    console.error(`${path.relative(ROOT_DIR, options.rootDir)}/ doesn't exist, run npm run build first`);
+    process.exit(1);
+  }
+  
+  if (options.liveReload) {
+    watchFiles(options.rootDir, clients);
+    
+    // Generated, not committed: without it the pages get a 404 for it and show the originals only
+    if (!fs.existsSync(path.join(options.rootDir, 'js', 'data', 'image-copies.js'))) {
+      console.warn('js/data/image-copies.js is missing, run npm run images to write the resized copies');
+    }
+  }
+  
+  http.createServer(createHandler(options, clients)).listen(options.port, () => {
+    const served = options.liveReload ? 'the sources with live reload' : 'dist/';
+    console.log(`Serving ${served} at http://localhost:${options.port}/`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadRewrites, resolveFile };
@@ -0,0 +1,36 @@
+/**
+ * HTML Helpers
+ * Escaping and indentation for the markup written by the build scripts
+ */
+
+// Template indentation (4 spaces per level)
+const INDENT = '    ';
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Indent lines of markup to a nesting depth
+ * @param {Array} lines - Lines of markup
+ * @param {number} depth - Nesting depth in template indentation levels
+ * @returns {string} - Indented lines joined with newlines
+ */
+function indent(lines, depth) {
+  return lines.map(line => INDENT.repeat(depth) + line).join('\n');
+}
+
+module.exports = {
+  INDENT,
+  escapeHtml,
+  indent
+};
@@ -0,0 +1,201 @@
+/**
+ * Image Folder Helpers
+ * Shared by the build scripts to read project image folders from disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Repository root (scripts/lib -> ..)
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// Folder that holds one sub-folder per project
+const IMAGES_DIR = path.join(ROOT_DIR, 'images');
+
+// File types treated as gallery images
+const IMAGE_EXTENSIONS = ['.webp', '.jpg', '.jpeg', '.png', '.avif'];
+
+// Widths written by scripts/build-images.js, each into images/<folder>/<width>w/
+// (keep in sync with getResizedImagePath in js/modules/imageLoader.js)
+const RESPONSIVE_WIDTHS = [480, 960, 1440];
+
+// Formats scripts/build-images.js also writes every image in, at full size into
+// images/<folder>/full/ and next to the resized copies, with their file extensions
+// (keep in sync with IMAGE_FORMATS in js/modules/imageLoader.js)
+const IMAGE_FORMATS = {
+  avif: 'avif',
+  webp: 'webp',
+  jpeg: 'jpg'
+};
+
+// Numeric-aware collator so "Morocco2" sorts before "Morocco10"
+const collator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare two filenames in natural order
+ * @param {string} a - First filename
+ * @param {string} b - Second filename
+ * @returns {number} - Negative, zero or positive like Array.sort expects
+ */
+function naturalCompare(a, b) {
+  return collator.compare(a, b);
+}
+
+/**
+ * Check whether a filename looks like a gallery image
+ * @param {string} filename - File name to check
+ * @returns {boolean} - True for supported image files
+ */
+function isImageFile(filename) {
+  if (filename.startsWith('.')) return false;
+  return IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * List project folders inside images/
+ * @returns {Array} - Folder names in natural order
+ */
+function listImageFolders() {
+  if (!fs.existsSync(IMAGES_DIR)) return [];
+  
+  return fs.readdirSync(IMAGES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort(naturalCompare);
+}
+
+/**
+ * List the image paths of one project folder, relative to the site root
+ * @param {string} folder - Folder name inside images/
+ * @returns {Array} - Paths like 'images/P-01/Ladakhi-Bakers1.webp' in natural order
+ */
+function listFolderImages(folder) {
+  const folderPath = path.join(IMAGES_DIR, folder);
+  if (!fs.existsSync(folderPath)) return [];
+  
+  return fs.readdirSync(folderPath)
+    .filter(isImageFile)
+    .sort(naturalCompare)
+    .map(filename => `images/${folder}/${filename}`);
+}
+
+/**
+ * Read the pixel size of an image from its header (WebP, JPEG and PNG)
+ * @param {string} imagePath - Image path relative to the site root
+ * @returns {Object|null} - { width, height }, or null if the file is missing or not understood
+ */
+function readImageSize(imagePath) {
+  const file = path.join(ROOT_DIR, imagePath);
+  if (!fs.existsSync(file)) return null;
+  
+  const buffer = fs.readFileSync(file);
+  
+  // PNG: IHDR chunk right after the signature
+  if (buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  
+  // WebP: RIFF container with a VP8 (lossy), VP8L (lossless) or VP8X (extended) chunk
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  
+  // JPEG: walk the segments up to a start-of-frame marker
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the format of an image file from its extension
+ * @param {string} imagePath - Image path
+ * @returns {string} - sharp format name, like 'webp' or 'jpeg'
+ */
+function imageFormat(imagePath) {
+  const extension = path.extname(imagePath).slice(1).toLowerCase();
+  return extension === 'jpg' ? 'jpeg' : extension;
+}
+
+/**
+ * Get the path of a resized or converted copy of an image
+ * @param {string} imagePath - Original image path relative to the site root
+ * @param {number|null} width - Width of the copy in pixels, or null for full size
+ * @param {string} format - Format of the copy (defaults to the original's)
+ * @returns {string} - Path like 'images/P-01/480w/Ladakhi-Bakers1.webp' or
+ *   'images/P-01/full/Ladakhi-Bakers1.avif'; the original itself for full size in its own format
+ */
+function resizedImagePath(imagePath, width, format = imageFormat(imagePath)) {
+  const isOwnFormat = format === imageFormat(imagePath);
+  if (!width && isOwnFormat) return imagePath;
+  
+  const extension = path.posix.extname(imagePath);
+  const filename = isOwnFormat
+    ? path.posix.basename(imagePath)
+    : `${path.posix.basename(imagePath, extension)}.${IMAGE_FORMATS[format]}`;
+  
+  return path.posix.join(path.posix.dirname(imagePath), width ? `${width}w` : 'full', filename);
+}
+
+/**
+ * List the widths an image has resized copies for on disk
+ * @param {string} imagePath - Original image path relative to the site root
+ * @returns {Array} - Widths in ascending order
+ */
+function listResizedWidths(imagePath) {
+  return RESPONSIVE_WIDTHS.filter(width => {
+    return fs.existsSync(path.join(ROOT_DIR, resizedImagePath(imagePath, width)));
+  });
+}
+
+/**
+ * List the other formats an image has a complete set of copies in on disk
+ * (full size plus every resized width)
+ * @param {string} imagePath - Original image path relative to the site root
+ * @param {Array} widths - Widths of the resized copies
+ * @returns {Array} - Format names in IMAGE_FORMATS order
+ */
+function listImageFormats(imagePath, widths) {
+  return Object.keys(IMAGE_FORMATS)
+    .filter(format => format !== imageFormat(imagePath))
+    .filter(format => [null, ...widths].every(width => {
+      return fs.existsSync(path.join(ROOT_DIR, resizedImagePath(imagePath, width, format)));
+    }));
+}
+
+module.exports = {
+  ROOT_DIR,
+  IMAGES_DIR,
+  RESPONSIVE_WIDTHS,
+  IMAGE_FORMATS,
+  naturalCompare,
+  isImageFile,
+  listImageFolders,
+  listFolderImages,
+  readImageSize,
+  imageFormat,
+  resizedImagePath,
+  listResizedWidths,
+  listImageFormats
+};
@@ -0,0 +1,187 @@
+/**
+ * Page Metadata
+ * Description, canonical URL, Open Graph / Twitter card tags and schema.org JSON-LD
+ * for the pre-rendered project and gallery pages, so shared links show the series cover
+ */
+
+const path = require('path');
+const { readImageSize, resizedImagePath } = require('./images');
+const { escapeHtml, INDENT } = require('./html');
+const { projectSlug } = require('./projects');
+
+// MIME types announced for og:image
+const IMAGE_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.avif': 'image/avif'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Turn a site-root relative path into an absolute URL using site.json "url"
+ * @param {Object} site - Site config
+ * @param {string} relativePath - Path relative to the site root
+ * @returns {string} - Absolute URL, or a root-relative path if the site has no url
+ */
+function absoluteUrl(site, relativePath) {
+  if (!site.url) return `/${relativePath}`;
+  return new URL(relativePath, site.url.endsWith('/') ? site.url : `${site.url}/`).href;
+}
+
+/**
+ * Convert a project date like "February 2023" to ISO 8601 ("2023-02")
+ * @param {string} date - Date from the project data
+ * @returns {string|null} - ISO date, the year alone, or null if there is no year
+ */
+function toIsoDate(date) {
+  const year = String(date || '').match(/\b(\d{4})\b/);
+  if (!year) return null;
+  
+  const month = MONTHS.findIndex(name => String(date).toLowerCase().includes(name));
+  return month === -1 ? year[1] : `${year[1]}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Describe an image for the metadata
+ * Points at the full-size JPEG copy when there is one: link previews and mail clients
+ * don't all read WebP or AVIF
+ * @param {Object} site - Site config
+ * @param {Object} image - Normalized image { src, alt, caption, formats }
+ * @returns {Object} - { url, width, height, type, alt }; width/height are missing if the file can't be read
+ */
+function describeImage(site, image) {
+  const size = readImageSize(image.src) || {};
+  const src = (image.formats || []).includes('jpeg') ? resizedImagePath(image.src, null, 'jpeg') : image.src;
+  
+  return {
+    url: absoluteUrl(site, src),
+    width: size.width,
+    height: size.height,
+    type: IMAGE_TYPES[path.extname(src).toLowerCase()],
+    alt: image.alt || image.caption || ''
+  };
+}
+
+/**
+ * Build the schema.org description of a page
+ * Project pages are a CreativeWork; gallery pages are an ImageGallery about that work
+ * @param {Object} options - Page options (see renderMetaTags)
+ * @param {Object} cover - Cover image from describeImage
+ * @returns {Object} - JSON-LD object
+ */
+function buildStructuredData({ project, view, site, galleryImages }, cover) {
+  const slug = projectSlug(project);
+  const author = {
+    '@type': 'Person',
+    name: site.name,
+    url: site.url || undefined,
+    sameAs: (site.social || []).map(profile => profile.url).filter(Boolean)
+  };
+  
+  const work = {
+    '@type': 'CreativeWork',
+    '@id': `${absoluteUrl(site, `work/${slug}`)}#work`,
+    name: project.title,
+    description: project.description,
+    url: absoluteUrl(site, `work/${slug}`),
+    genre: 'Photography',
+    dateCreated: toIsoDate(project.date) || undefined,
+    author,
+    locationCreated: project.location ? { '@type': 'Place', name: project.location } : undefined,
+    image: {
+      '@type': 'ImageObject',
+      contentUrl: cover.url,
+      width: cover.width,
+      height: cover.height
+    }
+  };
+  
+  if (view !== 'gallery') {
+    return { '@context': 'https://schema.org', ...work };
+  }
+  
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ImageGallery',
+    name: `All Images - ${project.title}`,
+    description: project.description,
+    url: absoluteUrl(site, `work/${slug}/gallery`),
+    author,
+    about: work,
+    associatedMedia: galleryImages.map(image => ({
+      '@type': 'ImageObject',
+      contentUrl: absoluteUrl(site, image.src),
+      caption: image.caption || undefined,
+      description: image.alt || undefined
+    }))
+  };
+}
+
+/**
+ * Render the head tags for a project or gallery page
+ * @param {Object} options - Page options
+ * @param {Object} options.project - Project data object
+ * @param {string} options.view - 'project' or 'gallery'
+ * @param {Object} options.site - Site config
+ * @param {Array} options.galleryImages - Normalized gallery images
+ * @param {Object} options.ImageLoader - ImageLoader module
+ * @returns {Array} - Lines of markup
+ */
+function renderMetaTags(options) {
+  const { project, view, site, ImageLoader } = options;
+  const slug = projectSlug(project);
+  const isGallery = view === 'gallery';
+  
+  const title = isGallery ? `All Images - ${project.title}` : project.title;
+  const url = absoluteUrl(site, isGallery ? `work/${slug}/gallery` : `work/${slug}`);
+  const cover = describeImage(site, ImageLoader.getCoverImage(project));
+  const coverAlt = cover.alt || project.title;
+  
+  const meta = (attribute, name, content) => {
+    if (content === undefined || content === '') return null;
+    return `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+  };
+  
+  // Keep "</script>" in text fields from closing the JSON-LD block
+  const structuredData = JSON.stringify(buildStructuredData(options, cover), null, 2)
+    .replace(/</g, '\\u003c')
+    .split('\n');
+  
+  return [
+    meta('name', 'description', project.description),
+    project.unlisted ? meta('name', 'robots', 'noindex') : null,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    
+    // Open Graph (Facebook, LinkedIn, messengers)
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:site_name', site.name),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', project.description),
+    meta('property', 'og:url', url),
+    meta('property', 'og:image', cover.url),
+    meta('property', 'og:image:type', cover.type),
+    meta('property', 'og:image:width', cover.width),
+    meta('property', 'og:image:height', cover.height),
+    meta('property', 'og:image:alt', coverAlt),
+    
+    // Twitter / X cards
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', project.description),
+    meta('name', 'twitter:image', cover.url),
+    meta('name', 'twitter:image:alt', coverAlt),
+    
+    '<script type="application/ld+json">',
+    ...structuredData.map(line => INDENT + line),
+    '</script>'
+  ].filter(Boolean);
+}
+
+module.exports = {
+  absoluteUrl,
+  renderMetaTags
+};
@@ -0,0 +1,56 @@
+/**
+ * Project Data Loader
+ * Reads js/data/projects.json, the same file the site fetches at runtime,
+ * and derives the URL slugs used for work/<slug> pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./images');
+const { loadProjectData } = require('./runtime');
+
+const PROJECTS_FILE = path.join(ROOT_DIR, 'js', 'data', 'projects.json');
+
+// The site's own ProjectData module, loaded on first use
+let ProjectData = null;
+
+/**
+ * Read and parse the project data
+ * @returns {Array} - Project data objects
+ */
+function loadProjects() {
+  return JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+}
+
+/**
+ * Get the URL slug of a project, from the same ProjectData.getSlug the pages use
+ * @param {Object} project - Project data object
+ * @returns {string} - Explicit "slug" field, or one derived from the title
+ */
+function projectSlug(project) {
+  if (!ProjectData) {
+    ProjectData = loadProjectData();
+  }
+  return ProjectData.getSlug(project);
+}
+
+/**
+ * Get each project once, in data order (later entries reusing an id are skipped)
+ * @param {Array} projects - Project data objects
+ * @returns {Array} - Projects with unique ids
+ */
+function uniqueProjects(projects) {
+  const seen = new Set();
+  return projects.filter(project => {
+    if (!project.id || seen.has(project.id)) return false;
+    seen.add(project.id);
+    return true;
+  });
+}
+
+module.exports = {
+  PROJECTS_FILE,
+  loadProjects,
+  projectSlug,
+  uniqueProjects
+};
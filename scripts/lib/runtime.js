@@ -0,0 +1,89 @@
+/**
+ * Browser Module Loader
+ * Runs the site's own modules (js/data/manifest.js, js/modules/imageLoader.js,
+ * js/modules/projectData.js, js/modules/contactInfo.js) in a
+ * Node vm context, so build scripts pick images exactly the way the pages do, and
+ * tests can call the pure parts of a module (GridLayout's solver) without a browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT_DIR } = require('./images');
+
+// Scripts evaluated in page order; later ones can use the globals of earlier ones
+const RUNTIME_SCRIPTS = [
+  'js/data/manifest.js',
+  'js/data/image-copies.js',
+  'js/modules/imageLoader.js'
+];
+
+// Generated by npm run images and not committed; without it images have no copies
+const OPTIONAL_SCRIPTS = ['js/data/image-copies.js'];
+
+// Per-folder placeholder files the pages fetch (written with the manifest)
+const PLACEHOLDERS_DIR = path.join(ROOT_DIR, 'js', 'data', 'placeholders');
+
+/**
+ * Run browser scripts in a fresh Node vm context and return one of their globals
+ * @param {Array} scripts - Script paths relative to the site root, in page order
+ *   (missing OPTIONAL_SCRIPTS are skipped, as the page would skip a 404)
+ * @param {string} globalName - Top-level name to return, like 'ImageLoader'
+ * @returns {*} - Value of that name in the context
+ */
+function loadBrowserModule(scripts, globalName) {
+  const context = vm.createContext({ console });
+  
+  scripts.forEach(script => {
+    const file = path.join(ROOT_DIR, script);
+    if (OPTIONAL_SCRIPTS.includes(script) && !fs.existsSync(file)) return;
+    
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  
+  // Top-level const declarations are not context properties, read them back by name
+  return vm.runInContext(globalName, context);
+}
+
+/**
+ * Load the ImageLoader module with the current image manifest, the copies written so
+ * far and every placeholder
+ * @returns {Object} - ImageLoader public API (data helpers only, there is no DOM)
+ */
+function loadImageLoader() {
+  const ImageLoader = loadBrowserModule(RUNTIME_SCRIPTS, 'ImageLoader');
+  
+  // The browser fetches these a folder at a time, here they are all read up front
+  if (fs.existsSync(PLACEHOLDERS_DIR)) {
+    fs.readdirSync(PLACEHOLDERS_DIR)
+      .filter(filename => filename.endsWith('.json'))
+      .forEach(filename => {
+        ImageLoader.addPlaceholders(JSON.parse(fs.readFileSync(path.join(PLACEHOLDERS_DIR, filename), 'utf8')));
+      });
+  }
+  
+  return ImageLoader;
+}
+
+/**
+ * Load the ProjectData module (slugs and neighbours; fetching needs a browser)
+ * @returns {Object} - ProjectData public API
+ */
+function loadProjectData() {
+  return loadBrowserModule(['js/modules/projectData.js'], 'ProjectData');
+}
+
+/**
+ * Load the ContactInfo module, whose markup the pre-rendered pages reuse
+ * @returns {Object} - ContactInfo public API (getMarkup only, there is no DOM)
+ */
+function loadContactInfo() {
+  return loadBrowserModule(['js/modules/contactInfo.js'], 'ContactInfo');
+}
+
+module.exports = {
+  loadBrowserModule,
+  loadImageLoader,
+  loadProjectData,
+  loadContactInfo
+};
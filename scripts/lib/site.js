@@ -0,0 +1,37 @@
+/**
+ * Site Config Loader
+ * Reads js/data/site.json, the same file the site fetches at runtime. The public
+ * address of the site can be given as SITE_URL when building, which wins over "url"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./images');
+
+const SITE_FILE = path.join(ROOT_DIR, 'js', 'data', 'site.json');
+
+/**
+ * Read and parse the site config
+ * @param {Object} options - { requireUrl: stop when the site has no public address }
+ * @returns {Object} - Site config, with url from SITE_URL if it is set
+ */
+function loadSite(options = {}) {
+  const site = JSON.parse(fs.readFileSync(SITE_FILE, 'utf8'));
+  
+  if (process.env.SITE_URL) {
+    site.url = process.env.SITE_URL;
+  }
+  
+  // Absolute links to a guessed address would be published with every page
+  if (options.requireUrl && !site.url) {
+    throw new Error('Set SITE_URL (e.g. SITE_URL=https://example.com/ npm run build) or "url" in js/data/site.json: ' +
+      'page metadata, sitemap.xml and robots.txt need the public address of the site');
+  }
+  
+  return site;
+}
+
+module.exports = {
+  SITE_FILE,
+  loadSite
+};
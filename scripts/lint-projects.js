@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Project Data Lint
+ * Checks js/data/projects.json against the images on disk and reports every
+ * problem with its project id and field. Exits with code 1 if anything is wrong
+ *
+ * Usage: node scripts/lint-projects.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, listFolderImages } = require('./lib/images');
+const { PROJECTS_FILE, loadProjects, projectSlug } = require('./lib/projects');
+
+// Slide template types understood by Slideshow and the number of images each one shows
+const TEMPLATE_IMAGE_COUNTS = {
+  main: 1,
+  fullheight: 1,
+  fullscreen: 1,
+  diptych: 2
+};
+
+// Cells a project can take in the homepage grid (PROJECT_SPANS in js/modules/gridLayout.js)
+const PROJECT_SPANS = ['1x1', '2x1', '1x2', '2x2'];
+
+/**
+ * Get the path of an image entry (plain path or { src, alt, caption, credits })
+ * @param {string|Object} entry - Image entry from the data
+ * @returns {string} - Path relative to the site root
+ */
+function imagePath(entry) {
+  return typeof entry === 'string' ? entry : (entry && entry.src) || '';
+}
+
+/**
+ * Check whether an image entry from the data exists on disk
+ * @param {string|Object} entry - Image entry
+ * @returns {boolean} - True if the file exists
+ */
+function imageExists(entry) {
+  const src = imagePath(entry);
+  return src !== '' && fs.existsSync(path.join(ROOT_DIR, src));
+}
+
+/**
+ * Lint a list of projects
+ * @param {Array} projects - Project data objects
+ * @returns {Array} - Problems as { id, field, message }
+ */
+function lintProjects(projects) {
+  const problems = [];
+  const seenIds = new Map();
+  const seenSlugs = new Map();
+  
+  function report(project, index, field, message) {
+    problems.push({
+      id: (project && project.id) || `projects[${index}]`,
+      field,
+      message
+    });
+  }
+  
+  projects.forEach((project, index) => {
+    // Unique ids
+    if (!project.id) {
+      report(project, index, 'id', 'missing id');
+    } else if (seenIds.has(project.id)) {
+      report(project, index, 'id', `duplicate id (projects[${index}], first used by projects[${seenIds.get(project.id)}])`);
+    } else {
+      seenIds.set(project.id, index);
+    }
+    
+    // URL slug (explicit or from the title) must be valid and point to one project
+    if (project.slug !== undefined && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(project.slug)) {
+      report(project, index, 'slug', `"${project.slug}" must be lowercase letters, digits and single hyphens`);
+    } else if (typeof project.title === 'string' || project.slug) {
+      const slug = projectSlug(project);
+      const owner = seenSlugs.get(slug);
+      
+      if (slug === '') {
+        report(project, index, 'slug', 'title gives an empty slug, set "slug" explicitly');
+      } else if (owner && owner.id !== project.id) {
+        report(project, index, 'slug', `"${slug}" is already used by ${owner.id} (projects[${owner.index}])`);
+      } else if (!owner) {
+        seenSlugs.set(slug, { id: project.id, index });
+      }
+    }
+    
+    // Unlisted projects are left out of sitemap.xml
+    if (project.unlisted !== undefined && typeof project.unlisted !== 'boolean') {
+      report(project, index, 'unlisted', 'must be true or false');
+    }
+    
+    if (project.tintBackground !== undefined && typeof project.tintBackground !== 'boolean') {
+      report(project, index, 'tintBackground', 'must be true or false');
+    }
+    
+    // Homepage grid cells
+    if (project.span !== undefined && !PROJECT_SPANS.includes(project.span)) {
+      report(project, index, 'span', `"${project.span}" must be one of ${PROJECT_SPANS.join(', ')}`);
+    }
+    
+    if (project.featured !== undefined && typeof project.featured !== 'boolean') {
+      report(project, index, 'featured', 'must be true or false');
+    }
+    
+    // Description
+    if (typeof project.description !== 'string' || project.description.trim() === '') {
+      report(project, index, 'description', 'empty description');
+    }
+    
+    // Cover image
+    if (!project.coverImage) {
+      report(project, index, 'coverImage', 'missing cover image');
+    } else if (!imageExists(project.coverImage)) {
+      report(project, index, 'coverImage', `file not found: ${imagePath(project.coverImage)}`);
+    }
+    
+    // Slide templates
+    (project.slideTemplates || []).forEach((template, templateIndex) => {
+      const field = `slideTemplates[${templateIndex}]`;
+      const expectedCount = TEMPLATE_IMAGE_COUNTS[template.type];
+      const images = Array.isArray(template.images) ? template.images : [];
+      
+      if (expectedCount === undefined) {
+        report(project, index, `${field}.type`, `unknown template type "${template.type}"`);
+      } else if (images.length !== expectedCount) {
+        report(project, index, `${field}.images`, `"${template.type}" needs ${expectedCount} image(s), got ${images.length}`);
+      }
+      
+      images.forEach((image, imageIndex) => {
+        if (!imageExists(image)) {
+          report(project, index, `${field}.images[${imageIndex}]`, `file not found: ${imagePath(image)}`);
+        }
+      });
+    });
+    
+    // Manual gallery list
+    (project.galleryImages || []).forEach((image, imageIndex) => {
+      if (!imageExists(image)) {
+        report(project, index, `galleryImages[${imageIndex}]`, `file not found: ${imagePath(image)}`);
+      }
+    });
+    
+    // totalImages can only trim the folder, never extend it
+    if (project.totalImages !== undefined) {
+      const folder = project.folder || project.id;
+      const available = listFolderImages(folder).length;
+      
+      if (project.totalImages > available) {
+        report(project, index, 'totalImages', `${project.totalImages} is more than the ${available} image(s) in images/${folder}/`);
+      }
+    }
+  });
+  
+  return problems;
+}
+
+function main() {
+  const projects = loadProjects();
+  const problems = lintProjects(projects);
+  const file = path.relative(ROOT_DIR, PROJECTS_FILE);
+  
+  if (problems.length === 0) {
+    console.log(`${file}: ${projects.length} projects OK`);
+    return;
+  }
+  
+  problems.forEach(problem => {
+    console.error(`${file}: ${problem.id} ${problem.field}: ${problem.message}`);
+  });
+  console.error(`\n${problems.length} problem(s) found`);
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { lintProjects };
@@ -0,0 +1,260 @@
+/**
+ * Service Worker
+ * Keeps the site usable offline: the shell (pages, templates, data, scripts, styles,
+ * the font) is cached on install, images are cached as they are viewed, and the
+ * "Save for offline" action (js/modules/offline.js) asks it to cache a whole project.
+ * scripts/build-dist.js writes the dist/ copy with the hashed bundles in SHELL_URLS
+ * and the build hash as CACHE_VERSION, so every deploy starts with fresh caches.
+ * Unbuilt sources run as version 'dev' and always try the network first
+ */
+
+// Replaced by scripts/build-dist.js
+const CACHE_VERSION = 'dev';
+const SHELL_URLS = [
+  './',
+  'index.html',
+  'templates/project.html',
+  'templates/gallery.html',
+  'js/data/projects.json',
+  'js/data/site.json',
+  'manifest.webmanifest'
+];
+
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const PAGE_CACHE = `pages-${CACHE_VERSION}`;
+
+// Not versioned: saved projects have to outlive deploys. Images are served cache-first,
+// so one replaced under the same file name keeps its cached copy (rename changed images)
+const IMAGE_CACHE = 'images';
+
+// Pages and data wait this long for the network before falling back to the cache
+const NETWORK_TIMEOUT = 3000;
+
+// Files fetched at once when saving a project
+const SAVE_CONCURRENCY = 4;
+
+// Formats an image may be cached in when the requested copy isn't (see getImageFallbacks)
+const IMAGE_EXTENSIONS = ['webp', 'jpg', 'jpeg', 'png', 'avif'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, PAGE_CACHE, IMAGE_CACHE];
+  
+  // Shell and pages of earlier builds point at bundles that no longer exist;
+  // the image cache keeps its name and stays
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => !current.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  
+  if (url.pathname.startsWith('/images/')) {
+    event.respondWith(respondWithImage(request));
+  } else if (request.mode === 'navigate' || url.pathname.endsWith('.json')) {
+    event.respondWith(respondFromNetwork(request, request.mode === 'navigate' ? PAGE_CACHE : SHELL_CACHE));
+  } else if (CACHE_VERSION === 'dev') {
+    event.respondWith(respondFromNetwork(request, SHELL_CACHE));
+  } else {
+    // Built scripts, styles and fonts have hashed names: a cached copy is never stale
+    event.respondWith(respondFromCache(request, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type !== 'save' || !event.ports[0]) return;
+  
+  event.waitUntil(saveUrls(message.urls || [], event.ports[0]));
+});
+
+/**
+ * Store a response if it can be replayed later
+ * @param {string} cacheName - Cache to store it in
+ * @param {Request|string} request - Request the response answers
+ * @param {Response} response - Response to store (a clone is kept)
+ */
+function storeResponse(cacheName, request, response) {
+  // Redirected responses can't answer navigations
+  if (!response.ok || response.redirected) return Promise.resolve();
+  
+  const copy = response.clone();
+  return caches.open(cacheName).then(cache => cache.put(request, copy));
+}
+
+/**
+ * Serve from the cache, going to the network (and caching the answer) on a miss
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+function respondFromCache(request, cacheName) {
+  return caches.match(request).then(cached => {
+    if (cached) return cached;
+    
+    return fetch(request).then(response => {
+      storeResponse(cacheName, request, response);
+      return response;
+    });
+  });
+}
+
+/**
+ * Try the network first (giving up after NETWORK_TIMEOUT if a cached copy exists),
+ * keeping the cache up to date with every answer
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+function respondFromNetwork(request, cacheName) {
+  const network = fetch(request).then(response => {
+    storeResponse(cacheName, request, response);
+    return response;
+  });
+  
+  // Query strings (?image=3, ?project=P-01) don't change the page itself
+  const cached = caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+    .then(response => response || (request.mode === 'navigate' ? matchPageTemplate(request) : null));
+  
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+    .then(() => cached);
+  
+  // A late failure after the cache has answered is expected, not an error
+  network.catch(() => {});
+  
+  return Promise.race([network, timeout.then(response => response || network)])
+    .catch(() => cached.then(response => response || Response.error()));
+}
+
+/**
+ * Find the page that can render a URL the visitor hasn't opened before
+ * (the same rewrites as serve.json: any work/<slug> is the project template)
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response|undefined>}
+ */
+function matchPageTemplate(request) {
+  const pathname = new URL(request.url).pathname;
+  
+  if (/^\/work\/[^/]+\/gallery\/?$/.test(pathname)) return caches.match('templates/gallery.html');
+  if (/^\/work\/[^/]+\/?$/.test(pathname)) return caches.match('templates/project.html');
+  return caches.match('index.html');
+}
+
+/**
+ * Serve an image from the cache, caching it on the way from the network
+ * A copy in another size or format of the same image will do when the requested one
+ * isn't cached: saved projects hold the originals, while <picture> asks for the AVIF or
+ * WebP copy that fits. They are looked up before the network, so a saved project never
+ * waits on a slow connection, and again if the network fails or has no such copy
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>}
+ */
+function respondWithImage(request) {
+  const fallback = () => matchFirst(getImageFallbacks(request.url));
+  
+  return caches.match(request)
+    .then(cached => cached || fallback())
+    .then(cached => {
+      if (cached) return cached;
+      
+      return fetch(request)
+        .then(response => {
+          if (!response.ok) {
+            return fallback().then(found => found || response);
+          }
+          storeResponse(IMAGE_CACHE, request, response);
+          return response;
+        })
+        .catch(error => fallback().then(found => {
+          if (found) return found;
+          throw error;
+        }));
+    });
+}
+
+/**
+ * List the originals an image copy may have been made from
+ * images/P-01/960w/Ladakhi-Bakers1.avif -> images/P-01/Ladakhi-Bakers1.webp, .jpg, ...
+ * @param {string} imageUrl - URL of the requested copy
+ * @returns {Array} - Candidate URLs
+ */
+function getImageFallbacks(imageUrl) {
+  const url = new URL(imageUrl);
+  const path = url.pathname.replace(/\/(\d+w|full)\//, '/');
+  const stem = path.slice(0, path.lastIndexOf('.'));
+  
+  return IMAGE_EXTENSIONS
+    .map(extension => new URL(`${stem}.${extension}`, url.origin).href)
+    .filter(candidate => candidate !== imageUrl);
+}
+
+/**
+ * Return the first of several URLs found in any cache
+ * @param {Array} urls - URLs in order of preference
+ * @returns {Promise<Response|undefined>}
+ */
+function matchFirst(urls) {
+  return urls.reduce((found, url) => {
+    return found.then(response => response || caches.match(url));
+  }, Promise.resolve(undefined));
+}
+
+/**
+ * Cache a list of URLs for offline use, reporting progress through a message port
+ * Pages go to the page cache, everything else to the image cache
+ * @param {Array} urls - Paths relative to the site root
+ * @param {MessagePort} port - Receives { type: 'progress', done, total } and
+ *   finally { type: 'done', total, failed }
+ * @returns {Promise}
+ */
+function saveUrls(urls, port) {
+  const queue = [...new Set(urls)];
+  const total = queue.length;
+  let done = 0;
+  let failed = 0;
+  
+  function next() {
+    const path = queue.shift();
+    if (path === undefined) return Promise.resolve();
+    
+    const request = new Request(new URL(path, self.location.origin).href);
+    const cacheName = request.url.includes('/images/') ? IMAGE_CACHE : PAGE_CACHE;
+    
+    return caches.match(request)
+      .then(cached => {
+        if (cached) return null;
+        
+        return fetch(request).then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status} loading ${path}`);
+          return storeResponse(cacheName, request, response);
+        });
+      })
+      .catch(() => {
+        failed++;
+      })
+      .then(() => {
+        done++;
+        port.postMessage({ type: 'progress', done, total });
+        return next();
+      });
+  }
+  
+  const workers = Array.from({ length: Math.min(SAVE_CONCURRENCY, total) }, next);
+  return Promise.all(workers).then(() => {
+    port.postMessage({ type: 'done', total, failed });
+  });
+}
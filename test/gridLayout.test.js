@@ -0,0 +1,197 @@
+/**
+ * Grid Layout Solver Tests
+ * Runs js/modules/gridLayout.js in a Node vm context (scripts/lib/runtime.js) and checks
+ * calculateLayout and calculatePages: every cell of every grid is covered exactly once,
+ * the contact cell stays bottom-left, spans that can't fit fall back, and items are
+ * split over pages only when the cells would get too narrow
+ *
+ * Usage: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModule } = require('../scripts/lib/runtime');
+
+const GridLayout = loadBrowserModule(['js/modules/gridLayout.js'], 'GridLayout');
+
+// Phone, tablet, laptop and desktop screens in both orientations
+const VIEWPORTS = [
+  { width: 375, height: 700 },
+  { width: 700, height: 375 },
+  { width: 768, height: 1024 },
+  { width: 1024, height: 768 },
+  { width: 1280, height: 800 },
+  { width: 1440, height: 900 },
+  { width: 1920, height: 1080 }
+];
+
+const SPANS = {
+  '1x1': { cols: 1, rows: 1 },
+  '2x1': { cols: 2, rows: 1 },
+  '1x2': { cols: 1, rows: 2 },
+  '2x2': { cols: 2, rows: 2 }
+};
+
+/**
+ * Make a repeatable pseudo-random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check that the contact cell and the items cover every cell of the grid exactly once
+ * @param {Object} layout - Layout from calculateLayout
+ * @param {string} label - Case description for failure messages
+ */
+function assertFilled(layout, label) {
+  const cells = [layout.contact, ...layout.items];
+  const covered = Array.from({ length: layout.rows }, () => new Array(layout.cols).fill(0));
+  
+  cells.forEach(cell => {
+    assert.ok(cell.row >= 1 && cell.row + cell.rowSpan - 1 <= layout.rows, `${label}: cell outside the rows`);
+    assert.ok(cell.col >= 1 && cell.col + cell.colSpan - 1 <= layout.cols, `${label}: cell outside the columns`);
+    
+    for (let row = cell.row; row < cell.row + cell.rowSpan; row++) {
+      for (let col = cell.col; col < cell.col + cell.colSpan; col++) {
+        covered[row - 1][col - 1]++;
+      }
+    }
+  });
+  
+  covered.forEach((counts, row) => counts.forEach((count, col) => {
+    assert.ok(count > 0, `${label}: gap at row ${row + 1}, column ${col + 1}`);
+    assert.ok(count < 2, `${label}: overlap at row ${row + 1}, column ${col + 1}`);
+  }));
+}
+
+/**
+ * Check that the contact cell starts bottom-left
+ * @param {Object} layout - Layout from calculateLayout
+ * @param {string} label - Case description for failure messages
+ */
+function assertContactBottomLeft(layout, label) {
+  assert.strictEqual(layout.contact.row, layout.rows, `${label}: contact cell not in the last row`);
+  assert.strictEqual(layout.contact.col, 1, `${label}: contact cell not in the first column`);
+}
+
+test('1×1 items fill the grid without gaps or overlaps', () => {
+  VIEWPORTS.forEach(viewport => {
+    for (let count = 1; count <= 40; count++) {
+      const label = `${count} items at ${viewport.width}×${viewport.height}`;
+      const layout = GridLayout.calculateLayout(count, viewport);
+      
+      assert.strictEqual(layout.items.length, count, label);
+      assertFilled(layout, label);
+      assertContactBottomLeft(layout, label);
+    }
+  });
+});
+
+test('spanning items fill the grid without gaps or overlaps', () => {
+  const random = createRandom(2024);
+  const spanNames = Object.keys(SPANS);
+  
+  VIEWPORTS.forEach(viewport => {
+    for (let run = 0; run < 100; run++) {
+      const count = 1 + Math.floor(random() * 20);
+      const names = Array.from({ length: count }, () => {
+        return random() < 0.2 ? spanNames[1 + Math.floor(random() * 3)] : '1x1';
+      });
+      const label = `${names.join(' ')} at ${viewport.width}×${viewport.height}`;
+      const layout = GridLayout.calculateLayout(names.map(name => SPANS[name]), viewport);
+      
+      assert.strictEqual(layout.items.length, count, label);
+      assertFilled(layout, label);
+      assertContactBottomLeft(layout, label);
+    }
+  });
+});
+
+test('a single featured item keeps its 2×2 span', () => {
+  VIEWPORTS.forEach(viewport => {
+    for (let count = 4; count <= 16; count++) {
+      for (let featured = 0; featured < count; featured++) {
+        const label = `2x2 at ${featured} of ${count} at ${viewport.width}×${viewport.height}`;
+        const spans = Array.from({ length: count }, (_, index) => (index === featured ? SPANS['2x2'] : SPANS['1x1']));
+        const layout = GridLayout.calculateLayout(spans, viewport);
+        const item = layout.items[featured];
+        
+        assertFilled(layout, label);
+        assert.ok(item.colSpan >= Math.min(2, layout.cols) && item.rowSpan >= 2, `${label}: span dropped`);
+      }
+    }
+  });
+});
+
+test('a span that can\'t fit falls back to one cell instead of leaving a hole', () => {
+  // Two 2×2 items make a 2-column grid at this size, with room for one of them only
+  const viewport = { width: 1280, height: 800 };
+  const layout = GridLayout.calculateLayout([SPANS['2x2'], SPANS['2x2']], viewport);
+  const [first, second] = layout.items;
+  
+  assertFilled(layout, 'two 2x2 items');
+  assert.strictEqual(first.colSpan * first.rowSpan, 4, 'first span kept');
+  assert.ok(second.colSpan < 2 || second.rowSpan < 2, 'second span given up');
+});
+
+test('zero items leave only the contact cell, as before the solver', () => {
+  VIEWPORTS.forEach(viewport => {
+    const label = `no items at ${viewport.width}×${viewport.height}`;
+    const layout = GridLayout.calculateLayout(0, viewport);
+    const dimensions = GridLayout.calculateGridDimensions(1, viewport);
+    
+    assert.strictEqual(layout.items.length, 0, label);
+    assert.strictEqual(layout.cols, dimensions.cols, label);
+    assert.strictEqual(layout.rows, dimensions.rows, label);
+    assertContactBottomLeft(layout, label);
+    assert.strictEqual(layout.contact.colSpan, layout.cols, `${label}: contact cell fills its row`);
+    
+    const pages = GridLayout.calculatePages(0, viewport);
+    assert.strictEqual(pages.length, 1, label);
+    assert.strictEqual(pages[0].first, 0, label);
+  });
+});
+
+test('items stay on one page while the cells are wide enough', () => {
+  assert.strictEqual(GridLayout.calculatePages(12, { width: 1280, height: 800 }).length, 1);
+  assert.strictEqual(GridLayout.calculatePages(30, { width: 1440, height: 900 }).length, 1);
+});
+
+test('items are split evenly over the fewest pages that fit', () => {
+  const cases = [
+    { count: 30, viewport: { width: 1280, height: 800 }, sizes: [15, 15] },
+    { count: 60, viewport: { width: 1280, height: 800 }, sizes: [20, 20, 20] },
+    { count: 40, viewport: { width: 375, height: 700 }, sizes: [14, 13, 13] }
+  ];
+  
+  cases.forEach(({ count, viewport, sizes }) => {
+    const label = `${count} items at ${viewport.width}×${viewport.height}`;
+    const pages = GridLayout.calculatePages(count, viewport);
+    
+    // Array.from: arrays made in the vm context have another Array prototype
+    assert.deepStrictEqual(Array.from(pages, page => page.items.length), sizes, label);
+    pages.forEach((page, index) => {
+      const first = sizes.slice(0, index).reduce((sum, size) => sum + size, 0);
+      assert.strictEqual(page.first, first, `${label}: page ${index + 1} starts at item ${first}`);
+      assertFilled(page, `${label}, page ${index + 1}`);
+      assertContactBottomLeft(page, `${label}, page ${index + 1}`);
+    });
+  });
+});
+
+test('paging: false keeps every item on one page', () => {
+  const pages = GridLayout.calculatePages(60, { width: 1280, height: 800 }, { paging: false });
+  
+  assert.strictEqual(pages.length, 1);
+  assert.strictEqual(pages[0].items.length, 60);
+  assertFilled(pages[0], '60 items on one page');
+});